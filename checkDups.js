@@ -1,20 +1,29 @@
 const mongoose = require('mongoose');
-const path = require('path');
-require('dotenv').config({ path: path.join(__dirname, 'backend', '.env') });
-const Participant = require('./backend/models/Participant');
+require('dotenv').config();
+const { findDuplicateCandidates } = require('./utils/duplicates');
+const { getActiveEdition } = require('./utils/editions');
+const { runWithEdition } = require('./utils/editionContext');
 
+// Print likely duplicate participants (same PRN, name + college, email alias
+// or mobile). Merge them from the admin panel: POST /api/admin/duplicates/merge
 async function checkDups() {
     try {
         await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/event-management');
         console.log('Connected to MongoDB');
 
-        const dups = await Participant.aggregate([
-            { $group: { _id: '$prn', count: { $sum: 1 }, names: { $push: '$fullName' }, ids: { $push: '$_id' } } },
-            { $match: { count: { $gt: 1 }, _id: { $ne: null } } }
-        ]);
+        // Returning students have one record per edition; only compare the live one
+        const edition = await getActiveEdition();
+        const groups = edition
+            ? await runWithEdition(edition, findDuplicateCandidates)
+            : await findDuplicateCandidates();
 
-        console.log('Duplicate PRNs found:');
-        console.log(JSON.stringify(dups, null, 2));
+        console.log(`Likely duplicates found: ${groups.length}`);
+        groups.forEach((group, index) => {
+            console.log(`\n${index + 1}. ${group.reasons.map(r => `${r.type}: ${r.value}`).join(', ')}`);
+            group.participants.forEach(p => {
+                console.log(`   #${p.chestNumber || '-'} ${p.fullName} <${p.email}> ${p.mobile} ${p.prn || ''} [${p.registrationStatus}] ${p._id}`);
+            });
+        });
 
         process.exit(0);
     } catch (err) {
@@ -2,6 +2,9 @@ const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const Participant = require('../models/Participant');
 
+// Routes a participant may use before replacing a generated password
+const PASSWORD_CHANGE_ROUTES = ['/api/auth/change-password'];
+
 // Protect routes - verify JWT token
 exports.protect = async (req, res, next) => {
     let token;
@@ -39,6 +42,26 @@ exports.protect = async (req, res, next) => {
             });
         }
 
+        if (decoded.role === 'participant') {
+            // Sessions from before a password change or reset are no longer valid
+            if (req.user.passwordChangedAt && decoded.iat < Math.floor(req.user.passwordChangedAt.getTime() / 1000)) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Your password was changed. Please log in again.'
+                });
+            }
+
+            // Logged in with a generated password: only the change-password route is open
+            if (decoded.mustChangePassword && req.user.mustChangePassword &&
+                !PASSWORD_CHANGE_ROUTES.includes(req.originalUrl.split('?')[0])) {
+                return res.status(403).json({
+                    success: false,
+                    code: 'PASSWORD_CHANGE_REQUIRED',
+                    message: 'Please change your password to continue.'
+                });
+            }
+        }
+
         // Check if admin is approved
         if ((decoded.role === 'admin' || req.user.role === 'admin') && !req.user.isApproved) {
             return res.status(401).json({
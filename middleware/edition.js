@@ -0,0 +1,45 @@
+const Edition = require('../models/Edition');
+const { getActiveEdition } = require('../utils/editions');
+const { runWithEdition } = require('../utils/editionContext');
+
+// Admin routes may browse another edition with this header
+const EDITION_HEADER = 'x-edition';
+
+// Run the rest of the request inside an edition. Public and participant
+// routes always use the live edition; admin routes may pick one with the
+// X-Edition header. Archived editions are read-only.
+exports.editionContext = async (req, res, next) => {
+    try {
+        const path = req.originalUrl.split('?')[0];
+        let edition = await getActiveEdition();
+
+        const requested = req.headers[EDITION_HEADER];
+        if (requested && path.startsWith('/api/admin/') && requested !== edition?._id.toString()) {
+            edition = await Edition.findById(requested).catch(() => null);
+            if (!edition) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Edition not found'
+                });
+            }
+        }
+
+        // Before any edition exists everything runs unscoped
+        if (!edition) {
+            return next();
+        }
+
+        // Editions themselves are managed from any edition
+        if (edition.status === 'archived' && req.method !== 'GET' && !path.startsWith('/api/admin/editions')) {
+            return res.status(403).json({
+                success: false,
+                message: `${edition.name} is archived and read-only`
+            });
+        }
+
+        res.set('X-Edition', edition._id.toString());
+        runWithEdition(edition, next);
+    } catch (error) {
+        next(error);
+    }
+};
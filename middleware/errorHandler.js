@@ -14,7 +14,8 @@ const errorHandler = (err, req, res, next) => {
 
     // Mongoose duplicate key
     if (err.code === 11000) {
-        const field = Object.keys(err.keyValue)[0];
+        // Per-edition indexes lead with `edition`; name the field that clashed
+        const field = Object.keys(err.keyValue).find(key => key !== 'edition') || Object.keys(err.keyValue)[0];
         const message = `Duplicate field value: ${field}. Please use another value`;
         error = { message, statusCode: 400 };
     }
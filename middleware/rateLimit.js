@@ -0,0 +1,51 @@
+const { clientIp, consumeRequest, findLockout } = require('../utils/rateLimit');
+
+const tooMany = (res, { retryAfter, message }) => {
+    res.set('Retry-After', String(Math.max(retryAfter, 1)));
+    return res.status(429).json({
+        success: false,
+        message
+    });
+};
+
+// Throttle a public endpoint per client IP and, where the body names one,
+// per identity at that client. `getIdentity(req)` returns the email/mobile to
+// count against.
+exports.rateLimit = (scope, getIdentity = () => null) => {
+    return async (req, res, next) => {
+        try {
+            const identity = getIdentity(req);
+            const limited = await consumeRequest(
+                scope,
+                clientIp(req),
+                identity ? String(identity).trim().toLowerCase() : null
+            );
+            if (limited) {
+                return tooMany(res, limited);
+            }
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+};
+
+// Refuse logins from a client or for an identity that is locked out
+exports.checkLockout = (scope, getIdentity = () => null) => {
+    return async (req, res, next) => {
+        try {
+            const identity = getIdentity(req);
+            const locked = await findLockout(
+                scope,
+                clientIp(req),
+                identity ? String(identity).trim().toLowerCase() : null
+            );
+            if (locked) {
+                return tooMany(res, locked);
+            }
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+};
@@ -1,16 +1,30 @@
+const { AsyncResource } = require('async_hooks');
 const multer = require('multer');
-const { CloudinaryStorage } = require('multer-storage-cloudinary');
-const { cloudinary } = require('../config/cloudinary');
+const { createStorage } = require('../utils/storage');
 
-// Cloudinary storage for payment proofs
-const paymentProofStorage = new CloudinaryStorage({
-    cloudinary: cloudinary,
-    params: {
-        folder: 'event-orchestration/payment-proofs',
-        allowed_formats: ['jpg', 'jpeg', 'png', 'webp'],
-        transformation: [{ width: 1000, height: 1000, crop: 'limit' }]
-    }
-});
+// Storage for each kind of upload; the driver (Cloudinary or local disk) comes
+// from STORAGE_DRIVER and the folders and resize limits from STORAGE_PROFILES
+const paymentProofStorage = createStorage('paymentProofs');
+const systemSettingsStorage = createStorage('systemSettings');
+const bannerStorage = createStorage('banners');
+const formFileStorage = createStorage('formUploads');
+
+// Multer calls next() from its stream callbacks, outside the request's async
+// context, which would drop the edition (utils/editionContext) for the route
+// handler. Bind next to the context the upload started in.
+const keepContext = (upload) => {
+    const wrap = (method) => (...args) => {
+        const middleware = upload[method](...args);
+        return (req, res, next) => middleware(req, res, AsyncResource.bind(next));
+    };
+    return {
+        single: wrap('single'),
+        array: wrap('array'),
+        fields: wrap('fields'),
+        none: wrap('none'),
+        any: wrap('any')
+    };
+};
 
 // File filter
 const fileFilter = (req, file, cb) => {
@@ -22,49 +36,65 @@ const fileFilter = (req, file, cb) => {
     }
 };
 
-// Cloudinary storage for system settings (QR codes etc)
-const systemSettingsStorage = new CloudinaryStorage({
-    cloudinary: cloudinary,
-    params: {
-        folder: 'event-orchestration/system-settings',
-        allowed_formats: ['jpg', 'jpeg', 'png', 'webp'],
-        transformation: [{ width: 800, height: 800, crop: 'limit' }]
-    }
-});
-
-// Cloudinary storage for banner (wider)
-const bannerStorage = new CloudinaryStorage({
-    cloudinary: cloudinary,
-    params: {
-        folder: 'event-orchestration/banners',
-        allowed_formats: ['jpg', 'jpeg', 'png', 'webp'],
-        transformation: [{ width: 1500, height: 500, crop: 'limit' }]
+// Images or PDFs
+const documentFilter = (req, file, cb) => {
+    if (file.mimetype.startsWith('image/') || file.mimetype === 'application/pdf') {
+        cb(null, true);
+    } else {
+        cb(new Error('Only image or PDF files are allowed'), false);
     }
-});
+};
 
-// Upload middleware for payment proofs
-exports.uploadPaymentProof = multer({
+// Upload middleware for payment proofs (screenshots or bank PDFs)
+exports.uploadPaymentProof = keepContext(multer({
     storage: paymentProofStorage,
-    fileFilter: fileFilter,
+    fileFilter: documentFilter,
     limits: {
         fileSize: 5 * 1024 * 1024 // 5MB max file size
     }
-});
+}));
 
 // Upload middleware for system images (QR code)
-exports.uploadSystemImage = multer({
+exports.uploadSystemImage = keepContext(multer({
     storage: systemSettingsStorage,
     fileFilter: fileFilter,
     limits: {
         fileSize: 2 * 1024 * 1024 // 2MB max file size
     }
-});
+}));
+
+// Upload middleware for form answer files
+exports.uploadFormFile = keepContext(multer({
+    storage: formFileStorage,
+    fileFilter: documentFilter,
+    limits: {
+        fileSize: 5 * 1024 * 1024 // 5MB max file size
+    }
+}));
 
 // Upload middleware for banners
-exports.uploadBanner = multer({
+exports.uploadBanner = keepContext(multer({
     storage: bannerStorage,
     fileFilter: fileFilter,
     limits: {
         fileSize: 5 * 1024 * 1024 // 5MB max file size
     }
-});
+}));
+
+// CSV files (bank statements, imports) are parsed in memory, never stored
+const csvFilter = (req, file, cb) => {
+    if (file.mimetype === 'text/csv' || file.mimetype === 'application/vnd.ms-excel' || file.originalname.toLowerCase().endsWith('.csv')) {
+        cb(null, true);
+    } else {
+        cb(new Error('Only CSV files are allowed'), false);
+    }
+};
+
+// Upload middleware for CSV files
+exports.uploadCSV = keepContext(multer({
+    storage: multer.memoryStorage(),
+    fileFilter: csvFilter,
+    limits: {
+        fileSize: 2 * 1024 * 1024 // 2MB max file size
+    }
+}));
@@ -0,0 +1,69 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Edition = require('./models/Edition');
+const SystemSettings = require('./models/SystemSettings');
+
+// One-off move to editions: puts all existing data into a first edition
+// (named after the current settings) and swaps the global unique indexes
+// for per-edition ones. Safe to run again.
+const SCOPED_MODELS = [
+    'SubEvent', 'Participant', 'Round', 'Panel', 'Topic', 'Query', 'SystemSettings',
+    'PaymentSettings', 'Coupon', 'CouponRedemption', 'Payment', 'WithdrawalRequest',
+    'Refund', 'ProfileChangeRequest', 'ReconciliationReport', 'MergeRecord', 'Team',
+    'Group', 'Evaluation', 'WaitlistEntry', 'SeatReservation'
+];
+
+// Indexes that were unique across all data before editions
+const GLOBAL_INDEXES = {
+    Participant: ['email_1', 'mobile_1', 'prn_1'],
+    SubEvent: ['name_1'],
+    SystemSettings: ['key_1'],
+    Coupon: ['code_1'],
+    PaymentSettings: ['isActive_1']
+};
+
+const migrateEditions = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('Connected to MongoDB');
+
+        let edition = await Edition.findOne({ status: 'active' });
+        if (!edition) {
+            const settings = await SystemSettings.findOne({ key: 'core_settings' });
+            const name = settings?.eventName || 'VerbaFest 2026';
+            const year = settings?.eventDate ? settings.eventDate.getFullYear() : new Date().getFullYear();
+            edition = await Edition.create({ name, year, status: 'active', activatedAt: new Date() });
+            console.log(`Created edition "${name}" (${year})`);
+        } else {
+            console.log(`Using active edition "${edition.name}"`);
+        }
+
+        for (const name of SCOPED_MODELS) {
+            const Model = require(`./models/${name}`);
+
+            for (const index of GLOBAL_INDEXES[name] || []) {
+                try {
+                    await Model.collection.dropIndex(index);
+                    console.log(`Dropped ${name}.${index}`);
+                } catch (error) {
+                    // Already gone
+                }
+            }
+
+            const result = await Model.updateMany(
+                { edition: null },
+                { $set: { edition: edition._id } }
+            );
+            await Model.createIndexes();
+            console.log(`${name}: tagged ${result.modifiedCount} document(s)`);
+        }
+
+        console.log('Finished migrating to editions');
+        process.exit(0);
+    } catch (error) {
+        console.error('Error Message:', error.message);
+        process.exit(1);
+    }
+};
+
+migrateEditions();
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const editionScope = require('./plugins/editionScope');
+
+const CouponSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: [true, 'Please provide a coupon code'],
+        uppercase: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    discountType: {
+        type: String,
+        enum: ['percentage', 'fixed'],
+        default: 'percentage'
+    },
+    discountValue: {
+        type: Number,
+        required: [true, 'Please provide a discount value'],
+        min: 0
+    },
+    // Upper bound for percentage coupons (null = no cap)
+    maxDiscount: {
+        type: Number,
+        default: null
+    },
+    // Total redemptions allowed (null = unlimited)
+    maxUses: {
+        type: Number,
+        default: null
+    },
+    usedCount: {
+        type: Number,
+        default: 0
+    },
+    perParticipantLimit: {
+        type: Number,
+        default: 1
+    },
+    // Empty = applies to every sub-event
+    subEvents: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SubEvent'
+    }],
+    // Partner college codes: empty = any college
+    colleges: [{
+        type: String,
+        trim: true
+    }],
+    validFrom: {
+        type: Date,
+        default: null
+    },
+    validUntil: {
+        type: Date,
+        default: null
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+const normalizeCollege = (name) => (name || '').trim().toLowerCase();
+
+// Returns why the coupon cannot be used, or null if it can
+CouponSchema.methods.getIneligibilityReason = function ({ subEventIds = [], college, at = new Date() } = {}) {
+    if (!this.isActive) return 'This coupon is no longer active';
+    if (this.validFrom && at < this.validFrom) return 'This coupon is not valid yet';
+    if (this.validUntil && at > this.validUntil) return 'This coupon has expired';
+    if (this.maxUses !== null && this.maxUses !== undefined && this.usedCount >= this.maxUses) {
+        return 'This coupon has reached its usage limit';
+    }
+
+    if (this.colleges.length > 0) {
+        const allowed = this.colleges.map(normalizeCollege);
+        if (!allowed.includes(normalizeCollege(college))) {
+            return 'This coupon is not valid for your college';
+        }
+    }
+
+    if (this.subEvents.length > 0) {
+        const scoped = this.subEvents.map(id => id.toString());
+        if (!subEventIds.some(id => scoped.includes(id.toString()))) {
+            return 'This coupon does not apply to the selected events';
+        }
+    }
+
+    return null;
+};
+
+// Discount on the eligible part of the amount
+CouponSchema.methods.calculateDiscount = function (eligibleAmount) {
+    let discount = this.discountType === 'percentage'
+        ? (eligibleAmount * this.discountValue) / 100
+        : this.discountValue;
+
+    if (this.discountType === 'percentage' && this.maxDiscount) {
+        discount = Math.min(discount, this.maxDiscount);
+    }
+
+    return Math.min(discount, eligibleAmount);
+};
+
+CouponSchema.index({ edition: 1, code: 1 }, { unique: true });
+
+CouponSchema.plugin(editionScope);
+
+module.exports = mongoose.model('Coupon', CouponSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const editionScope = require('./plugins/editionScope');
+
+// Audit trail of every coupon use, for the finance office
+const CouponRedemptionSchema = new mongoose.Schema({
+    coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon',
+        required: true
+    },
+    code: {
+        type: String,
+        required: true
+    },
+    participant: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Participant',
+        required: true
+    },
+    subEvents: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SubEvent'
+    }],
+    subtotal: {
+        type: Number,
+        required: true
+    },
+    discountAmount: {
+        type: Number,
+        required: true
+    },
+    finalAmount: {
+        type: Number,
+        required: true
+    },
+    // Reversed when the registration it was used for is rejected or withdrawn
+    status: {
+        type: String,
+        enum: ['applied', 'reversed'],
+        default: 'applied'
+    }
+}, {
+    timestamps: true
+});
+
+CouponRedemptionSchema.index({ coupon: 1, createdAt: -1 });
+CouponRedemptionSchema.index({ participant: 1 });
+
+CouponRedemptionSchema.plugin(editionScope);
+
+module.exports = mongoose.model('CouponRedemption', CouponRedemptionSchema);
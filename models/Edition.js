@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// One year of the festival. Sub-events, participants, rounds, panels, topics,
+// queries and settings belong to an edition; only one is active at a time.
+const EditionSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Please provide an edition name'],
+        trim: true,
+        unique: true
+    },
+    year: {
+        type: Number,
+        required: [true, 'Please provide the edition year']
+    },
+    // upcoming: being set up; active: live; archived: read-only history
+    status: {
+        type: String,
+        enum: ['upcoming', 'active', 'archived'],
+        default: 'upcoming'
+    },
+    activatedAt: {
+        type: Date,
+        default: null
+    },
+    archivedAt: {
+        type: Date,
+        default: null
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Only one live edition
+EditionSchema.index({ status: 1 }, { unique: true, partialFilterExpression: { status: 'active' } });
+
+module.exports = mongoose.model('Edition', EditionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const editionScope = require('./plugins/editionScope');
 
 const EvaluationSchema = new mongoose.Schema({
     groupId: {
@@ -110,4 +111,6 @@ EvaluationSchema.index({ groupId: 1, panelId: 1 });
 EvaluationSchema.index({ roundId: 1 });
 EvaluationSchema.index({ judgeEmail: 1 });
 
+EvaluationSchema.plugin(editionScope);
+
 module.exports = mongoose.model('Evaluation', EvaluationSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const editionScope = require('./plugins/editionScope');
 
 const GroupSchema = new mongoose.Schema({
     subEventId: {
@@ -25,6 +26,12 @@ const GroupSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Participant'
     }],
+    // Registered team this group was seeded from (Round 1 of team events)
+    team: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Team',
+        default: null
+    },
     panelId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Panel',
@@ -64,4 +71,6 @@ const GroupSchema = new mongoose.Schema({
 GroupSchema.index({ subEventId: 1, roundId: 1 });
 GroupSchema.index({ panelId: 1 });
 
+GroupSchema.plugin(editionScope);
+
 module.exports = mongoose.model('Group', GroupSchema);
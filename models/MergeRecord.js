@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const editionScope = require('./plugins/editionScope');
+
+// Audit trail of two participant records merged into one, with enough of the
+// before/after state to undo the merge
+const MergeRecordSchema = new mongoose.Schema({
+    kept: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Participant',
+        required: true
+    },
+    // The removed record's ID (the document itself lives in mergedSnapshot)
+    mergedId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    // Full raw copy of the removed participant, password hash included
+    mergedSnapshot: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    // Kept participant's merged fields before and after the merge
+    keptBefore: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    keptAfter: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    // Rounds, groups, teams and evaluations whose membership lists changed
+    documents: [{
+        model: String,
+        docId: mongoose.Schema.Types.ObjectId,
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed
+    }],
+    // Records whose `participant` was switched to the kept participant
+    reassigned: [{
+        model: String,
+        ids: [mongoose.Schema.Types.ObjectId]
+    }],
+    // Waitlist entries / withdrawal requests cancelled as duplicates
+    cancelled: [{
+        model: String,
+        docId: mongoose.Schema.Types.ObjectId,
+        status: String
+    }],
+    // Seats the removed record held in events the kept one also had
+    releasedSeats: [{
+        subEvent: mongoose.Schema.Types.ObjectId,
+        status: String
+    }],
+    mergedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    status: {
+        type: String,
+        enum: ['merged', 'undone'],
+        default: 'merged'
+    },
+    undoneBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    undoneAt: {
+        type: Date,
+        default: null
+    },
+    // Fields changed again after the merge, which the undo left alone
+    undoConflicts: [String]
+}, {
+    timestamps: true
+});
+
+MergeRecordSchema.index({ kept: 1, createdAt: -1 });
+MergeRecordSchema.index({ mergedId: 1 });
+
+MergeRecordSchema.plugin(editionScope);
+
+module.exports = mongoose.model('MergeRecord', MergeRecordSchema);
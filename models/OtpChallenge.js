@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// One-time code sent to an email address or mobile number before registration
+const OtpChallengeSchema = new mongoose.Schema({
+    channel: {
+        type: String,
+        enum: ['email', 'sms'],
+        required: true
+    },
+    // Normalised email (lowercase) or 10-digit mobile number
+    destination: {
+        type: String,
+        required: true
+    },
+    // The code itself is never stored
+    codeHash: {
+        type: String,
+        required: true
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    verifiedAt: {
+        type: Date,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+OtpChallengeSchema.index({ channel: 1, destination: 1, createdAt: -1 });
+// Expired challenges are removed by MongoDB
+OtpChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OtpChallenge', OtpChallengeSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const editionScope = require('./plugins/editionScope');
 
 const PanelSchema = new mongoose.Schema({
     subEventId: {
@@ -86,4 +87,6 @@ PanelSchema.methods.generateAccessCode = function () {
 // Index for efficient queries
 PanelSchema.index({ subEventId: 1, roundId: 1 });
 
+PanelSchema.plugin(editionScope);
+
 module.exports = mongoose.model('Panel', PanelSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const editionScope = require('./plugins/editionScope');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const Counter = require('./Counter');
@@ -13,7 +14,6 @@ const ParticipantSchema = new mongoose.Schema({
     email: {
         type: String,
         required: [true, 'Please provide email'],
-        unique: true,
         lowercase: true,
         match: [
             /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
@@ -23,13 +23,10 @@ const ParticipantSchema = new mongoose.Schema({
     mobile: {
         type: String,
         required: [true, 'Please provide mobile number'],
-        unique: true,
         match: [/^[0-9]{10}$/, 'Please provide a valid 10-digit mobile number']
     },
     prn: {
         type: String,
-        unique: true,
-        sparse: true,
         trim: true,
         uppercase: true
     },
@@ -53,6 +50,13 @@ const ParticipantSchema = new mongoose.Schema({
         sparse: true
     },
 
+    // Same student's record in an earlier edition
+    carriedOverFrom: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Participant',
+        default: null
+    },
+
     // Registration Details
     registeredSubEvents: [{
         type: mongoose.Schema.Types.ObjectId,
@@ -111,6 +115,14 @@ const ParticipantSchema = new mongoose.Schema({
         default: {}
     },
 
+    // Answers to sub-event registration questions
+    // Format: { subEventId: { fieldKey: value } }
+    customResponses: {
+        type: Map,
+        of: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+
     // Global availability status
     currentStatus: {
         type: String,
@@ -171,6 +183,16 @@ const ParticipantSchema = new mongoose.Schema({
         type: String,
         minlength: 6,
         select: false
+    },
+    // Set while the password is one we generated (the mobile number); the
+    // participant must choose their own before using the portal
+    mustChangePassword: {
+        type: Boolean,
+        default: false
+    },
+    passwordChangedAt: {
+        type: Date,
+        default: null
     }
 }, {
     timestamps: true
@@ -205,10 +227,11 @@ ParticipantSchema.pre('save', async function () {
     this.password = await bcrypt.hash(this.password, salt);
 });
 
-// Sign JWT and return
-ParticipantSchema.methods.getSignedJwtToken = function () {
+// Sign JWT and return. Tokens from a password login carry
+// mustChangePassword so `protect` can hold them to the change-password route.
+ParticipantSchema.methods.getSignedJwtToken = function (claims = {}) {
     return jwt.sign(
-        { id: this._id, role: 'participant' },
+        { id: this._id, role: 'participant', ...claims },
         process.env.JWT_SECRET,
         { expiresIn: process.env.JWT_EXPIRE }
     );
@@ -257,4 +280,14 @@ ParticipantSchema.methods.updateSubEventStatus = async function (subEventId, sta
     await this.save();
 };
 
+// Email, mobile and PRN are unique within an edition; returning students get a
+// new record (and chest number) each year
+ParticipantSchema.index({ edition: 1, email: 1 }, { unique: true });
+ParticipantSchema.index({ edition: 1, mobile: 1 }, { unique: true });
+ParticipantSchema.index({ edition: 1, prn: 1 }, { unique: true, partialFilterExpression: { prn: { $type: 'string' } } });
+// Reused-proof lookups (transactionId is indexed through `sparse`)
+ParticipantSchema.index({ paymentProofUrl: 1 });
+
+ParticipantSchema.plugin(editionScope);
+
 module.exports = mongoose.model('Participant', ParticipantSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Single-use link for a participant to set a new password
+const PasswordResetTokenSchema = new mongoose.Schema({
+    participant: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Participant',
+        required: true
+    },
+    // The token itself is only ever sent to the participant
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Admin who issued the link (null when the participant asked for it)
+    issuedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    usedAt: {
+        type: Date,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+PasswordResetTokenSchema.index({ participant: 1, createdAt: -1 });
+// Expired tokens are removed by MongoDB
+PasswordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PasswordResetToken', PasswordResetTokenSchema);
@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const editionScope = require('./plugins/editionScope');
+
+// One entry per payment submission; approval happens per payment.
+// Participant.transactionId/paymentProofUrl/paidAmount only summarise the latest state.
+const PaymentSchema = new mongoose.Schema({
+    participant: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Participant',
+        required: true
+    },
+    // What the submission was for
+    kind: {
+        type: String,
+        enum: ['registration', 'add_events', 'resubmission'],
+        default: 'registration'
+    },
+    subEvents: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SubEvent'
+    }],
+    amount: {
+        type: Number,
+        default: 0
+    },
+    // What the pricing engine asked for at submission time
+    expectedAmount: {
+        type: Number,
+        default: null
+    },
+    // Exact pricing the student was quoted (utils/quotes.js); null for payments
+    // recorded without a quote
+    priceBreakdown: {
+        type: new mongoose.Schema({
+            quoteId: String,
+            quotedAt: Date,
+            lines: [{
+                subEvent: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: 'SubEvent'
+                },
+                name: String,
+                tier: String,
+                price: Number,
+                _id: false
+            }],
+            subtotal: Number,
+            bulkDiscount: Number,
+            comboDiscount: Number,
+            comboTier: String,
+            couponCode: String,
+            couponDiscount: Number,
+            total: Number
+        }, { _id: false }),
+        default: null
+    },
+    // Reference from the UPI note of the quote's QR (utils/upi.js), matched
+    // against statement narrations during reconciliation
+    paymentReference: {
+        type: String,
+        default: null
+    },
+    // UPI transaction reference (UTR)
+    transactionId: {
+        type: String,
+        required: [true, 'Please provide the transaction ID'],
+        trim: true
+    },
+    // First proof file; kept for older clients and reports
+    proofUrl: {
+        type: String,
+        required: [true, 'Please provide the payment proof']
+    },
+    // Every proof file (screenshots, bank PDFs). Empty for payments recorded
+    // before multiple files were allowed; proofUrl is the only file then.
+    attachments: [{
+        url: {
+            type: String,
+            required: true
+        },
+        kind: {
+            type: String,
+            enum: ['image', 'pdf'],
+            default: 'image'
+        },
+        // Rendered first page for PDFs, the image itself otherwise
+        thumbnailUrl: {
+            type: String,
+            default: null
+        },
+        pageCount: {
+            type: Number,
+            default: null
+        },
+        originalName: {
+            type: String,
+            default: ''
+        },
+        _id: false
+    }],
+    status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected'],
+        default: 'pending'
+    },
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    reviewedAt: {
+        type: Date,
+        default: null
+    },
+    reviewNotes: {
+        type: String,
+        default: ''
+    },
+    // Sequential receipt number, issued on approval (Counter: Payment.receiptNumber)
+    receiptNumber: {
+        type: Number,
+        unique: true,
+        sparse: true
+    },
+    receiptIssuedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+PaymentSchema.index({ participant: 1, createdAt: -1 });
+PaymentSchema.index({ status: 1, createdAt: -1 });
+PaymentSchema.index({ transactionId: 1 });
+// Reused-proof lookups
+PaymentSchema.index({ proofUrl: 1 });
+PaymentSchema.index({ 'attachments.url': 1 });
+PaymentSchema.index({ paymentReference: 1 }, { sparse: true });
+
+// Printed form of the receipt number, e.g. RCPT-000042
+PaymentSchema.virtual('receiptLabel').get(function () {
+    return this.receiptNumber ? `RCPT-${String(this.receiptNumber).padStart(6, '0')}` : null;
+});
+
+PaymentSchema.plugin(editionScope);
+
+module.exports = mongoose.model('Payment', PaymentSchema);
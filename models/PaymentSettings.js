@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const editionScope = require('./plugins/editionScope');
 
 const paymentSettingsSchema = new mongoose.Schema({
     // UPI Payment Details
@@ -36,6 +37,28 @@ const paymentSettingsSchema = new mongoose.Schema({
         }
     },
 
+    // Refunds on withdrawal: full before the first cutoff, partial before the second, none after
+    refundPolicy: {
+        enabled: {
+            type: Boolean,
+            default: true
+        },
+        fullRefundBefore: {
+            type: Date,
+            default: null
+        },
+        partialRefundBefore: {
+            type: Date,
+            default: null
+        },
+        partialRefundPercent: {
+            type: Number,
+            default: 50,
+            min: 0,
+            max: 100
+        }
+    },
+
     // QR Code Settings
     qrCodeEnabled: {
         type: Boolean,
@@ -67,8 +90,8 @@ const paymentSettingsSchema = new mongoose.Schema({
     timestamps: true
 });
 
-// Ensure only one active settings document
-paymentSettingsSchema.index({ isActive: 1 }, { unique: true, partialFilterExpression: { isActive: true } });
+// Ensure only one active settings document per edition
+paymentSettingsSchema.index({ edition: 1, isActive: 1 }, { unique: true, partialFilterExpression: { isActive: true } });
 
 // Static method to get active settings
 paymentSettingsSchema.statics.getActiveSettings = async function () {
@@ -103,4 +126,26 @@ paymentSettingsSchema.methods.calculateDiscount = function (totalAmount, eventCo
     }
 };
 
+// Method to work out the refund for a withdrawal requested at a given time
+paymentSettingsSchema.methods.calculateRefund = function (paidAmount, at = new Date()) {
+    const policy = this.refundPolicy || {};
+
+    if (!policy.enabled || paidAmount <= 0) {
+        return { policy: 'none', amount: 0 };
+    }
+
+    if (policy.fullRefundBefore && at < policy.fullRefundBefore) {
+        return { policy: 'full', amount: paidAmount };
+    }
+
+    if (policy.partialRefundBefore && at < policy.partialRefundBefore) {
+        const amount = Math.round((paidAmount * policy.partialRefundPercent) / 100 * 100) / 100;
+        return { policy: 'partial', amount };
+    }
+
+    return { policy: 'none', amount: 0 };
+};
+
+paymentSettingsSchema.plugin(editionScope);
+
 module.exports = mongoose.model('PaymentSettings', paymentSettingsSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const editionScope = require('./plugins/editionScope');
+
+// Changes to identity fields (name, PRN, college) proposed by a participant,
+// applied once an admin approves them
+const ProfileChangeRequestSchema = new mongoose.Schema({
+    participant: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Participant',
+        required: true
+    },
+    changes: [{
+        field: {
+            type: String,
+            required: true
+        },
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed,
+        // Why a normally self-service field needs review
+        note: {
+            type: String,
+            default: ''
+        }
+    }],
+    reason: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected', 'cancelled'],
+        default: 'pending'
+    },
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    reviewedAt: {
+        type: Date,
+        default: null
+    },
+    reviewNotes: {
+        type: String,
+        default: ''
+    }
+}, {
+    timestamps: true
+});
+
+// One open request per participant; new proposals are folded into it
+ProfileChangeRequestSchema.index(
+    { participant: 1 },
+    { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+ProfileChangeRequestSchema.index({ status: 1, createdAt: 1 });
+
+ProfileChangeRequestSchema.plugin(editionScope);
+
+module.exports = mongoose.model('ProfileChangeRequest', ProfileChangeRequestSchema);
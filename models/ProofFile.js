@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// What we learnt about an uploaded payment proof, looked up by URL when the
+// registration that uses it is submitted
+const ProofFileSchema = new mongoose.Schema({
+    url: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    kind: {
+        type: String,
+        enum: ['image', 'pdf'],
+        required: true
+    },
+    // Rendered first page (PDFs only)
+    thumbnailUrl: {
+        type: String,
+        default: null
+    },
+    pageCount: {
+        type: Number,
+        default: null
+    },
+    originalName: {
+        type: String,
+        default: ''
+    },
+    size: {
+        type: Number,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('ProofFile', ProofFileSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Hash of an uploaded payment proof's pixels, used to spot reused screenshots
+const ProofFingerprintSchema = new mongoose.Schema({
+    url: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // SHA-256 of the decoded pixels (PDFs: of the rendered first page)
+    hash: {
+        type: String,
+        required: true
+    },
+    // How the hash was made; others are recomputed
+    algorithm: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+ProofFingerprintSchema.index({ hash: 1, algorithm: 1 });
+
+module.exports = mongoose.model('ProofFingerprint', ProofFingerprintSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const editionScope = require('./plugins/editionScope');
 
 const QuerySchema = new mongoose.Schema({
     fullName: {
@@ -52,4 +53,6 @@ QuerySchema.index({ status: 1, createdAt: -1 });
 QuerySchema.index({ email: 1 });
 QuerySchema.index({ mobile: 1 });
 
+QuerySchema.plugin(editionScope);
+
 module.exports = mongoose.model('Query', QuerySchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// A price quote that has been submitted. The unique quoteId lets only one
+// request use a quote; the claim is removed when that request fails.
+const QuoteClaimSchema = new mongoose.Schema({
+    quoteId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    kind: {
+        type: String,
+        enum: ['registration', 'add_events', 'resubmission'],
+        required: true
+    },
+    // The quote cannot be submitted after this, so the claim is not needed either
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Expired claims are removed by MongoDB
+QuoteClaimSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('QuoteClaim', QuoteClaimSchema);
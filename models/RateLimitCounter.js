@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Request or failed-login count for one client (IP), or one identity (email,
+// access code) at one client, on one protected endpoint
+const RateLimitCounterSchema = new mongoose.Schema({
+    // `${scope}:${purpose}:${kind}:${value}`
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    scope: {
+        type: String,
+        required: true
+    },
+    // 'requests' for rate limits, 'failures' for login lockouts
+    purpose: {
+        type: String,
+        enum: ['requests', 'failures'],
+        required: true
+    },
+    kind: {
+        type: String,
+        enum: ['ip', 'identity'],
+        required: true
+    },
+    // IP, or `${identity}|${ip}`
+    value: {
+        type: String,
+        required: true
+    },
+    count: {
+        type: Number,
+        default: 0
+    },
+    windowEndsAt: {
+        type: Date,
+        required: true
+    },
+    blockedUntil: {
+        type: Date,
+        default: null
+    },
+    lastIp: {
+        type: String,
+        default: ''
+    },
+    // Counters are removed once both the window and any block have passed
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+RateLimitCounterSchema.index({ blockedUntil: 1 });
+RateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitCounter', RateLimitCounterSchema);
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const editionScope = require('./plugins/editionScope');
+
+// Result of matching an uploaded bank/UPI statement against submitted payments
+const ReconciliationReportSchema = new mongoose.Schema({
+    fileName: {
+        type: String,
+        default: ''
+    },
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Which statement columns were used
+    columns: {
+        utr: String,
+        amount: String,
+        date: String,
+        narration: String
+    },
+    summary: {
+        totalRows: { type: Number, default: 0 },
+        matched: { type: Number, default: 0 },
+        underpaid: { type: Number, default: 0 },
+        amountMismatch: { type: Number, default: 0 },
+        duplicate: { type: Number, default: 0 },
+        unclaimed: { type: Number, default: 0 },
+        alreadyApproved: { type: Number, default: 0 },
+        skipped: { type: Number, default: 0 },
+        missingFromStatement: { type: Number, default: 0 }
+    },
+    // One entry per statement row
+    rows: [{
+        rowNumber: Number,
+        utr: String,
+        amount: Number,
+        date: String,
+        narration: String,
+        status: {
+            type: String,
+            enum: ['matched', 'underpaid', 'amount_mismatch', 'duplicate', 'unclaimed', 'already_approved', 'skipped']
+        },
+        note: String,
+        payment: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Payment',
+            default: null
+        },
+        participant: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Participant',
+            default: null
+        },
+        approvedAt: {
+            type: Date,
+            default: null
+        }
+    }],
+    // Pending claims whose UTR does not appear anywhere in the statement
+    missingFromStatement: [{
+        payment: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Payment',
+            default: null
+        },
+        participant: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Participant'
+        },
+        transactionId: String,
+        amount: Number
+    }]
+}, {
+    timestamps: true
+});
+
+ReconciliationReportSchema.plugin(editionScope);
+
+module.exports = mongoose.model('ReconciliationReport', ReconciliationReportSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const editionScope = require('./plugins/editionScope');
+
+// Refund ledger: one entry per payout owed to a participant
+const RefundSchema = new mongoose.Schema({
+    participant: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Participant',
+        required: true
+    },
+    withdrawal: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WithdrawalRequest',
+        default: null
+    },
+    subEvent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SubEvent',
+        default: null
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'paid', 'failed'],
+        default: 'pending'
+    },
+    method: {
+        type: String,
+        enum: ['upi', 'bank_transfer', 'cash', 'other'],
+        default: 'upi'
+    },
+    // Payout transaction reference
+    reference: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    notes: {
+        type: String,
+        default: ''
+    },
+    processedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    paidAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+RefundSchema.index({ status: 1, createdAt: 1 });
+RefundSchema.index({ participant: 1 });
+
+RefundSchema.plugin(editionScope);
+
+module.exports = mongoose.model('Refund', RefundSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const editionScope = require('./plugins/editionScope');
+
+// Help-desk code that lets a student register outside the registration window
+const RegistrationOverrideSchema = new mongoose.Schema({
+    // The code itself is only shown to the admin who issued it
+    codeHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Who it was issued for, e.g. the student's name (shown in the admin list)
+    note: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    maxUses: {
+        type: Number,
+        default: 1,
+        min: 1
+    },
+    usedCount: {
+        type: Number,
+        default: 0
+    },
+    uses: [{
+        participant: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Participant'
+        },
+        action: {
+            type: String,
+            enum: ['submit', 'add-events', 'resubmit-payment']
+        },
+        usedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    issuedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+RegistrationOverrideSchema.index({ createdAt: -1 });
+
+RegistrationOverrideSchema.plugin(editionScope);
+
+module.exports = mongoose.model('RegistrationOverride', RegistrationOverrideSchema);
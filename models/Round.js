@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const editionScope = require('./plugins/editionScope');
 
 const roundSchema = new mongoose.Schema({
     subEvent: {
@@ -47,4 +48,6 @@ const roundSchema = new mongoose.Schema({
 // Ensure a sub-event doesn't have duplicate round numbers
 roundSchema.index({ subEvent: 1, roundNumber: 1 }, { unique: true });
 
+roundSchema.plugin(editionScope);
+
 module.exports = mongoose.model('Round', roundSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const editionScope = require('./plugins/editionScope');
+
+const SeatReservationSchema = new mongoose.Schema({
+    subEvent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SubEvent',
+        required: true
+    },
+    participant: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Participant',
+        required: true
+    },
+    // held while the registration is pending, confirmed on approval, released otherwise
+    status: {
+        type: String,
+        enum: ['held', 'confirmed', 'released'],
+        default: 'held'
+    },
+    source: {
+        type: String,
+        enum: ['registration', 'waitlist', 'admin'],
+        default: 'registration'
+    },
+    // Only set for holds that lapse on their own (waitlist offers)
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+    confirmedAt: Date,
+    releasedAt: Date,
+    releaseReason: String
+}, {
+    timestamps: true
+});
+
+// At most one live seat per participant per sub-event
+SeatReservationSchema.index(
+    { subEvent: 1, participant: 1 },
+    { unique: true, partialFilterExpression: { status: { $in: ['held', 'confirmed'] } } }
+);
+SeatReservationSchema.index({ status: 1, expiresAt: 1 });
+
+SeatReservationSchema.plugin(editionScope);
+
+module.exports = mongoose.model('SeatReservation', SeatReservationSchema);
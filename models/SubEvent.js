@@ -1,11 +1,11 @@
 const mongoose = require('mongoose');
+const editionScope = require('./plugins/editionScope');
 
 const SubEventSchema = new mongoose.Schema({
     name: {
         type: String,
         required: [true, 'Please provide sub-event name'],
-        trim: true,
-        unique: true
+        trim: true
     },
     description: {
         type: String,
@@ -20,6 +20,29 @@ const SubEventSchema = new mongoose.Schema({
         type: Number,
         default: 50
     },
+    // Time-based tiers (early-bird, regular, on-spot...). Falls back to registrationPrice
+    // when no tier covers the current time.
+    priceSchedule: [{
+        name: {
+            type: String,
+            required: [true, 'Please provide a tier name'],
+            trim: true
+        },
+        price: {
+            type: Number,
+            required: [true, 'Please provide a tier price'],
+            min: 0
+        },
+        // null = open-ended on that side
+        startsAt: {
+            type: Date,
+            default: null
+        },
+        endsAt: {
+            type: Date,
+            default: null
+        }
+    }],
     // Group-based event settings
     groupSizeRange: {
         min: {
@@ -49,11 +72,16 @@ const SubEventSchema = new mongoose.Schema({
         type: Date,
         default: null
     },
-    // Event timing (optional - for reference only)
+    // Event timing (optional). Used with round times for clash checks at registration.
     startTime: {
         type: Date,
         default: null
     },
+    // null = startTime plus SystemSettings.defaultSlotMinutes
+    endTime: {
+        type: Date,
+        default: null
+    },
     // Event status - controlled by admin
     status: {
         type: String,
@@ -81,6 +109,79 @@ const SubEventSchema = new mongoose.Schema({
         type: String,
         default: ''
     },
+    // Who may enter; empty lists mean no restriction (checked by utils/eligibility.js)
+    eligibility: {
+        years: [{
+            type: Number,
+            min: 1,
+            max: 4
+        }],
+        branches: [{
+            type: String,
+            trim: true
+        }],
+        colleges: [{
+            type: String,
+            trim: true
+        }],
+        allowExternal: {
+            type: Boolean,
+            default: true
+        },
+        // Entrants may hold at most this many events in total (null = no limit)
+        maxEventsPerParticipant: {
+            type: Number,
+            default: null,
+            min: 1
+        }
+    },
+    // Extra questions asked at registration (validated by utils/formFields.js)
+    formFields: [{
+        // Answer key, unique within the sub-event (e.g. "tshirt_size")
+        key: {
+            type: String,
+            required: [true, 'Please provide a field key'],
+            trim: true,
+            match: [/^[a-z0-9_]+$/, 'Field keys may only contain lowercase letters, digits and underscores']
+        },
+        label: {
+            type: String,
+            required: [true, 'Please provide a field label'],
+            trim: true
+        },
+        type: {
+            type: String,
+            enum: ['text', 'select', 'number', 'checkbox', 'file'],
+            default: 'text'
+        },
+        required: {
+            type: Boolean,
+            default: false
+        },
+        // Choices for select fields
+        options: [{
+            type: String,
+            trim: true
+        }],
+        // Length limits for text, value limits for number
+        min: {
+            type: Number,
+            default: null
+        },
+        max: {
+            type: Number,
+            default: null
+        },
+        // Optional regex for text fields
+        pattern: {
+            type: String,
+            default: ''
+        },
+        helpText: {
+            type: String,
+            default: ''
+        }
+    }],
     // Rounds will be added dynamically
     rounds: [{
         type: mongoose.Schema.Types.ObjectId,
@@ -91,23 +192,37 @@ const SubEventSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    // Seat ledger counters, only changed through utils/seatLedger.js
+    // approvedParticipants + heldSeats never exceeds maxParticipants
     approvedParticipants: {
         type: Number,
         default: 0
+    },
+    heldSeats: {
+        type: Number,
+        default: 0
     }
 }, {
     timestamps: true
 });
 
-// Update registration count
+// Recompute seat counters from the seat ledger (repair path, not used on the hot path)
 SubEventSchema.methods.updateRegistrationCount = async function () {
-    const Participant = mongoose.model('Participant');
-    const count = await Participant.countDocuments({
-        registeredSubEvents: this._id,
-        registrationStatus: 'approved'
-    });
-    this.approvedParticipants = count;
-    await this.save();
+    const SeatReservation = mongoose.model('SeatReservation');
+    const [confirmed, held] = await Promise.all([
+        SeatReservation.countDocuments({ subEvent: this._id, status: 'confirmed' }),
+        SeatReservation.countDocuments({ subEvent: this._id, status: 'held' })
+    ]);
+    await this.constructor.updateOne(
+        { _id: this._id },
+        { $set: { approvedParticipants: confirmed, heldSeats: held } }
+    );
+    this.approvedParticipants = confirmed;
+    this.heldSeats = held;
 };
 
+SubEventSchema.index({ edition: 1, name: 1 }, { unique: true });
+
+SubEventSchema.plugin(editionScope);
+
 module.exports = mongoose.model('SubEvent', SubEventSchema);
@@ -1,10 +1,10 @@
 const mongoose = require('mongoose');
+const editionScope = require('./plugins/editionScope');
 
 const systemSettingsSchema = new mongoose.Schema({
     key: {
         type: String,
         required: true,
-        unique: true,
         default: 'core_settings'
     },
     eventName: {
@@ -12,6 +12,8 @@ const systemSettingsSchema = new mongoose.Schema({
         default: 'VerbaFest 2026'
     },
     eventDate: Date,
+    // Registration window; either end may be left open (see utils/registrationWindow.js)
+    registrationOpensAt: Date,
     registrationDeadline: Date,
     isRegistrationOpen: {
         type: Boolean,
@@ -22,6 +24,7 @@ const systemSettingsSchema = new mongoose.Schema({
         default: false
     },
     contactEmail: String,
+    // Cap on pending + approved registrations across all events (unset = no cap)
     maxGlobalParticipants: Number,
     singleEventQrCodeUrl: {
         type: String,
@@ -43,10 +46,37 @@ const systemSettingsSchema = new mongoose.Schema({
         type: [String],
         default: ["Kit's college of enginnering, Kolhapur"]
     },
+    // Students from any other college count as external for eligibility rules
+    hostColleges: {
+        type: [String],
+        default: ["Kit's college of enginnering, Kolhapur"]
+    },
     comboPrice: {
         type: Number,
         default: 150
     },
+    // Time-based tiers for the combo, same shape as SubEvent.priceSchedule
+    comboPriceSchedule: [{
+        name: {
+            type: String,
+            required: [true, 'Please provide a tier name'],
+            trim: true
+        },
+        price: {
+            type: Number,
+            required: [true, 'Please provide a tier price'],
+            min: 0
+        },
+        // null = open-ended on that side
+        startsAt: {
+            type: Date,
+            default: null
+        },
+        endsAt: {
+            type: Date,
+            default: null
+        }
+    }],
     showSubEventsOnPublicPage: {
         type: Boolean,
         default: false
@@ -58,9 +88,84 @@ const systemSettingsSchema = new mongoose.Schema({
     pauseRegistrations: {
         type: Boolean,
         default: false
+    },
+    // Channels a student must verify with a one-time code before submitting
+    otpVerification: {
+        email: {
+            type: Boolean,
+            default: true
+        },
+        mobile: {
+            type: Boolean,
+            default: false
+        }
+    },
+    // Throttling of public endpoints. Each limit allows `maxPerIp` requests
+    // per client and `maxPerIdentity` per email/access code in a window.
+    abuseProtection: {
+        enabled: {
+            type: Boolean,
+            default: true
+        },
+        limits: {
+            type: Map,
+            of: new mongoose.Schema({
+                windowMinutes: { type: Number, min: 1 },
+                maxPerIp: { type: Number, min: 0 },
+                maxPerIdentity: { type: Number, min: 0 }
+            }, { _id: false }),
+            // maxPerIdentity counts one email/mobile at one client; maxPerIp is a
+            // ceiling for the whole client, sized for a campus behind one NAT
+            default: () => ({
+                registration: { windowMinutes: 60, maxPerIp: 200, maxPerIdentity: 3 },
+                'proof-upload': { windowMinutes: 60, maxPerIp: 300, maxPerIdentity: 0 },
+                'form-upload': { windowMinutes: 60, maxPerIp: 300, maxPerIdentity: 0 },
+                otp: { windowMinutes: 60, maxPerIp: 200, maxPerIdentity: 5 },
+                'otp-verify': { windowMinutes: 60, maxPerIp: 300, maxPerIdentity: 10 },
+                queries: { windowMinutes: 60, maxPerIp: 50, maxPerIdentity: 3 },
+                login: { windowMinutes: 15, maxPerIp: 300, maxPerIdentity: 10 },
+                'judge-login': { windowMinutes: 15, maxPerIp: 100, maxPerIdentity: 0 },
+                'password-reset': { windowMinutes: 60, maxPerIp: 50, maxPerIdentity: 3 }
+            })
+        },
+        // Failed logins before an email (at one client) or a whole client is locked out
+        lockout: {
+            maxFailuresPerIdentity: { type: Number, default: 5, min: 1 },
+            maxFailuresPerIp: { type: Number, default: 100, min: 1 },
+            windowMinutes: { type: Number, default: 15, min: 1 },
+            lockMinutes: { type: Number, default: 15, min: 1 }
+        },
+        // Client IPs that are never throttled (e.g. the venue help desk)
+        allowlist: {
+            type: [String],
+            default: []
+        }
+    },
+    // What to do when a student picks events whose time slots overlap
+    clashPolicy: {
+        type: String,
+        enum: ['off', 'warn', 'block'],
+        default: 'warn'
+    },
+    // Assumed length of an event or round with a start time but no end time
+    defaultSlotMinutes: {
+        type: Number,
+        default: 60,
+        min: 1
+    },
+    // How long a waitlisted participant has to pay once offered a seat
+    waitlistOfferHours: {
+        type: Number,
+        default: 24,
+        min: 1
     }
 }, {
     timestamps: true
 });
 
+// One settings document per edition
+systemSettingsSchema.index({ edition: 1, key: 1 }, { unique: true });
+
+systemSettingsSchema.plugin(editionScope);
+
 module.exports = mongoose.model('SystemSettings', systemSettingsSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const editionScope = require('./plugins/editionScope');
+
+const TeamSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Please provide a team name'],
+        trim: true
+    },
+    subEvent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SubEvent',
+        required: true
+    },
+    captain: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Participant',
+        required: true
+    },
+    // Captain is always the first member
+    members: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Participant'
+    }],
+    // Shared with teammates so they can join
+    inviteCode: {
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true
+    },
+    // 'forming' until the team reaches the sub-event's minimum size
+    status: {
+        type: String,
+        enum: ['forming', 'complete'],
+        default: 'forming'
+    }
+}, {
+    timestamps: true
+});
+
+// Team names are unique within a sub-event
+TeamSchema.index({ subEvent: 1, name: 1 }, { unique: true });
+TeamSchema.index({ subEvent: 1, members: 1 });
+
+// Generate a short invite code that is not in use yet
+TeamSchema.statics.generateInviteCode = async function () {
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const code = Math.random().toString(36).substring(2, 8).toUpperCase();
+        const exists = await this.exists({ inviteCode: code });
+        if (code.length === 6 && !exists) return code;
+    }
+    throw new Error('Could not generate a unique invite code');
+};
+
+// Recompute status against the sub-event's group size range
+TeamSchema.methods.refreshStatus = function (subEvent) {
+    const minSize = subEvent.groupSizeRange?.min || 1;
+    this.status = this.members.length >= minSize ? 'complete' : 'forming';
+    return this.status;
+};
+
+TeamSchema.plugin(editionScope);
+
+module.exports = mongoose.model('Team', TeamSchema);
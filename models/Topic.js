@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const editionScope = require('./plugins/editionScope');
 
 const topicSchema = new mongoose.Schema({
     content: {
@@ -33,4 +34,6 @@ const topicSchema = new mongoose.Schema({
     timestamps: true
 });
 
+topicSchema.plugin(editionScope);
+
 module.exports = mongoose.model('Topic', topicSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const editionScope = require('./plugins/editionScope');
+
+const WaitlistEntrySchema = new mongoose.Schema({
+    subEvent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SubEvent',
+        required: true
+    },
+    participant: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Participant',
+        required: true
+    },
+    // waiting -> offered -> claimed, or dropped out as cancelled/expired
+    status: {
+        type: String,
+        enum: ['waiting', 'offered', 'claimed', 'cancelled', 'expired'],
+        default: 'waiting'
+    },
+    offeredAt: {
+        type: Date,
+        default: null
+    },
+    // Mirrors the seat hold's expiry; lapses unless the participant has submitted payment
+    offerExpiresAt: {
+        type: Date,
+        default: null
+    },
+    paymentSubmittedAt: {
+        type: Date,
+        default: null
+    },
+    // Set when an admin promoted the entry by hand
+    promotedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Queue order is join time; one live entry per participant per sub-event
+WaitlistEntrySchema.index({ subEvent: 1, status: 1, createdAt: 1 });
+WaitlistEntrySchema.index(
+    { subEvent: 1, participant: 1 },
+    { unique: true, partialFilterExpression: { status: { $in: ['waiting', 'offered'] } } }
+);
+
+// 1-based position among waiting entries
+WaitlistEntrySchema.methods.getPosition = async function () {
+    if (this.status !== 'waiting') return null;
+    const ahead = await this.constructor.countDocuments({
+        subEvent: this.subEvent,
+        status: 'waiting',
+        createdAt: { $lt: this.createdAt }
+    });
+    return ahead + 1;
+};
+
+WaitlistEntrySchema.plugin(editionScope);
+
+module.exports = mongoose.model('WaitlistEntry', WaitlistEntrySchema);
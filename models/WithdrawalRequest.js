@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const editionScope = require('./plugins/editionScope');
+
+// A participant asking to drop one sub-event, reviewed by an admin
+const WithdrawalRequestSchema = new mongoose.Schema({
+    participant: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Participant',
+        required: true
+    },
+    subEvent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SubEvent',
+        required: true
+    },
+    reason: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected', 'cancelled'],
+        default: 'pending'
+    },
+    // Share of the participant's payments attributed to this sub-event
+    paidAmount: {
+        type: Number,
+        default: 0
+    },
+    // Refund policy in effect when the request was made
+    refundPolicy: {
+        type: String,
+        enum: ['full', 'partial', 'none'],
+        default: 'none'
+    },
+    refundAmount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    reviewedAt: {
+        type: Date,
+        default: null
+    },
+    reviewNotes: {
+        type: String,
+        default: ''
+    }
+}, {
+    timestamps: true
+});
+
+// One open request per participant and sub-event
+WithdrawalRequestSchema.index(
+    { participant: 1, subEvent: 1 },
+    { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+WithdrawalRequestSchema.index({ status: 1, createdAt: 1 });
+
+WithdrawalRequestSchema.plugin(editionScope);
+
+module.exports = mongoose.model('WithdrawalRequest', WithdrawalRequestSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const { currentEdition } = require('../../utils/editionContext');
+
+const QUERY_HOOKS = [
+    'countDocuments', 'deleteMany', 'deleteOne', 'distinct', 'find', 'findOne',
+    'findOneAndDelete', 'findOneAndReplace', 'findOneAndUpdate', 'replaceOne',
+    'updateMany', 'updateOne'
+];
+
+/**
+ * Scope a model to the current edition: documents get an `edition` field,
+ * new ones are tagged with the current edition and queries only see it.
+ * Queries that filter on `edition` themselves, or set the `allEditions`
+ * option, are left alone. Outside an edition context nothing is filtered.
+ */
+module.exports = function editionScope(schema) {
+    schema.add({
+        edition: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Edition',
+            default: null
+        }
+    });
+    schema.index({ edition: 1 });
+
+    schema.pre('save', function () {
+        const edition = currentEdition();
+        if (this.isNew && !this.edition && edition) {
+            this.edition = edition._id;
+        }
+    });
+
+    schema.pre('insertMany', function (docs) {
+        const edition = currentEdition();
+        if (edition && Array.isArray(docs)) {
+            docs.forEach(doc => {
+                if (!doc.edition) doc.edition = edition._id;
+            });
+        }
+    });
+
+    schema.pre(QUERY_HOOKS, function () {
+        const edition = currentEdition();
+        if (!edition || this.getOptions().allEditions || this.getFilter().edition !== undefined) {
+            return;
+        }
+        this.where({ edition: edition._id });
+    });
+
+    schema.pre('aggregate', function () {
+        const edition = currentEdition();
+        if (!edition || this.options.allEditions) {
+            return;
+        }
+        const first = this.pipeline()[0];
+        if (first?.$match?.edition !== undefined) {
+            return;
+        }
+        this.pipeline().unshift({ $match: { edition: edition._id } });
+    });
+};
@@ -0,0 +1,180 @@
+const express = require('express');
+const router = express.Router();
+const Coupon = require('../../models/Coupon');
+const CouponRedemption = require('../../models/CouponRedemption');
+const { protect, authorize } = require('../../middleware/auth');
+
+// All routes are protected and require admin role
+router.use(protect);
+router.use(authorize('admin'));
+
+const EDITABLE_FIELDS = [
+    'description',
+    'discountType',
+    'discountValue',
+    'maxDiscount',
+    'maxUses',
+    'perParticipantLimit',
+    'subEvents',
+    'colleges',
+    'validFrom',
+    'validUntil',
+    'isActive'
+];
+
+// @route   GET /api/admin/coupons
+// @desc    Get all coupons
+// @access  Private (Admin)
+router.get('/', async (req, res, next) => {
+    try {
+        const coupons = await Coupon.find()
+            .populate('subEvents', 'name')
+            .sort({ createdAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            count: coupons.length,
+            data: coupons
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   GET /api/admin/coupons/redemptions
+// @desc    Get coupon redemptions for audit (filter by coupon or participant)
+// @access  Private (Admin)
+router.get('/redemptions', async (req, res, next) => {
+    try {
+        const { coupon, participant, status } = req.query;
+
+        const filter = {};
+        if (coupon) filter.coupon = coupon;
+        if (participant) filter.participant = participant;
+        if (status) filter.status = status;
+
+        const redemptions = await CouponRedemption.find(filter)
+            .populate('participant', 'fullName email chestNumber college transactionId')
+            .populate('subEvents', 'name')
+            .sort({ createdAt: -1 });
+
+        const totalDiscount = redemptions
+            .filter(r => r.status === 'applied')
+            .reduce((total, r) => total + r.discountAmount, 0);
+
+        res.status(200).json({
+            success: true,
+            count: redemptions.length,
+            totalDiscount,
+            data: redemptions
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/admin/coupons
+// @desc    Create a coupon
+// @access  Private (Admin)
+router.post('/', async (req, res, next) => {
+    try {
+        const { code, discountValue } = req.body;
+
+        if (!code || discountValue === undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide code and discountValue'
+            });
+        }
+
+        const existing = await Coupon.findOne({ code: code.trim().toUpperCase() });
+        if (existing) {
+            return res.status(400).json({
+                success: false,
+                message: 'A coupon with this code already exists'
+            });
+        }
+
+        const data = { code, createdBy: req.user._id };
+        EDITABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) data[field] = req.body[field];
+        });
+
+        const coupon = await Coupon.create(data);
+
+        res.status(201).json({
+            success: true,
+            message: 'Coupon created successfully',
+            data: coupon
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   PUT /api/admin/coupons/:id
+// @desc    Update a coupon (code and usage count are fixed)
+// @access  Private (Admin)
+router.put('/:id', async (req, res, next) => {
+    try {
+        const coupon = await Coupon.findById(req.params.id);
+
+        if (!coupon) {
+            return res.status(404).json({
+                success: false,
+                message: 'Coupon not found'
+            });
+        }
+
+        EDITABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) coupon[field] = req.body[field];
+        });
+        await coupon.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Coupon updated successfully',
+            data: coupon
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   DELETE /api/admin/coupons/:id
+// @desc    Delete an unused coupon, or deactivate a used one
+// @access  Private (Admin)
+router.delete('/:id', async (req, res, next) => {
+    try {
+        const coupon = await Coupon.findById(req.params.id);
+
+        if (!coupon) {
+            return res.status(404).json({
+                success: false,
+                message: 'Coupon not found'
+            });
+        }
+
+        // Keep redeemed coupons so the audit trail stays intact
+        const redeemed = await CouponRedemption.exists({ coupon: coupon._id });
+        if (redeemed) {
+            coupon.isActive = false;
+            await coupon.save();
+            return res.status(200).json({
+                success: true,
+                message: 'Coupon has redemptions, so it was deactivated instead of deleted'
+            });
+        }
+
+        await coupon.deleteOne();
+
+        res.status(200).json({
+            success: true,
+            message: 'Coupon deleted successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
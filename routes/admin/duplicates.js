@@ -0,0 +1,104 @@
+const express = require('express');
+const router = express.Router();
+const MergeRecord = require('../../models/MergeRecord');
+const { protect, authorize } = require('../../middleware/auth');
+const { findDuplicateCandidates, mergeParticipants, undoMerge } = require('../../utils/duplicates');
+
+// All routes are protected and require admin role
+router.use(protect);
+router.use(authorize('admin'));
+
+// @route   GET /api/admin/duplicates
+// @desc    Find likely duplicate participants (same PRN, name + college, email alias or mobile)
+// @access  Private (Admin)
+router.get('/', async (req, res, next) => {
+    try {
+        const groups = await findDuplicateCandidates();
+
+        res.status(200).json({
+            success: true,
+            count: groups.length,
+            data: groups
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/admin/duplicates/merge
+// @desc    Merge mergeId into keepId. chestNumberFrom ('kept' | 'merged') picks the chest number kept.
+// @access  Private (Admin)
+router.post('/merge', async (req, res, next) => {
+    try {
+        const { keepId, mergeId, chestNumberFrom } = req.body;
+
+        const { participant, record } = await mergeParticipants(keepId, mergeId, {
+            chestNumberFrom,
+            mergedBy: req.user._id,
+            io: req.app.get('io')
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `Merged into ${participant.fullName} (#${participant.chestNumber})`,
+            data: {
+                participant,
+                mergeRecordId: record._id
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   GET /api/admin/duplicates/merges
+// @desc    List past merges
+// @access  Private (Admin)
+router.get('/merges', async (req, res, next) => {
+    try {
+        const records = await MergeRecord.find()
+            .select('-mergedSnapshot.password -documents')
+            .populate('kept', 'fullName email chestNumber')
+            .populate('mergedBy', 'name email')
+            .populate('undoneBy', 'name email')
+            .sort({ createdAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            count: records.length,
+            data: records
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/admin/duplicates/merges/:id/undo
+// @desc    Undo a merge and restore the removed participant
+// @access  Private (Admin)
+router.post('/merges/:id/undo', async (req, res, next) => {
+    try {
+        const record = await MergeRecord.findById(req.params.id);
+
+        if (!record) {
+            return res.status(404).json({
+                success: false,
+                message: 'Merge record not found'
+            });
+        }
+
+        const { conflicts } = await undoMerge(record, req.user._id);
+
+        res.status(200).json({
+            success: true,
+            message: conflicts.length > 0
+                ? `Merge undone. ${conflicts.length} item(s) changed since the merge were left as they are.`
+                : 'Merge undone',
+            data: { conflicts }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,157 @@
+const express = require('express');
+const router = express.Router();
+const Edition = require('../../models/Edition');
+const Participant = require('../../models/Participant');
+const SubEvent = require('../../models/SubEvent');
+const { protect, authorize } = require('../../middleware/auth');
+const { createEdition, activateEdition, archiveEdition, carryOverParticipants } = require('../../utils/editions');
+
+// All routes are protected and require admin role
+router.use(protect);
+router.use(authorize('admin'));
+
+// @route   GET /api/admin/editions
+// @desc    List editions with participant and sub-event counts
+// @access  Private (Admin)
+router.get('/', async (req, res, next) => {
+    try {
+        const editions = await Edition.find().sort({ year: -1, createdAt: -1 });
+
+        const count = async (Model) => {
+            const rows = await Model.aggregate([{ $group: { _id: '$edition', count: { $sum: 1 } } }])
+                .option({ allEditions: true });
+            return new Map(rows.map(row => [String(row._id), row.count]));
+        };
+        const participants = await count(Participant);
+        const subEvents = await count(SubEvent);
+
+        res.status(200).json({
+            success: true,
+            count: editions.length,
+            data: editions.map(edition => ({
+                ...edition.toObject(),
+                participantCount: participants.get(edition._id.toString()) || 0,
+                subEventCount: subEvents.get(edition._id.toString()) || 0
+            }))
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/admin/editions
+// @desc    Create an upcoming edition; copySettingsFrom copies settings from another edition
+// @access  Private (Admin)
+router.post('/', async (req, res, next) => {
+    try {
+        const { name, year, copySettingsFrom } = req.body;
+
+        const edition = await createEdition({ name, year }, {
+            copySettingsFrom,
+            createdBy: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: `${edition.name} created`,
+            data: edition
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   PUT /api/admin/editions/:id/activate
+// @desc    Make an edition the live one (archivePrevious: archive the current one)
+// @access  Private (Admin)
+router.put('/:id/activate', async (req, res, next) => {
+    try {
+        const edition = await Edition.findById(req.params.id);
+
+        if (!edition) {
+            return res.status(404).json({
+                success: false,
+                message: 'Edition not found'
+            });
+        }
+
+        await activateEdition(edition, { archivePrevious: !!req.body.archivePrevious });
+
+        const io = req.app.get('io');
+        if (io) {
+            io.emit('edition:changed', { editionId: edition._id, name: edition.name });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `${edition.name} is now live`,
+            data: edition
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   PUT /api/admin/editions/:id/archive
+// @desc    Make an edition read-only
+// @access  Private (Admin)
+router.put('/:id/archive', async (req, res, next) => {
+    try {
+        const edition = await Edition.findById(req.params.id);
+
+        if (!edition) {
+            return res.status(404).json({
+                success: false,
+                message: 'Edition not found'
+            });
+        }
+
+        await archiveEdition(edition);
+
+        res.status(200).json({
+            success: true,
+            message: `${edition.name} archived`,
+            data: edition
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/admin/editions/:id/carry-over
+// @desc    Copy returning participants' identity from another edition
+//          (all approved participants, or participantIds)
+// @access  Private (Admin)
+router.post('/:id/carry-over', async (req, res, next) => {
+    try {
+        const { fromEditionId, participantIds } = req.body;
+
+        const edition = await Edition.findById(req.params.id);
+
+        if (!edition) {
+            return res.status(404).json({
+                success: false,
+                message: 'Edition not found'
+            });
+        }
+
+        if (!fromEditionId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please choose the edition to carry participants over from'
+            });
+        }
+
+        const result = await carryOverParticipants(edition, fromEditionId, participantIds);
+
+        res.status(200).json({
+            success: true,
+            message: `Carried over ${result.created} participant(s)`,
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
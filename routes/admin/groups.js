@@ -5,6 +5,7 @@ const Panel = require('../../models/Panel');
 const Participant = require('../../models/Participant');
 const SubEvent = require('../../models/SubEvent');
 const Round = require('../../models/Round');
+const Team = require('../../models/Team');
 const { protect, authorize } = require('../../middleware/auth');
 const { generateGroupPDF, generateGroupHTML } = require('../../utils/groupExport');
 
@@ -65,7 +66,7 @@ router.post('/', async (req, res, next) => {
 // @access  Private (Admin)
 router.post('/auto-form', async (req, res, next) => {
     try {
-        const { subEventId, roundId, groupSize, strategy } = req.body;
+        const { subEventId, roundId, groupSize, strategy, seedFromTeams = true } = req.body;
 
         // Validate inputs
         if (!subEventId || !roundId) {
@@ -131,7 +132,7 @@ router.post('/auto-form', async (req, res, next) => {
             return acc.concat(curr.participants.map(p => p.toString()));
         }, []);
 
-        const participants = await Participant.find({
+        let participants = await Participant.find({
             ...participantQuery,
             _id: participantQuery._id
                 ? { ...participantQuery._id, $nin: assignedParticipantIds }
@@ -152,6 +153,33 @@ router.post('/auto-form', async (req, res, next) => {
 
         const allFormedGroups = [];
 
+        // Round 1 of team events: registered teams become groups as-is
+        const teamGroups = [];
+        if (seedFromTeams && subEvent.type === 'group' && round.roundNumber === 1) {
+            const teams = await Team.find({ subEvent: subEventId }).sort({ createdAt: 1 });
+            const pool = new Map(participants.map(p => [p._id.toString(), p]));
+
+            for (const team of teams) {
+                // Only members who are approved and still unassigned
+                const members = team.members.filter(id => pool.has(id.toString()));
+                if (members.length < minSize) continue;
+
+                const group = await Group.create({
+                    subEventId,
+                    roundId,
+                    groupNumber: currentGroupNumber++,
+                    groupName: team.name,
+                    participants: members,
+                    team: team._id
+                });
+                members.forEach(id => pool.delete(id.toString()));
+                teamGroups.push(group);
+            }
+
+            // Members of incomplete teams and solo registrants are grouped as usual
+            participants = [...pool.values()];
+        }
+
         // Shuffle all participants initially for randomness within categories
         const shuffledPool = participants.sort(() => 0.5 - Math.random());
 
@@ -223,10 +251,14 @@ router.post('/auto-form', async (req, res, next) => {
             }
         }
 
+        const formedGroups = [...teamGroups, ...allFormedGroups];
+
         res.status(201).json({
             success: true,
-            message: `Successfully formed ${allFormedGroups.length} groups`,
-            data: allFormedGroups
+            message: teamGroups.length > 0
+                ? `Successfully formed ${formedGroups.length} groups (${teamGroups.length} from registered teams)`
+                : `Successfully formed ${formedGroups.length} groups`,
+            data: formedGroups
         });
     } catch (error) {
         next(error);
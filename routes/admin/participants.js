@@ -4,8 +4,19 @@ const Participant = require('../../models/Participant');
 const SubEvent = require('../../models/SubEvent');
 const Round = require('../../models/Round');
 const Group = require('../../models/Group');
+const Payment = require('../../models/Payment');
 const { protect, authorize } = require('../../middleware/auth');
 const { generateParticipantCSV, generateParticipantHTML } = require('../../utils/participantExport');
+const { claimOffers, cancelEntries, refillSeats } = require('../../utils/waitlist');
+const { confirmSeats, unconfirmSeats, releaseSeats } = require('../../utils/seatLedger');
+const { reverseRedemptions } = require('../../utils/pricing');
+const { approveParticipant, rejectParticipant } = require('../../utils/payments');
+const { fingerprintProof, findFraudFlags } = require('../../utils/fraudChecks');
+const { listProofAttachments } = require('../../utils/proofFiles');
+const { removeFromSubEvent } = require('../../utils/withdrawals');
+const { previewImport, commitImport } = require('../../utils/participantImport');
+const { uploadCSV } = require('../../middleware/upload');
+const { sendResetLink } = require('../../utils/passwordReset');
 
 // All routes are protected and require admin role
 router.use(protect);
@@ -80,21 +91,28 @@ router.get('/export', async (req, res, next) => {
             .sort({ chestNumber: 1 });
 
         // Get sub-event names for the map
-        const subEventsData = await SubEvent.find({}, 'name');
+        const subEventsData = await SubEvent.find({}, 'name formFields');
         const subEventMap = {};
         subEventsData.forEach(se => {
             subEventMap[se._id.toString()] = se.name;
         });
 
+        // Custom question columns for the exported events only
+        const exportedIds = query.registeredSubEvents ? query.registeredSubEvents.$in.map(String) : null;
+        const formSubEvents = subEventsData.filter(se =>
+            se.formFields.length > 0 && (!exportedIds || exportedIds.includes(se._id.toString()))
+        );
+
         if (format === 'csv') {
-            const csvData = generateParticipantCSV(participants, { subEventMap });
+            const csvData = generateParticipantCSV(participants, { subEventMap, formSubEvents });
             res.setHeader('Content-Type', 'text/csv');
             res.setHeader('Content-Disposition', `attachment; filename=participants-${Date.now()}.csv`);
             return res.status(200).send(csvData);
         } else if (format === 'html') {
             const htmlData = generateParticipantHTML(participants, {
                 title: 'Exported Participant List',
-                subEventMap
+                subEventMap,
+                formSubEvents
             });
             res.setHeader('Content-Type', 'text/html');
             return res.status(200).send(htmlData);
@@ -116,10 +134,111 @@ router.get('/pending', async (req, res, next) => {
             .populate('pendingSubEvents', 'name type')
             .sort({ createdAt: -1 });
 
+        // Attach the payments awaiting review so each can be approved on its own
+        const payments = await Payment.find({
+            participant: { $in: participants.map(p => p._id) },
+            status: 'pending'
+        })
+            .populate('subEvents', 'name type')
+            .sort({ createdAt: 1 });
+
+        // Shared UTRs and reused screenshots across participants
+        const fraudFlags = await findFraudFlags(participants.map(p => p._id));
+
+        const data = participants.map(participant => ({
+            ...participant.toObject(),
+            pendingPayments: payments
+                .filter(payment => payment.participant.toString() === participant._id.toString())
+                .map(payment => ({ ...payment.toObject(), attachments: listProofAttachments(payment) })),
+            fraudFlags: fraudFlags.get(participant._id.toString()) || []
+        }));
+
         res.status(200).json({
             success: true,
-            count: participants.length,
-            data: participants
+            count: data.length,
+            data
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/admin/participants/fingerprint-proofs
+// @desc    Hash payment proofs uploaded before reuse detection existed, or
+//          hashed the older way
+// @access  Private (Admin)
+router.post('/fingerprint-proofs', async (req, res, next) => {
+    try {
+        const payments = await Payment.distinct('proofUrl');
+        const attachments = await Payment.distinct('attachments.url');
+        const participants = await Participant.distinct('paymentProofUrl');
+        const urls = [...new Set([...payments, ...attachments, ...participants])].filter(Boolean);
+
+        let hashed = 0;
+        for (const url of urls) {
+            if (await fingerprintProof(url)) hashed++;
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `Fingerprinted ${hashed} of ${urls.length} proofs`,
+            data: { total: urls.length, hashed }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/admin/participants/import
+// @desc    Import participants from a CSV (field 'file'). Runs as a dry run
+//          returning per-row errors unless dryRun=false; valid rows are then
+//          created as `status` (pending or approved). Answers to event
+//          questions go in columns headed "<Event>: <Label>".
+// @access  Private (Admin)
+router.post('/import', uploadCSV.single('file'), async (req, res, next) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ success: false, message: 'Please upload a CSV file' });
+        }
+
+        const dryRun = req.body.dryRun !== 'false' && req.body.dryRun !== false;
+        // Optional column overrides, e.g. {"fullName":"Student Name","events":"Competitions"}
+        let mapping = {};
+        if (req.body.mapping) {
+            try {
+                mapping = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : req.body.mapping;
+            } catch (err) {
+                return res.status(400).json({ success: false, message: 'Column mapping must be valid JSON' });
+            }
+        }
+
+        const preview = await previewImport(req.file.buffer.toString('utf8'), {
+            mapping,
+            defaultCollege: req.body.defaultCollege || ''
+        });
+
+        if (dryRun) {
+            return res.status(200).json({
+                success: true,
+                message: `${preview.summary.valid} of ${preview.summary.total} rows can be imported`,
+                data: { dryRun: true, ...preview }
+            });
+        }
+
+        const result = await commitImport(preview, {
+            status: req.body.status || 'pending',
+            reviewerId: req.user._id
+        });
+
+        const io = req.app.get('io');
+        if (io && result.imported.length > 0) {
+            io.to('admin').emit('participants:imported', { count: result.imported.length });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: `Imported ${result.imported.length} of ${preview.summary.total} rows`,
+            data: { dryRun: false, ...preview, ...result }
         });
     } catch (error) {
         next(error);
@@ -145,7 +264,7 @@ router.get('/availability', async (req, res, next) => {
 });
 
 // @route   GET /api/admin/participants/:id
-// @desc    Get single participant details
+// @desc    Get single participant details, with every payment and its proof files
 // @access  Private (Admin)
 router.get('/:id', async (req, res, next) => {
     try {
@@ -159,9 +278,20 @@ router.get('/:id', async (req, res, next) => {
             });
         }
 
+        const payments = await Payment.find({ participant: participant._id })
+            .populate('subEvents', 'name')
+            .populate('reviewedBy', 'name')
+            .sort({ createdAt: -1 });
+
         res.status(200).json({
             success: true,
-            data: participant
+            data: {
+                ...participant.toObject(),
+                payments: payments.map(payment => ({
+                    ...payment.toObject(),
+                    attachments: listProofAttachments(payment)
+                }))
+            }
         });
     } catch (error) {
         next(error);
@@ -189,38 +319,8 @@ router.put('/:id/approve', async (req, res, next) => {
             });
         }
 
-        if (participant.isReRegistration && participant.pendingSubEvents && participant.pendingSubEvents.length > 0) {
-            // Merge pending sub-events into registered ones
-            const newEvents = participant.pendingSubEvents.filter(id => !participant.registeredSubEvents.includes(id));
-            participant.registeredSubEvents = [...participant.registeredSubEvents, ...newEvents];
-
-            // Initialize status for new sub-events
-            for (const subEventId of newEvents) {
-                participant.statusPerSubEvent.set(subEventId.toString(), {
-                    status: 'not_started',
-                    currentRound: null,
-                    roundNumber: 0
-                });
-            }
-
-            // Reset re-registration flags
-            participant.isReRegistration = false;
-            participant.pendingSubEvents = [];
-        }
-
-        participant.registrationStatus = 'approved';
-        participant.currentStatus = 'available';
-        await participant.save();
-
-        // Update sub-event approved participant counts
-        if (participant.registeredSubEvents && Array.isArray(participant.registeredSubEvents)) {
-            for (const subEventId of participant.registeredSubEvents) {
-                const subEvent = await SubEvent.findById(subEventId);
-                if (subEvent) {
-                    await subEvent.updateRegistrationCount();
-                }
-            }
-        }
+        // Approves every pending payment; use /api/admin/payments to review one at a time
+        await approveParticipant(participant, req.user._id);
 
         // Emit socket events for real-time updates
         const io = req.app.get('io');
@@ -279,14 +379,10 @@ router.put('/:id/reject', async (req, res, next) => {
             });
         }
 
-        participant.registrationStatus = 'rejected';
-        if (reason) {
-            participant.adminNotes = reason;
-        }
-        await participant.save();
+        const io = req.app.get('io');
+        await rejectParticipant(participant, req.user._id, reason, io);
 
         // Emit socket event
-        const io = req.app.get('io');
         if (io) {
             io.to('admin').emit('participant:rejected', {
                 participantId: participant._id,
@@ -327,10 +423,28 @@ router.put('/:id/registration-status', async (req, res, next) => {
             return res.status(404).json({ success: false, message: 'Participant not found' });
         }
 
+        const previousStatus = participant.registrationStatus;
+
+        // Keep the seat ledger in step with the new status
+        if (status === 'approved') {
+            await confirmSeats(participant.registeredSubEvents, participant._id);
+        } else if (status === 'pending' && previousStatus === 'approved') {
+            await unconfirmSeats(participant._id);
+        }
+
         participant.registrationStatus = status;
         if (status === 'approved') participant.currentStatus = 'available';
         await participant.save();
 
+        if (status === 'approved') {
+            await claimOffers(participant._id, participant.registeredSubEvents);
+        } else if (status === 'rejected' || status === 'incomplete') {
+            await cancelEntries(participant._id);
+            const freedSubEvents = await releaseSeats(participant._id, { reason: status });
+            await refillSeats(freedSubEvents, req.app.get('io'));
+            await reverseRedemptions(participant._id);
+        }
+
         res.status(200).json({
             success: true,
             message: `Registration status updated to ${status}`,
@@ -384,6 +498,12 @@ router.delete('/:id', async (req, res, next) => {
         // Check if participant is in any group/round if needed, but let's just delete for now
         await participant.deleteOne();
 
+        // Seats held by this participant go back to the waitlist
+        await cancelEntries(participant._id);
+        const freedSubEvents = await releaseSeats(participant._id, { reason: 'deleted' });
+        await refillSeats(freedSubEvents, req.app.get('io'));
+        await reverseRedemptions(participant._id);
+
         res.status(200).json({
             success: true,
             message: 'Participant deleted successfully'
@@ -393,6 +513,63 @@ router.delete('/:id', async (req, res, next) => {
     }
 });
 
+// @route   DELETE /api/admin/participants/:id/subevents/:subEventId
+// @desc    Remove a participant from one sub-event (no refund; use withdrawals for that)
+// @access  Private (Admin)
+router.delete('/:id/subevents/:subEventId', async (req, res, next) => {
+    try {
+        const participant = await Participant.findById(req.params.id);
+
+        if (!participant) {
+            return res.status(404).json({ success: false, message: 'Participant not found' });
+        }
+
+        const enrolled = [...participant.registeredSubEvents, ...participant.pendingSubEvents]
+            .some(id => id.toString() === req.params.subEventId);
+        if (!enrolled) {
+            return res.status(400).json({ success: false, message: 'Participant is not registered for this event' });
+        }
+
+        const io = req.app.get('io');
+        await removeFromSubEvent(participant, req.params.subEventId, io);
+        if (io) io.emit('availability_update');
+
+        res.status(200).json({
+            success: true,
+            message: 'Participant removed from the event',
+            data: participant
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/admin/participants/:id/password-reset
+// @desc    Email a participant a password reset link; the link is also returned for support to share
+// @access  Private (Admin)
+router.post('/:id/password-reset', async (req, res, next) => {
+    try {
+        const participant = await Participant.findById(req.params.id);
+
+        if (!participant) {
+            return res.status(404).json({
+                success: false,
+                message: 'Participant not found'
+            });
+        }
+
+        const { resetUrl, expiresAt } = await sendResetLink(participant, { issuedBy: req.user._id });
+
+        res.status(200).json({
+            success: true,
+            message: `Reset link sent to ${participant.email}`,
+            data: { resetUrl, expiresAt }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
 // @route   GET /api/admin/participants/:id/history
 // @desc    Get participant performance history across rounds
 // @access  Private (Admin)
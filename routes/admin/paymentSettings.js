@@ -33,7 +33,8 @@ router.put('/', async (req, res, next) => {
             accountName,
             bulkRegistrationDiscount,
             qrCodeEnabled,
-            paymentInstructions
+            paymentInstructions,
+            refundPolicy
         } = req.body;
 
         let settings = await PaymentSettings.getActiveSettings();
@@ -47,6 +48,12 @@ router.put('/', async (req, res, next) => {
                 ...bulkRegistrationDiscount
             };
         }
+        if (refundPolicy !== undefined) {
+            settings.refundPolicy = {
+                ...settings.refundPolicy,
+                ...refundPolicy
+            };
+        }
         if (qrCodeEnabled !== undefined) settings.qrCodeEnabled = qrCodeEnabled;
         if (paymentInstructions !== undefined) settings.paymentInstructions = paymentInstructions;
 
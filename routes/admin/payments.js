@@ -0,0 +1,216 @@
+const express = require('express');
+const router = express.Router();
+const Payment = require('../../models/Payment');
+const { protect, authorize } = require('../../middleware/auth');
+const { approvePayment, rejectPayment } = require('../../utils/payments');
+const { generateReceiptPDF } = require('../../utils/pdfExport');
+
+// All routes are protected and require admin role
+router.use(protect);
+router.use(authorize('admin'));
+
+// @route   GET /api/admin/payments
+// @desc    Get payments (pending review queue by default)
+// @access  Private (Admin)
+router.get('/', async (req, res, next) => {
+    try {
+        const { status = 'pending', participant, kind } = req.query;
+
+        const query = {};
+        if (status !== 'all') query.status = status;
+        if (participant) query.participant = participant;
+        if (kind) query.kind = kind;
+
+        const payments = await Payment.find(query)
+            .populate('participant', 'fullName email mobile prn college chestNumber registrationStatus')
+            .populate('subEvents', 'name type accentColor')
+            .populate('reviewedBy', 'name email')
+            .sort({ createdAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            count: payments.length,
+            data: payments
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   GET /api/admin/payments/receipts/export
+// @desc    Export all issued receipts as one PDF (optionally within a date range)
+// @access  Private (Admin)
+router.get('/receipts/export', async (req, res, next) => {
+    try {
+        const { from, to } = req.query;
+
+        const query = { status: 'approved', receiptNumber: { $ne: null } };
+        if (from || to) {
+            query.receiptIssuedAt = {};
+            if (from) query.receiptIssuedAt.$gte = new Date(from);
+            if (to) query.receiptIssuedAt.$lte = new Date(to);
+        }
+
+        const payments = await Payment.find(query)
+            .populate('participant', 'fullName email mobile prn college chestNumber')
+            .populate('subEvents', 'name')
+            .sort({ receiptNumber: 1 });
+
+        if (payments.length === 0) {
+            return res.status(404).json({ success: false, message: 'No receipts found' });
+        }
+
+        const doc = generateReceiptPDF(payments);
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename=receipts-${Date.now()}.pdf`);
+
+        doc.pipe(res);
+        doc.end();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   GET /api/admin/payments/:id/receipt
+// @desc    Download a single receipt
+// @access  Private (Admin)
+router.get('/:id/receipt', async (req, res, next) => {
+    try {
+        const payment = await Payment.findById(req.params.id)
+            .populate('participant', 'fullName email mobile prn college chestNumber')
+            .populate('subEvents', 'name');
+
+        if (!payment || !payment.receiptNumber) {
+            return res.status(404).json({ success: false, message: 'Receipt not found' });
+        }
+
+        const doc = generateReceiptPDF([payment]);
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename=receipt-${payment.receiptLabel}.pdf`);
+
+        doc.pipe(res);
+        doc.end();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   GET /api/admin/payments/participant/:participantId
+// @desc    Get a participant's full payment history
+// @access  Private (Admin)
+router.get('/participant/:participantId', async (req, res, next) => {
+    try {
+        const payments = await Payment.find({ participant: req.params.participantId })
+            .populate('subEvents', 'name type accentColor')
+            .populate('reviewedBy', 'name email')
+            .sort({ createdAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            count: payments.length,
+            data: payments
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   PUT /api/admin/payments/:id/approve
+// @desc    Approve a single payment and the sub-events it covers
+// @access  Private (Admin)
+router.put('/:id/approve', async (req, res, next) => {
+    try {
+        const payment = await Payment.findById(req.params.id);
+
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Payment not found'
+            });
+        }
+
+        const participant = await approvePayment(payment, req.user._id);
+
+        const io = req.app.get('io');
+        if (io) {
+            io.to('admin').emit('payment:approved', {
+                paymentId: payment._id,
+                participantId: participant._id,
+                fullName: participant.fullName,
+                registrationStatus: participant.registrationStatus
+            });
+            io.to(`participant:${participant._id}`).emit('participant:status_updated', {
+                message: 'Your payment has been approved!',
+                status: participant.registrationStatus
+            });
+            io.to(`participant:${participant._id}`).emit('participant:notification', {
+                id: Date.now().toString(),
+                type: 'approval',
+                title: 'Payment Approved',
+                message: `Your payment of ₹${payment.amount} has been approved. Receipt ${payment.receiptLabel} is ready to download.`,
+                timestamp: new Date()
+            });
+            io.emit('availability_update');
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Payment approved',
+            data: { payment, participant }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   PUT /api/admin/payments/:id/reject
+// @desc    Reject a single payment
+// @access  Private (Admin)
+router.put('/:id/reject', async (req, res, next) => {
+    try {
+        const { reason } = req.body;
+
+        const payment = await Payment.findById(req.params.id);
+
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Payment not found'
+            });
+        }
+
+        const io = req.app.get('io');
+        const participant = await rejectPayment(payment, req.user._id, reason, io);
+
+        if (io) {
+            io.to('admin').emit('payment:rejected', {
+                paymentId: payment._id,
+                participantId: participant._id,
+                fullName: participant.fullName
+            });
+            io.to(`participant:${participant._id}`).emit('participant:status_updated', {
+                message: 'A payment was not approved. Please check notes or contact admin.',
+                status: participant.registrationStatus
+            });
+            io.to(`participant:${participant._id}`).emit('participant:notification', {
+                id: Date.now().toString(),
+                type: 'rejection',
+                title: 'Payment Not Approved',
+                message: reason ? `Your payment was not approved. Reason: ${reason}` : 'Your payment was not approved. Please contact the administrator for details.',
+                timestamp: new Date()
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Payment rejected',
+            data: { payment, participant }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,129 @@
+const express = require('express');
+const router = express.Router();
+const ProfileChangeRequest = require('../../models/ProfileChangeRequest');
+const { protect, authorize } = require('../../middleware/auth');
+const { describeChanges, approveProfileChange, rejectProfileChange } = require('../../utils/profileChanges');
+
+// All routes are protected and require admin role
+router.use(protect);
+router.use(authorize('admin'));
+
+const FIELD_LABELS = {
+    fullName: 'Name',
+    prn: 'PRN',
+    college: 'College',
+    branch: 'Branch',
+    year: 'Year'
+};
+
+// @route   GET /api/admin/profile-requests
+// @desc    Get profile change requests with a diff against current values (pending by default)
+// @access  Private (Admin)
+router.get('/', async (req, res, next) => {
+    try {
+        const { status = 'pending' } = req.query;
+
+        const query = {};
+        if (status !== 'all') query.status = status;
+
+        const requests = await ProfileChangeRequest.find(query)
+            .populate('participant', 'fullName email mobile prn branch year college chestNumber')
+            .populate('reviewedBy', 'name email')
+            .sort({ createdAt: 1 });
+
+        const data = requests.map(request => ({
+            ...request.toObject(),
+            diff: describeChanges(request).map(change => ({ ...change, label: FIELD_LABELS[change.field] || change.field }))
+        }));
+
+        res.status(200).json({
+            success: true,
+            count: data.length,
+            data
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   PUT /api/admin/profile-requests/:id/approve
+// @desc    Apply a profile change request
+// @access  Private (Admin)
+router.put('/:id/approve', async (req, res, next) => {
+    try {
+        const { notes } = req.body;
+
+        const request = await ProfileChangeRequest.findById(req.params.id);
+
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'Change request not found'
+            });
+        }
+
+        const { participant } = await approveProfileChange(request, req.user._id, notes);
+
+        const io = req.app.get('io');
+        if (io) {
+            io.to(`participant:${participant._id}`).emit('participant:notification', {
+                id: Date.now().toString(),
+                type: 'profile',
+                title: 'Profile Updated',
+                message: 'Your requested profile changes have been approved.',
+                timestamp: new Date()
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Profile changes applied',
+            data: { request, participant }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   PUT /api/admin/profile-requests/:id/reject
+// @desc    Reject a profile change request
+// @access  Private (Admin)
+router.put('/:id/reject', async (req, res, next) => {
+    try {
+        const { notes } = req.body;
+
+        const request = await ProfileChangeRequest.findById(req.params.id);
+
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'Change request not found'
+            });
+        }
+
+        await rejectProfileChange(request, req.user._id, notes);
+
+        const io = req.app.get('io');
+        if (io) {
+            io.to(`participant:${request.participant}`).emit('participant:notification', {
+                id: Date.now().toString(),
+                type: 'profile',
+                title: 'Profile Change Not Approved',
+                message: notes
+                    ? `Your profile change request was not approved. Reason: ${notes}`
+                    : 'Your profile change request was not approved.',
+                timestamp: new Date()
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Change request rejected',
+            data: request
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
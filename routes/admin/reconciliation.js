@@ -0,0 +1,130 @@
+const express = require('express');
+const router = express.Router();
+const ReconciliationReport = require('../../models/ReconciliationReport');
+const { protect, authorize } = require('../../middleware/auth');
+const { uploadCSV } = require('../../middleware/upload');
+const { reconcileStatement, approveMatches } = require('../../utils/reconciliation');
+
+// All routes are protected and require admin role
+router.use(protect);
+router.use(authorize('admin'));
+
+// @route   POST /api/admin/reconciliation
+// @desc    Upload a bank/UPI statement (CSV) and match it against submitted payments
+// @access  Private (Admin)
+router.post('/', uploadCSV.single('statement'), async (req, res, next) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ success: false, message: 'Please upload a CSV statement' });
+        }
+
+        // Optional column overrides for exports with unusual headers
+        const { utrColumn, amountColumn, dateColumn, narrationColumn } = req.body;
+
+        const report = await reconcileStatement(req.file.buffer.toString('utf8'), {
+            fileName: req.file.originalname,
+            uploadedBy: req.user._id,
+            columns: { utrColumn, amountColumn, dateColumn, narrationColumn }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: `Statement reconciled: ${report.summary.matched} exact matches`,
+            data: report
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   GET /api/admin/reconciliation
+// @desc    List reconciliation reports
+// @access  Private (Admin)
+router.get('/', async (req, res, next) => {
+    try {
+        const reports = await ReconciliationReport.find()
+            .select('-rows -missingFromStatement')
+            .populate('uploadedBy', 'name email')
+            .sort({ createdAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            count: reports.length,
+            data: reports
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   GET /api/admin/reconciliation/:id
+// @desc    Get a reconciliation report with its rows
+// @access  Private (Admin)
+router.get('/:id', async (req, res, next) => {
+    try {
+        const report = await ReconciliationReport.findById(req.params.id)
+            .populate('uploadedBy', 'name email')
+            .populate('rows.participant', 'fullName email mobile chestNumber registrationStatus')
+            .populate('missingFromStatement.participant', 'fullName email mobile chestNumber');
+
+        if (!report) {
+            return res.status(404).json({ success: false, message: 'Report not found' });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: report
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/admin/reconciliation/:id/approve-matches
+// @desc    Approve every exact match in the report in one go
+// @access  Private (Admin)
+router.post('/:id/approve-matches', async (req, res, next) => {
+    try {
+        const report = await ReconciliationReport.findById(req.params.id);
+
+        if (!report) {
+            return res.status(404).json({ success: false, message: 'Report not found' });
+        }
+
+        const { approved, failed } = await approveMatches(report, req.user._id);
+
+        const io = req.app.get('io');
+        if (io) {
+            approved.forEach(({ participant }) => {
+                io.to('admin').emit('participant:approved', {
+                    participantId: participant._id,
+                    fullName: participant.fullName,
+                    registrationStatus: participant.registrationStatus,
+                    currentStatus: participant.currentStatus
+                });
+                io.to(`participant:${participant._id}`).emit('participant:status_updated', {
+                    message: 'Your payment has been verified and approved!',
+                    status: participant.registrationStatus
+                });
+            });
+            if (approved.length > 0) io.emit('availability_update');
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `${approved.length} approved, ${failed.length} failed`,
+            data: {
+                approved: approved.map(({ rowNumber, participant }) => ({
+                    rowNumber,
+                    participantId: participant._id,
+                    fullName: participant.fullName
+                })),
+                failed
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,130 @@
+const express = require('express');
+const router = express.Router();
+const Refund = require('../../models/Refund');
+const { protect, authorize } = require('../../middleware/auth');
+
+// All routes are protected and require admin role
+router.use(protect);
+router.use(authorize('admin'));
+
+// @route   GET /api/admin/refunds
+// @desc    Get the refund ledger with totals
+// @access  Private (Admin)
+router.get('/', async (req, res, next) => {
+    try {
+        const { status, participant } = req.query;
+
+        const query = {};
+        if (status) query.status = status;
+        if (participant) query.participant = participant;
+
+        const refunds = await Refund.find(query)
+            .populate('participant', 'fullName email mobile chestNumber')
+            .populate('subEvent', 'name')
+            .populate('processedBy', 'name email')
+            .sort({ createdAt: -1 });
+
+        const totals = { pending: 0, paid: 0, failed: 0 };
+        refunds.forEach(refund => {
+            totals[refund.status] += refund.amount;
+        });
+
+        res.status(200).json({
+            success: true,
+            count: refunds.length,
+            totals,
+            data: refunds
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   PUT /api/admin/refunds/:id/mark-paid
+// @desc    Record that a refund was paid out
+// @access  Private (Admin)
+router.put('/:id/mark-paid', async (req, res, next) => {
+    try {
+        const { reference, method, notes } = req.body;
+
+        if (!reference) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide the payout reference'
+            });
+        }
+
+        const refund = await Refund.findOneAndUpdate(
+            { _id: req.params.id, status: { $in: ['pending', 'failed'] } },
+            {
+                $set: {
+                    status: 'paid',
+                    reference,
+                    method: method || 'upi',
+                    notes: notes || '',
+                    processedBy: req.user._id,
+                    paidAt: new Date()
+                }
+            },
+            { new: true }
+        );
+
+        if (!refund) {
+            return res.status(404).json({
+                success: false,
+                message: 'Unpaid refund not found'
+            });
+        }
+
+        const io = req.app.get('io');
+        if (io) {
+            io.to(`participant:${refund.participant}`).emit('participant:notification', {
+                id: Date.now().toString(),
+                type: 'refund',
+                title: 'Refund Sent',
+                message: `Your refund of ₹${refund.amount} has been paid (ref: ${reference}).`,
+                timestamp: new Date()
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Refund marked as paid',
+            data: refund
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   PUT /api/admin/refunds/:id/mark-failed
+// @desc    Record a failed payout so it can be retried
+// @access  Private (Admin)
+router.put('/:id/mark-failed', async (req, res, next) => {
+    try {
+        const { notes } = req.body;
+
+        const refund = await Refund.findOneAndUpdate(
+            { _id: req.params.id, status: 'pending' },
+            { $set: { status: 'failed', notes: notes || '', processedBy: req.user._id } },
+            { new: true }
+        );
+
+        if (!refund) {
+            return res.status(404).json({
+                success: false,
+                message: 'Pending refund not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Refund marked as failed',
+            data: refund
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,86 @@
+const express = require('express');
+const router = express.Router();
+const RegistrationOverride = require('../../models/RegistrationOverride');
+const { protect, authorize } = require('../../middleware/auth');
+const { getRegistrationWindow, issueOverride } = require('../../utils/registrationWindow');
+
+// All routes are protected and require admin role
+router.use(protect);
+router.use(authorize('admin'));
+
+// @route   GET /api/admin/registration-overrides
+// @desc    Get the current registration window and issued override codes
+// @access  Private (Admin)
+router.get('/', async (req, res, next) => {
+    try {
+        const overrides = await RegistrationOverride.find()
+            .populate('issuedBy', 'name email')
+            .populate('uses.participant', 'fullName email chestNumber')
+            .select('-codeHash')
+            .sort({ createdAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            count: overrides.length,
+            data: overrides,
+            registrationWindow: await getRegistrationWindow()
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/admin/registration-overrides
+// @desc    Issue a code that lets a late student register at the help desk
+// @access  Private (Admin)
+router.post('/', async (req, res, next) => {
+    try {
+        const { note, maxUses, validHours } = req.body;
+
+        const { override, code } = await issueOverride({ note, maxUses, validHours }, req.user.id);
+
+        res.status(201).json({
+            success: true,
+            message: 'Override code issued. It is only shown once.',
+            data: {
+                _id: override._id,
+                code,
+                note: override.note,
+                maxUses: override.maxUses,
+                expiresAt: override.expiresAt
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   DELETE /api/admin/registration-overrides/:id
+// @desc    Revoke an override code; registrations already made with it stay
+// @access  Private (Admin)
+router.delete('/:id', async (req, res, next) => {
+    try {
+        const override = await RegistrationOverride.findById(req.params.id);
+
+        if (!override) {
+            return res.status(404).json({
+                success: false,
+                message: 'Override code not found'
+            });
+        }
+
+        if (!override.revokedAt) {
+            override.revokedAt = new Date();
+            await override.save();
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Override code revoked'
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const SystemSettings = require('../../models/SystemSettings');
+const RateLimitCounter = require('../../models/RateLimitCounter');
 const { protect, authorize } = require('../../middleware/auth');
 const { uploadSystemImage, uploadBanner } = require('../../middleware/upload');
 
@@ -62,4 +63,79 @@ router.put('/', async (req, res) => {
     }
 });
 
+// @desc    List clients and identities currently throttled or locked out
+// @route   GET /api/admin/settings/abuse/blocked
+router.get('/abuse/blocked', async (req, res) => {
+    try {
+        const blocked = await RateLimitCounter.find({ blockedUntil: { $gt: new Date() } })
+            .sort({ blockedUntil: -1 });
+        res.json({ success: true, count: blocked.length, data: blocked });
+    } catch (err) {
+        res.status(500).json({ success: false, message: err.message });
+    }
+});
+
+// @desc    Lift a block early
+// @route   DELETE /api/admin/settings/abuse/blocked/:id
+router.delete('/abuse/blocked/:id', async (req, res) => {
+    try {
+        const counter = await RateLimitCounter.findByIdAndDelete(req.params.id);
+        if (!counter) {
+            return res.status(404).json({ success: false, message: 'Block not found' });
+        }
+        res.json({ success: true, message: `Unblocked ${counter.kind === 'ip' ? 'client' : 'identity'} ${counter.value}` });
+    } catch (err) {
+        res.status(500).json({ success: false, message: err.message });
+    }
+});
+
+// @desc    Get IPs that are never throttled
+// @route   GET /api/admin/settings/abuse/allowlist
+router.get('/abuse/allowlist', async (req, res) => {
+    try {
+        const settings = await SystemSettings.findOne({ key: 'core_settings' }).select('abuseProtection.allowlist');
+        res.json({ success: true, data: settings?.abuseProtection?.allowlist || [] });
+    } catch (err) {
+        res.status(500).json({ success: false, message: err.message });
+    }
+});
+
+// @desc    Allowlist an IP and lift any blocks on it
+// @route   POST /api/admin/settings/abuse/allowlist
+router.post('/abuse/allowlist', async (req, res) => {
+    try {
+        const ip = String(req.body.ip || '').trim();
+        if (!ip) {
+            return res.status(400).json({ success: false, message: 'Please provide an IP address' });
+        }
+
+        const settings = await SystemSettings.findOneAndUpdate(
+            { key: 'core_settings' },
+            { $addToSet: { 'abuseProtection.allowlist': ip } },
+            { new: true, upsert: true }
+        );
+        // The client's own counters and those of identities seen from it
+        await RateLimitCounter.deleteMany({ lastIp: ip });
+
+        res.json({ success: true, data: settings.abuseProtection.allowlist });
+    } catch (err) {
+        res.status(500).json({ success: false, message: err.message });
+    }
+});
+
+// @desc    Remove an IP from the allowlist
+// @route   DELETE /api/admin/settings/abuse/allowlist/:ip
+router.delete('/abuse/allowlist/:ip', async (req, res) => {
+    try {
+        const settings = await SystemSettings.findOneAndUpdate(
+            { key: 'core_settings' },
+            { $pull: { 'abuseProtection.allowlist': req.params.ip } },
+            { new: true }
+        );
+        res.json({ success: true, data: settings?.abuseProtection?.allowlist || [] });
+    } catch (err) {
+        res.status(500).json({ success: false, message: err.message });
+    }
+});
+
 module.exports = router;
@@ -3,6 +3,10 @@ const router = express.Router();
 const SubEvent = require('../../models/SubEvent');
 const Participant = require('../../models/Participant');
 const { protect, authorize } = require('../../middleware/auth');
+const { syncSubEventLedger } = require('../../utils/seatLedger');
+const { promoteNext } = require('../../utils/waitlist');
+const { validateFormFieldDefinitions } = require('../../utils/formFields');
+const { getClashSettings, getWindows, findOverlaps } = require('../../utils/scheduleClash');
 
 // All routes are protected and require admin role
 router.use(protect);
@@ -25,6 +29,40 @@ router.get('/', async (req, res, next) => {
     }
 });
 
+// @route   GET /api/admin/subevents/clashes/report
+// @desc    List overlapping events and the students enrolled in both
+// @access  Private (Admin)
+router.get('/clashes/report', async (req, res, next) => {
+    try {
+        const { policy, slotMinutes } = await getClashSettings();
+        const clashes = findOverlaps(await getWindows(null, slotMinutes));
+
+        const report = [];
+        for (const clash of clashes) {
+            const [first, second] = clash.subEvents;
+            const participants = await Participant.find({
+                registrationStatus: { $in: ['pending', 'approved'] },
+                $and: [
+                    { $or: [{ registeredSubEvents: first._id }, { pendingSubEvents: first._id }] },
+                    { $or: [{ registeredSubEvents: second._id }, { pendingSubEvents: second._id }] }
+                ]
+            }).select('fullName email mobile chestNumber registrationStatus');
+
+            report.push({ ...clash, participants });
+        }
+
+        res.status(200).json({
+            success: true,
+            policy,
+            count: report.length,
+            affectedParticipants: new Set(report.flatMap(r => r.participants.map(p => p._id.toString()))).size,
+            data: report
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
 // @route   GET /api/admin/subevents/:id
 // @desc    Get single sub-event
 // @access  Private (Admin)
@@ -63,8 +101,12 @@ router.post('/', async (req, res, next) => {
             maxParticipants,
             registrationDeadline,
             startTime,
+            endTime,
             accentColor,
             registrationPrice,
+            priceSchedule,
+            formFields,
+            eligibility,
             whatsappGroupLink
         } = req.body;
 
@@ -76,6 +118,8 @@ router.post('/', async (req, res, next) => {
             });
         }
 
+        if (formFields) validateFormFieldDefinitions(formFields);
+
         // Check if sub-event with same name exists
         const existingSubEvent = await SubEvent.findOne({ name });
         if (existingSubEvent) {
@@ -94,8 +138,12 @@ router.post('/', async (req, res, next) => {
             maxParticipants,
             registrationDeadline,
             startTime,
+            endTime,
             accentColor: accentColor || 'mindSaga',
             registrationPrice: registrationPrice || 50,
+            priceSchedule: priceSchedule || [],
+            formFields: formFields || [],
+            eligibility,
             whatsappGroupLink: whatsappGroupLink || ''
         });
 
@@ -139,8 +187,12 @@ router.put('/:id', async (req, res, next) => {
             maxParticipants,
             registrationDeadline,
             startTime,
+            endTime,
             accentColor,
             registrationPrice,
+            priceSchedule,
+            formFields,
+            eligibility,
             whatsappGroupLink
         } = req.body;
 
@@ -153,12 +205,24 @@ router.put('/:id', async (req, res, next) => {
         if (maxParticipants !== undefined) subEvent.maxParticipants = maxParticipants;
         if (registrationDeadline !== undefined) subEvent.registrationDeadline = registrationDeadline;
         if (startTime !== undefined) subEvent.startTime = startTime;
+        if (endTime !== undefined) subEvent.endTime = endTime;
         if (accentColor) subEvent.accentColor = accentColor;
         if (registrationPrice !== undefined) subEvent.registrationPrice = registrationPrice;
+        if (priceSchedule !== undefined) subEvent.priceSchedule = priceSchedule;
+        if (eligibility !== undefined) subEvent.eligibility = eligibility;
+        if (formFields !== undefined) {
+            validateFormFieldDefinitions(formFields);
+            subEvent.formFields = formFields;
+        }
         if (whatsappGroupLink !== undefined) subEvent.whatsappGroupLink = whatsappGroupLink;
 
         await subEvent.save();
 
+        // A raised cap frees seats for the waitlist
+        if (maxParticipants !== undefined) {
+            await promoteNext(subEvent._id, req.app.get('io'));
+        }
+
         // Emit socket event
         const io = req.app.get('io');
         io.to('admin').emit('subevent:updated', {
@@ -247,6 +311,36 @@ router.put('/:id/toggle', async (req, res, next) => {
     }
 });
 
+// @route   POST /api/admin/subevents/:id/sync-seats
+// @desc    Backfill the seat ledger for older registrations and recount seats
+// @access  Private (Admin)
+router.post('/:id/sync-seats', async (req, res, next) => {
+    try {
+        const subEvent = await SubEvent.findById(req.params.id);
+
+        if (!subEvent) {
+            return res.status(404).json({
+                success: false,
+                message: 'Sub-event not found'
+            });
+        }
+
+        const { created } = await syncSubEventLedger(subEvent);
+
+        res.status(200).json({
+            success: true,
+            message: `Seat ledger synced (${created} reservation(s) backfilled)`,
+            data: {
+                maxParticipants: subEvent.maxParticipants,
+                approvedParticipants: subEvent.approvedParticipants,
+                heldSeats: subEvent.heldSeats
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
 // @desc    Get all approved participants for a sub-event
 // @route   GET /api/admin/subevents/:id/participants
 router.get('/:id/participants', async (req, res) => {
@@ -0,0 +1,98 @@
+const express = require('express');
+const router = express.Router();
+const Team = require('../../models/Team');
+const SubEvent = require('../../models/SubEvent');
+const { protect, authorize } = require('../../middleware/auth');
+
+// All routes are protected and require admin role
+router.use(protect);
+router.use(authorize('admin'));
+
+// @route   GET /api/admin/teams/subevent/:subEventId
+// @desc    Get all registered teams for a sub-event
+// @access  Private (Admin)
+router.get('/subevent/:subEventId', async (req, res, next) => {
+    try {
+        const teams = await Team.find({ subEvent: req.params.subEventId })
+            .populate('captain', 'fullName email chestNumber')
+            .populate('members', 'fullName email prn chestNumber registrationStatus')
+            .sort({ createdAt: 1 });
+
+        res.status(200).json({
+            success: true,
+            count: teams.length,
+            data: teams
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   PUT /api/admin/teams/:id/remove-member
+// @desc    Remove a member from a team
+// @access  Private (Admin)
+router.put('/:id/remove-member', async (req, res, next) => {
+    try {
+        const { participantId } = req.body;
+
+        const team = await Team.findById(req.params.id);
+        if (!team) {
+            return res.status(404).json({
+                success: false,
+                message: 'Team not found'
+            });
+        }
+
+        team.members = team.members.filter(id => id.toString() !== participantId);
+
+        if (team.members.length === 0) {
+            await team.deleteOne();
+            return res.status(200).json({
+                success: true,
+                message: 'Last member removed, team deleted'
+            });
+        }
+
+        if (team.captain.toString() === participantId) {
+            team.captain = team.members[0];
+        }
+
+        const subEvent = await SubEvent.findById(team.subEvent);
+        if (subEvent) team.refreshStatus(subEvent);
+        await team.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Member removed from team',
+            data: team
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   DELETE /api/admin/teams/:id
+// @desc    Delete a team
+// @access  Private (Admin)
+router.delete('/:id', async (req, res, next) => {
+    try {
+        const team = await Team.findById(req.params.id);
+        if (!team) {
+            return res.status(404).json({
+                success: false,
+                message: 'Team not found'
+            });
+        }
+
+        await team.deleteOne();
+
+        res.status(200).json({
+            success: true,
+            message: 'Team deleted successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
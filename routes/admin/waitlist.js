@@ -0,0 +1,142 @@
+const express = require('express');
+const router = express.Router();
+const WaitlistEntry = require('../../models/WaitlistEntry');
+const SubEvent = require('../../models/SubEvent');
+const { protect, authorize } = require('../../middleware/auth');
+const { offerSeat, promoteNext, seatsTaken, expireStaleOffers, withdrawEntry } = require('../../utils/waitlist');
+
+// All routes are protected and require admin role
+router.use(protect);
+router.use(authorize('admin'));
+
+// @route   GET /api/admin/waitlist/subevent/:subEventId
+// @desc    Get the waitlist for a sub-event in queue order
+// @access  Private (Admin)
+router.get('/subevent/:subEventId', async (req, res, next) => {
+    try {
+        const subEvent = await SubEvent.findById(req.params.subEventId);
+        if (!subEvent) {
+            return res.status(404).json({
+                success: false,
+                message: 'Sub-event not found'
+            });
+        }
+
+        await expireStaleOffers(subEvent._id, req.app.get('io'));
+
+        const { includeClosed } = req.query;
+        const filter = { subEvent: subEvent._id };
+        if (!includeClosed) {
+            filter.status = { $in: ['waiting', 'offered'] };
+        }
+
+        const entries = await WaitlistEntry.find(filter)
+            .populate('participant', 'fullName email mobile prn college chestNumber registrationStatus')
+            .populate('promotedBy', 'name email')
+            .sort({ createdAt: 1 });
+
+        let position = 0;
+        const data = entries.map(entry => ({
+            ...entry.toObject(),
+            position: entry.status === 'waiting' ? ++position : null
+        }));
+
+        res.status(200).json({
+            success: true,
+            count: data.length,
+            data: {
+                subEvent: {
+                    _id: subEvent._id,
+                    name: subEvent.name,
+                    maxParticipants: subEvent.maxParticipants,
+                    approvedParticipants: subEvent.approvedParticipants,
+                    heldSeats: subEvent.heldSeats,
+                    seatsTaken: seatsTaken(subEvent)
+                },
+                entries: data
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/admin/waitlist/subevent/:subEventId/fill
+// @desc    Offer all free seats to the front of the queue
+// @access  Private (Admin)
+router.post('/subevent/:subEventId/fill', async (req, res, next) => {
+    try {
+        const offered = await promoteNext(req.params.subEventId, req.app.get('io'));
+
+        res.status(200).json({
+            success: true,
+            message: `Offered ${offered.length} seat(s) from the waitlist`,
+            data: offered
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/admin/waitlist/:id/promote
+// @desc    Offer a free seat to a specific waitlisted participant, out of queue order
+// @access  Private (Admin)
+router.post('/:id/promote', async (req, res, next) => {
+    try {
+        const entry = await WaitlistEntry.findById(req.params.id);
+
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                message: 'Waitlist entry not found'
+            });
+        }
+
+        if (entry.status !== 'waiting') {
+            return res.status(400).json({
+                success: false,
+                message: `Entry is already ${entry.status}`
+            });
+        }
+
+        await offerSeat(entry, req.app.get('io'), { promotedBy: req.user._id });
+
+        res.status(200).json({
+            success: true,
+            message: 'Seat offered to participant',
+            data: entry
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   DELETE /api/admin/waitlist/:id
+// @desc    Remove an entry from the waitlist
+// @access  Private (Admin)
+router.delete('/:id', async (req, res, next) => {
+    try {
+        const entry = await WaitlistEntry.findOne({
+            _id: req.params.id,
+            status: { $in: ['waiting', 'offered'] }
+        });
+
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                message: 'Waitlist entry not found'
+            });
+        }
+
+        await withdrawEntry(entry, req.app.get('io'));
+
+        res.status(200).json({
+            success: true,
+            message: 'Waitlist entry removed'
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,126 @@
+const express = require('express');
+const router = express.Router();
+const WithdrawalRequest = require('../../models/WithdrawalRequest');
+const { protect, authorize } = require('../../middleware/auth');
+const { approveWithdrawal, rejectWithdrawal } = require('../../utils/withdrawals');
+
+// All routes are protected and require admin role
+router.use(protect);
+router.use(authorize('admin'));
+
+// @route   GET /api/admin/withdrawals
+// @desc    Get withdrawal requests (pending review queue by default)
+// @access  Private (Admin)
+router.get('/', async (req, res, next) => {
+    try {
+        const { status = 'pending', subEvent } = req.query;
+
+        const query = {};
+        if (status !== 'all') query.status = status;
+        if (subEvent) query.subEvent = subEvent;
+
+        const requests = await WithdrawalRequest.find(query)
+            .populate('participant', 'fullName email mobile prn college chestNumber')
+            .populate('subEvent', 'name type accentColor')
+            .populate('reviewedBy', 'name email')
+            .sort({ createdAt: 1 });
+
+        res.status(200).json({
+            success: true,
+            count: requests.length,
+            data: requests
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   PUT /api/admin/withdrawals/:id/approve
+// @desc    Approve a withdrawal; optionally override the refund amount
+// @access  Private (Admin)
+router.put('/:id/approve', async (req, res, next) => {
+    try {
+        const { refundAmount, notes } = req.body;
+
+        const request = await WithdrawalRequest.findById(req.params.id).populate('subEvent', 'name');
+
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'Withdrawal request not found'
+            });
+        }
+
+        const io = req.app.get('io');
+        const { refund } = await approveWithdrawal(request, req.user._id, { refundAmount, notes }, io);
+
+        if (io) {
+            io.to('admin').emit('withdrawal:approved', {
+                requestId: request._id,
+                participantId: request.participant,
+                subEventId: request.subEvent._id
+            });
+            io.to(`participant:${request.participant}`).emit('participant:notification', {
+                id: Date.now().toString(),
+                type: 'withdrawal',
+                title: 'Withdrawal Approved',
+                message: refund
+                    ? `You have been withdrawn from ${request.subEvent.name}. A refund of ₹${refund.amount} will be processed.`
+                    : `You have been withdrawn from ${request.subEvent.name}.`,
+                timestamp: new Date()
+            });
+            io.emit('availability_update');
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Withdrawal approved',
+            data: { request, refund }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   PUT /api/admin/withdrawals/:id/reject
+// @desc    Reject a withdrawal request
+// @access  Private (Admin)
+router.put('/:id/reject', async (req, res, next) => {
+    try {
+        const { notes } = req.body;
+
+        const request = await WithdrawalRequest.findById(req.params.id).populate('subEvent', 'name');
+
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'Withdrawal request not found'
+            });
+        }
+
+        await rejectWithdrawal(request, req.user._id, notes);
+
+        const io = req.app.get('io');
+        if (io) {
+            io.to(`participant:${request.participant}`).emit('participant:notification', {
+                id: Date.now().toString(),
+                type: 'withdrawal',
+                title: 'Withdrawal Not Approved',
+                message: notes
+                    ? `Your withdrawal from ${request.subEvent.name} was not approved. Reason: ${notes}`
+                    : `Your withdrawal from ${request.subEvent.name} was not approved.`,
+                timestamp: new Date()
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Withdrawal rejected',
+            data: request
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
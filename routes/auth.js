@@ -4,8 +4,13 @@ const User = require('../models/User');
 const Participant = require('../models/Participant');
 const { protect } = require('../middleware/auth');
 const { admin } = require('../config/firebase');
+const { rateLimit, checkLockout } = require('../middleware/rateLimit');
+const { clientIp, recordLoginFailure, clearLoginFailures } = require('../utils/rateLimit');
+const { sendResetLink, resetPassword, assertAcceptablePassword } = require('../utils/passwordReset');
 const jwt = require('jsonwebtoken'); // Need this for generating tokens if model doesn't handle all roles easily
 
+const loginIdentity = (req) => req.body?.email ? String(req.body.email).trim().toLowerCase() : null;
+
 // @route   POST /api/auth/register
 // @desc    Register a new user (admin/judge)
 // @access  Public (in production, this should be protected or invite-only)
@@ -76,7 +81,10 @@ router.post('/register', async (req, res, next) => {
     }
 });
 
-router.post('/login', async (req, res, next) => {
+// @route   POST /api/auth/login
+// @desc    Log in an admin, judge or participant with email and password
+// @access  Public (throttled; locked out after repeated failures)
+router.post('/login', rateLimit('login', loginIdentity), checkLockout('login', loginIdentity), async (req, res, next) => {
     try {
         const { email, password, role } = req.body;
 
@@ -93,6 +101,7 @@ router.post('/login', async (req, res, next) => {
             // Check for participant
             user = await Participant.findOne({ email }).select('+password');
             if (!user) {
+                await recordLoginFailure('login', clientIp(req), loginIdentity(req));
                 return res.status(401).json({
                     success: false,
                     message: 'Invalid credentials'
@@ -102,6 +111,7 @@ router.post('/login', async (req, res, next) => {
             // Check for user (admin/judge)
             user = await User.findOne({ email }).select('+password');
             if (!user) {
+                await recordLoginFailure('login', clientIp(req), loginIdentity(req));
                 return res.status(401).json({
                     success: false,
                     message: 'Invalid credentials'
@@ -128,14 +138,22 @@ router.post('/login', async (req, res, next) => {
         // Check if password matches
         const isMatch = await user.matchPassword(password);
         if (!isMatch) {
+            await recordLoginFailure('login', clientIp(req), loginIdentity(req));
             return res.status(401).json({
                 success: false,
                 message: 'Invalid credentials'
             });
         }
 
+        await clearLoginFailures('login', loginIdentity(req), clientIp(req));
+
+        // A generated password only unlocks the change-password route
+        const mustChangePassword = role === 'participant' && !!user.mustChangePassword;
+
         // Generate token
-        const token = user.getSignedJwtToken();
+        const token = mustChangePassword
+            ? user.getSignedJwtToken({ mustChangePassword: true })
+            : user.getSignedJwtToken();
 
         res.status(200).json({
             success: true,
@@ -147,7 +165,8 @@ router.post('/login', async (req, res, next) => {
                     email: user.email,
                     role: role || user.role,
                     profileComplete: user.profileComplete !== undefined ? user.profileComplete : !!user.mobile,
-                    registrationStatus: user.registrationStatus
+                    registrationStatus: user.registrationStatus,
+                    mustChangePassword
                 },
                 token
             }
@@ -157,6 +176,102 @@ router.post('/login', async (req, res, next) => {
     }
 });
 
+// @route   POST /api/auth/forgot-password
+// @desc    Email a participant a password reset link
+// @access  Public (throttled)
+router.post('/forgot-password', rateLimit('password-reset', req => req.body?.email), async (req, res, next) => {
+    try {
+        const { email } = req.body;
+
+        if (!email) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide your email'
+            });
+        }
+
+        const participant = await Participant.findOne({ email: String(email).trim().toLowerCase() });
+        if (participant) {
+            await sendResetLink(participant);
+        }
+
+        // Same answer either way so the form cannot be used to probe for accounts
+        res.status(200).json({
+            success: true,
+            message: 'If an account exists for this email, a reset link has been sent.'
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with a reset link token
+// @access  Public (throttled)
+router.post('/reset-password', rateLimit('password-reset'), async (req, res, next) => {
+    try {
+        const { token, password } = req.body;
+
+        if (!token || !password) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide the reset token and a new password'
+            });
+        }
+
+        const participant = await resetPassword(token, password);
+        await clearLoginFailures('login', participant.email);
+
+        res.status(200).json({
+            success: true,
+            message: 'Password updated. You can now log in with your new password.'
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/auth/change-password
+// @desc    Change the logged-in participant's password
+// @access  Private (Participant)
+router.post('/change-password', protect, async (req, res, next) => {
+    try {
+        if (req.user.role !== 'participant') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Participant only route.'
+            });
+        }
+
+        const { currentPassword, newPassword } = req.body;
+
+        const participant = await Participant.findById(req.user._id).select('+password');
+        const isMatch = await participant.matchPassword(currentPassword || '');
+        if (!isMatch) {
+            return res.status(401).json({
+                success: false,
+                message: 'Current password is incorrect'
+            });
+        }
+
+        assertAcceptablePassword(participant, newPassword);
+
+        participant.password = newPassword;
+        participant.mustChangePassword = false;
+        participant.passwordChangedAt = new Date();
+        await participant.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Password changed',
+            // Earlier sessions end with the change, so hand back a fresh one
+            data: { token: participant.getSignedJwtToken() }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
 // @route   POST /api/auth/google-login
 // @desc    Login/Register with Google
 // @access  Public
@@ -0,0 +1,153 @@
+const express = require('express');
+const router = express.Router();
+const Payment = require('../models/Payment');
+const { protect } = require('../middleware/auth');
+const { getStorageDriver, findProfileByFolder } = require('../utils/storage');
+const localStorage = require('../utils/storage/local');
+const { signFileUrl, verifyFileSignature } = require('../utils/fileLinks');
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Whether a participant uploaded (and still references) a private file
+ * @param {Object} participant - Participant document
+ * @param {String} folder - Profile folder
+ * @param {String} fileName - Stored file name
+ * @returns {Boolean}
+ */
+async function participantOwnsFile(participant, folder, fileName) {
+    const suffix = `/${folder}/${fileName}`;
+
+    if (folder === 'payment-proofs' || folder === 'proof-thumbnails') {
+        if (participant.paymentProofUrl?.endsWith(suffix)) return true;
+        const pattern = { $regex: `${escapeRegex(suffix)}$` };
+        return Boolean(await Payment.exists({
+            participant: participant._id,
+            $or: [{ proofUrl: pattern }, { 'attachments.url': pattern }, { 'attachments.thumbnailUrl': pattern }]
+        }));
+    }
+
+    // Form answers hold the URL somewhere under customResponses
+    return JSON.stringify(participant.customResponses || {}).includes(suffix);
+}
+
+/**
+ * Whether the logged-in user may see a private file
+ * @param {Object} user - req.user
+ * @param {String} folder - Profile folder
+ * @param {String} fileName - Stored file name
+ * @returns {Boolean}
+ */
+async function canViewFile(user, folder, fileName) {
+    return user.role === 'admin' ||
+        (user.role === 'participant' && await participantOwnsFile(user, folder, fileName));
+}
+
+// Find the stored file and, for private folders, require a signed link
+// (from /link) or a login sent in the Authorization header
+const resolveFile = (req, res, next) => {
+    const { folder, fileName } = req.params;
+
+    const profile = findProfileByFolder(folder);
+    const fullPath = localStorage.resolvePath(folder, fileName);
+    if (getStorageDriver().name !== 'local' || !profile || !fullPath) {
+        return res.status(404).json({
+            success: false,
+            message: 'File not found'
+        });
+    }
+
+    req.storedFile = { profile, fullPath, signed: false };
+    if (!profile.private) return next();
+
+    if (req.query.sig) {
+        if (!verifyFileSignature(req.query.sig, folder, fileName)) {
+            return res.status(403).json({
+                success: false,
+                message: 'This file link is invalid or has expired'
+            });
+        }
+        req.storedFile.signed = true;
+        return next();
+    }
+    return protect(req, res, next);
+};
+
+// @route   GET /api/files/:folder/:fileName/link
+// @desc    Short-lived signed URL for a private file, for <img> and <a> tags
+//          that cannot send the Authorization header
+// @access  Private (Admin, or the participant who uploaded it)
+router.get('/:folder/:fileName/link', protect, async (req, res, next) => {
+    try {
+        const { folder, fileName } = req.params;
+        const profile = findProfileByFolder(folder);
+        if (getStorageDriver().name !== 'local' || !profile || !localStorage.resolvePath(folder, fileName)) {
+            return res.status(404).json({
+                success: false,
+                message: 'File not found'
+            });
+        }
+
+        if (!profile.private) {
+            return res.status(200).json({
+                success: true,
+                data: { url: localStorage.fileUrl(folder, fileName), expiresAt: null }
+            });
+        }
+
+        if (!(await canViewFile(req.user, folder, fileName))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this file'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: signFileUrl(localStorage.fileUrl(folder, fileName), folder, fileName)
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   GET /api/files/:folder/:fileName
+// @desc    Serve a file stored by the local storage driver. Payment proofs and
+//          form uploads need a signed link, or an admin or the participant
+//          who uploaded them.
+// @access  Public (QR codes, banners) / Private (everything else)
+router.get('/:folder/:fileName', resolveFile, async (req, res, next) => {
+    try {
+        const { folder, fileName } = req.params;
+        const { profile, fullPath, signed } = req.storedFile;
+
+        if (profile.private && !signed) {
+            if (!(await canViewFile(req.user, folder, fileName))) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Not authorized to view this file'
+                });
+            }
+        }
+
+        res.sendFile(fullPath, {
+            headers: {
+                'Cache-Control': profile.private ? 'private, max-age=300' : 'public, max-age=86400',
+                'X-Content-Type-Options': 'nosniff'
+            }
+        }, (error) => {
+            if (!error || res.headersSent) return;
+            if (error.code === 'ENOENT') {
+                return res.status(404).json({
+                    success: false,
+                    message: 'File not found'
+                });
+            }
+            next(error);
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
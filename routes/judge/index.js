@@ -5,11 +5,13 @@ const Group = require('../../models/Group');
 const Evaluation = require('../../models/Evaluation');
 const Participant = require('../../models/Participant');
 const Topic = require('../../models/Topic');
+const { rateLimit, checkLockout } = require('../../middleware/rateLimit');
+const { clientIp, recordLoginFailure } = require('../../utils/rateLimit');
 
 // @route   POST /api/judge/login
 // @desc    Judge login with access code
-// @access  Public
-router.post('/login', async (req, res, next) => {
+// @access  Public (throttled per client; locked out after repeated wrong codes)
+router.post('/login', rateLimit('judge-login'), checkLockout('judge-login'), async (req, res, next) => {
     try {
         const { accessCode } = req.body;
 
@@ -24,6 +26,7 @@ router.post('/login', async (req, res, next) => {
         const panel = await Panel.findOne({ 'judges.accessCode': cleanedCode });
 
         if (!panel) {
+            await recordLoginFailure('judge-login', clientIp(req), null);
             return res.status(401).json({
                 success: false,
                 message: 'Invalid access code'
@@ -34,6 +37,7 @@ router.post('/login', async (req, res, next) => {
         const judge = panel.judges.find(j => j.accessCode === cleanedCode);
 
         if (!judge) {
+            await recordLoginFailure('judge-login', clientIp(req), null);
             return res.status(401).json({
                 success: false,
                 message: 'Invalid access code'
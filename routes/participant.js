@@ -3,7 +3,27 @@ const router = express.Router();
 const Participant = require('../models/Participant');
 const SubEvent = require('../models/SubEvent');
 const Round = require('../models/Round');
+const Team = require('../models/Team');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Payment = require('../models/Payment');
+const WithdrawalRequest = require('../models/WithdrawalRequest');
+const Refund = require('../models/Refund');
+const ProfileChangeRequest = require('../models/ProfileChangeRequest');
 const { protect } = require('../middleware/auth');
+const { createTeam, joinTeam, leaveTeam } = require('../utils/teams');
+const { hasFreeSeat, markOffersPaid, withdrawEntry } = require('../utils/waitlist');
+const { reserveSeats, releaseReservations } = require('../utils/seatLedger');
+const { recordPayment } = require('../utils/payments');
+const { generateReceiptPDF } = require('../utils/pdfExport');
+const { requestWithdrawal } = require('../utils/withdrawals');
+const { validateResponses } = require('../utils/formFields');
+const { assertEligible } = require('../utils/eligibility');
+const { checkSelectionClashes } = require('../utils/scheduleClash');
+const { proposeProfileChanges } = require('../utils/profileChanges');
+const { resolveProofAttachments } = require('../utils/proofFiles');
+const { findApplicableCoupon, consumeCoupon, releaseCoupon, recordRedemption } = require('../utils/pricing');
+const { createQuote, verifyQuote, assertQuotedAmount, claimQuote, releaseQuote } = require('../utils/quotes');
+const { COUNTED_STATUSES, assertRegistrationAllowed, claimOverride, releaseOverride } = require('../utils/registrationWindow');
 
 // @route   GET /api/participant/me
 // @desc    Get current participant profile and status
@@ -30,6 +50,9 @@ router.get('/me', protect, async (req, res, next) => {
             });
         }
 
+        const teams = await Team.find({ members: participant._id })
+            .populate('members', 'fullName chestNumber');
+
         // Enhance sub-events with real-time status and current round info
         const enrichedSubEvents = await Promise.all(participant.registeredSubEvents.map(async (subEvent) => {
             const statusInfo = participant.getSubEventStatus(subEvent._id);
@@ -40,11 +63,14 @@ router.get('/me', protect, async (req, res, next) => {
                     .select('name roundNumber venue instructions status');
             }
 
+            const team = teams.find(t => t.subEvent.toString() === subEvent._id.toString());
+
             return {
                 ...subEvent.toObject(),
                 myStatus: statusInfo.status,
                 myRoundNumber: statusInfo.roundNumber,
-                currentRound: roundInfo
+                currentRound: roundInfo,
+                myTeam: team || null
             };
         }));
 
@@ -63,6 +89,7 @@ router.get('/me', protect, async (req, res, next) => {
                 rejectionReason: participant.rejectionReason,
                 paidAmount: participant.paidAmount,
                 currentStatus: participant.currentStatus,
+                customResponses: participant.customResponses,
                 registeredSubEvents: enrichedSubEvents
             }
         });
@@ -83,7 +110,17 @@ router.post('/resubmit-payment', protect, async (req, res, next) => {
             });
         }
 
-        const { subEventIds, transactionId, paymentProofUrl } = req.body;
+        const {
+            subEventIds,
+            transactionId,
+            paymentProofUrl,
+            paymentProofUrls,
+            paidAmount,
+            customResponses,
+            couponCode,
+            quoteToken, // From /quote; fixes the amount to pay
+            overrideCode
+        } = req.body;
 
         // Validation
         if (!subEventIds || !Array.isArray(subEventIds) || subEventIds.length === 0) {
@@ -93,7 +130,8 @@ router.post('/resubmit-payment', protect, async (req, res, next) => {
             });
         }
 
-        if (!transactionId || !paymentProofUrl) {
+        const proofAttachments = await resolveProofAttachments({ paymentProofUrl, paymentProofUrls });
+        if (!transactionId || proofAttachments.length === 0) {
             return res.status(400).json({
                 success: false,
                 message: 'Transaction ID and payment proof are required'
@@ -117,30 +155,118 @@ router.post('/resubmit-payment', protect, async (req, res, next) => {
             });
         }
 
-        // Verify all sub-events exist
-        const subEvents = await SubEvent.find({ _id: { $in: subEventIds } });
+        // Verify all sub-events exist and are active
+        const subEvents = await SubEvent.find({
+            _id: { $in: subEventIds },
+            isActiveForRegistration: true
+        });
         if (subEvents.length !== subEventIds.length) {
             return res.status(400).json({
                 success: false,
-                message: 'One or more selected events are invalid'
+                message: 'One or more selected sub-events are not available for registration'
             });
         }
 
-        // Update participant with new payment details
+        // Check seat availability (a live waitlist offer counts as a seat)
+        for (const event of subEvents) {
+            if (!(await hasFreeSeat(event, { participantId: participant._id, io: req.app.get('io') }))) {
+                return res.status(400).json({
+                    success: false,
+                    message: `${event.name} is full. You can join its waitlist instead.`,
+                    waitlistAvailable: true,
+                    subEventId: event._id
+                });
+            }
+        }
+
+        // The new selection replaces the rejected one, so it is checked like a fresh registration
+        await assertEligible(subEvents, participant, subEventIds.length);
+        const clashWarnings = await checkSelectionClashes(subEventIds);
+
+        // Answers given at registration are kept unless new ones are sent
+        const responses = validateResponses(subEvents, {
+            ...Object.fromEntries(participant.customResponses),
+            ...(customResponses || {})
+        });
+
+        // The amount is the one quoted for exactly these events and coupon
+        const quote = verifyQuote(quoteToken, {
+            kind: 'resubmission',
+            subEventIds,
+            couponCode,
+            college: participant.college,
+            participantId: participant._id
+        });
+        const amount = assertQuotedAmount(quote, paidAmount);
+        // The coupon may have been switched off or used up since the quote
+        const coupon = quote.couponCode
+            ? await findApplicableCoupon(quote.couponCode, {
+                subEventIds,
+                college: participant.college,
+                participantId: participant._id
+            })
+            : null;
+
+        // Rejected registrations gave up their place, so the window and cap apply again
+        const override = await assertRegistrationAllowed({ subEvents, joining: true, overrideCode });
+
+        for (const [subEventId, answers] of Object.entries(responses)) {
+            participant.customResponses.set(subEventId, answers);
+        }
         participant.registeredSubEvents = subEventIds;
-        participant.transactionId = transactionId;
-        participant.paymentProofUrl = paymentProofUrl;
         participant.registrationStatus = 'pending'; // Reset to pending for admin review
         participant.rejectionReason = undefined; // Clear rejection reason
 
-        await participant.save();
+        // One submission per quote
+        await claimQuote(quote);
+
+        let reserved = [];
+        let couponConsumed = false;
+        let overrideClaimed = false;
+        let payment = null;
+        try {
+            // Seats were released on rejection, so hold them again for the new review
+            reserved = await reserveSeats(subEventIds, participant._id);
+            if (override) {
+                await claimOverride(override, participant._id, 'resubmit-payment');
+                overrideClaimed = true;
+            }
+            if (coupon) {
+                await consumeCoupon(coupon);
+                couponConsumed = true;
+            }
+            // The new submission is reviewed on its own; the rejected one stays on record
+            payment = await recordPayment(participant, {
+                kind: 'resubmission',
+                subEventIds,
+                amount,
+                transactionId,
+                attachments: proofAttachments,
+                priceBreakdown: quote
+            });
+            await participant.save();
+        } catch (error) {
+            await releaseReservations(reserved, 'registration failed');
+            if (couponConsumed) await releaseCoupon(coupon);
+            if (overrideClaimed) await releaseOverride(override, participant._id);
+            if (payment) await payment.deleteOne();
+            await releaseQuote(quote);
+            throw error;
+        }
+
+        if (coupon) {
+            await recordRedemption(participant, subEvents, { ...quote, coupon });
+        }
 
         res.status(200).json({
             success: true,
             message: 'Payment details resubmitted successfully. Waiting for admin approval.',
             data: {
                 registrationStatus: participant.registrationStatus,
-                registeredSubEvents: participant.registeredSubEvents
+                registeredSubEvents: participant.registeredSubEvents,
+                paymentId: payment._id,
+                pricing: quote,
+                clashWarnings
             }
         });
     } catch (error) {
@@ -148,6 +274,53 @@ router.post('/resubmit-payment', protect, async (req, res, next) => {
     }
 });
 
+// @route   POST /api/participant/quote
+// @desc    Price additional events and return a signed quote for /add-events,
+//          or a new selection for /resubmit-payment after a rejection
+// @access  Private (Participant)
+router.post('/quote', protect, async (req, res, next) => {
+    try {
+        if (req.user.role !== 'participant') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Participant only route.'
+            });
+        }
+
+        const { subEventIds, couponCode } = req.body;
+
+        if (!subEventIds || !Array.isArray(subEventIds) || subEventIds.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please select at least one additional sub-event'
+            });
+        }
+
+        const subEvents = await SubEvent.find({ _id: { $in: subEventIds } });
+        if (subEvents.length !== subEventIds.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'One or more selected events are invalid'
+            });
+        }
+
+        const quote = await createQuote({
+            subEvents,
+            couponCode,
+            college: req.user.college,
+            participant: req.user,
+            kind: req.user.registrationStatus === 'rejected' ? 'resubmission' : 'add_events'
+        });
+
+        res.status(200).json({
+            success: true,
+            data: quote
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
 // @route   POST /api/participant/add-events
 // @desc    Register for additional events
 // @access  Private (Participant)
@@ -160,7 +333,17 @@ router.post('/add-events', protect, async (req, res, next) => {
             });
         }
 
-        const { subEventIds, transactionId, paymentProofUrl, paidAmount } = req.body;
+        const {
+            subEventIds,
+            transactionId,
+            paymentProofUrl,
+            paymentProofUrls,
+            paidAmount,
+            customResponses,
+            couponCode,
+            quoteToken, // From /quote; fixes the amount to pay
+            overrideCode
+        } = req.body;
 
         if (!subEventIds || !Array.isArray(subEventIds) || subEventIds.length === 0) {
             return res.status(400).json({
@@ -169,7 +352,8 @@ router.post('/add-events', protect, async (req, res, next) => {
             });
         }
 
-        if (!transactionId || !paymentProofUrl) {
+        const proofAttachments = await resolveProofAttachments({ paymentProofUrl, paymentProofUrls });
+        if (!transactionId || proofAttachments.length === 0) {
             return res.status(400).json({
                 success: false,
                 message: 'Transaction ID and payment proof are required'
@@ -202,32 +386,126 @@ router.post('/add-events', protect, async (req, res, next) => {
             });
         }
 
-        // Check seat availability
+        // Check seat availability (a live waitlist offer counts as a seat)
         for (const event of subEvents) {
-            if (event.maxParticipants && event.approvedParticipants >= event.maxParticipants) {
+            if (!(await hasFreeSeat(event, { participantId: participant._id, io: req.app.get('io') }))) {
                 return res.status(400).json({
                     success: false,
-                    message: `${event.name} is full`
+                    message: `${event.name} is full. You can join its waitlist instead.`,
+                    waitlistAvailable: true,
+                    subEventId: event._id
                 });
             }
         }
 
+        // Eligibility rules, counting events already held or awaiting approval
+        await assertEligible(
+            subEvents,
+            participant,
+            participant.registeredSubEvents.length + participant.pendingSubEvents.length + subEventIds.length
+        );
+
+        // Overlapping time slots with events already held: blocks or warns depending on the admin policy
+        const clashWarnings = await checkSelectionClashes([
+            ...participant.registeredSubEvents,
+            ...participant.pendingSubEvents,
+            ...subEventIds
+        ]);
+
+        // Answers to the new events' questions
+        const responses = validateResponses(subEvents, customResponses);
+
+        // The amount is the one quoted for exactly these events and coupon
+        const quote = verifyQuote(quoteToken, {
+            kind: 'add_events',
+            subEventIds,
+            couponCode,
+            college: participant.college,
+            participantId: participant._id
+        });
+        const amount = assertQuotedAmount(quote, paidAmount);
+        // The coupon may have been switched off or used up since the quote
+        const coupon = quote.couponCode
+            ? await findApplicableCoupon(quote.couponCode, {
+                subEventIds,
+                college: participant.college,
+                participantId: participant._id
+            })
+            : null;
+
+        // Participants already pending or approved hold a place under the global cap
+        const override = await assertRegistrationAllowed({
+            subEvents,
+            joining: !COUNTED_STATUSES.includes(participant.registrationStatus),
+            overrideCode
+        });
+
+        for (const [subEventId, answers] of Object.entries(responses)) {
+            participant.customResponses.set(subEventId, answers);
+        }
+
         // Store as pending re-registration
-        participant.pendingSubEvents = subEventIds;
-        participant.transactionId = transactionId;
-        participant.paymentProofUrl = paymentProofUrl;
-        participant.paidAmount = (participant.paidAmount || 0) + (paidAmount || 0); // Aggregate paid amount or track separately? User said "accept or reject based on payment proof", so we update current payment info.
+        const pending = participant.pendingSubEvents.map(id => id.toString());
+        participant.pendingSubEvents = [
+            ...participant.pendingSubEvents,
+            ...subEventIds.filter(id => !pending.includes(id.toString()))
+        ];
         participant.registrationStatus = 'pending';
         participant.isReRegistration = true;
 
-        await participant.save();
+        // One submission per quote
+        await claimQuote(quote);
+
+        let reserved = [];
+        let couponConsumed = false;
+        let overrideClaimed = false;
+        let payment = null;
+        try {
+            // Hold the seats (an offered waitlist seat is already held and is not taken again)
+            reserved = await reserveSeats(subEventIds, participant._id);
+            if (override) {
+                await claimOverride(override, participant._id, 'add-events');
+                overrideClaimed = true;
+            }
+            if (coupon) {
+                await consumeCoupon(coupon);
+                couponConsumed = true;
+            }
+            // Each submission is its own payment; earlier proofs stay on record
+            payment = await recordPayment(participant, {
+                kind: 'add_events',
+                subEventIds,
+                amount,
+                transactionId,
+                attachments: proofAttachments,
+                priceBreakdown: quote
+            });
+            await participant.save();
+        } catch (error) {
+            await releaseReservations(reserved, 'registration failed');
+            if (couponConsumed) await releaseCoupon(coupon);
+            if (overrideClaimed) await releaseOverride(override, participant._id);
+            if (payment) await payment.deleteOne();
+            await releaseQuote(quote);
+            throw error;
+        }
+
+        if (coupon) {
+            await recordRedemption(participant, subEvents, { ...quote, coupon });
+        }
+
+        // Held seats are now paid for and stop expiring
+        await markOffersPaid(participant._id, subEventIds);
 
         res.status(200).json({
             success: true,
             message: 'Additional registration submitted. Waiting for admin approval.',
             data: {
                 registrationStatus: participant.registrationStatus,
-                isReRegistration: participant.isReRegistration
+                isReRegistration: participant.isReRegistration,
+                paymentId: payment._id,
+                pricing: quote,
+                clashWarnings
             }
         });
     } catch (error) {
@@ -235,4 +513,557 @@ router.post('/add-events', protect, async (req, res, next) => {
     }
 });
 
+// @route   GET /api/participant/payments
+// @desc    Get the participant's payment history
+// @access  Private (Participant)
+router.get('/payments', protect, async (req, res, next) => {
+    try {
+        if (req.user.role !== 'participant') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Participant only route.'
+            });
+        }
+
+        const payments = await Payment.find({ participant: req.user._id })
+            .populate('subEvents', 'name type accentColor')
+            .select('-reviewedBy')
+            .sort({ createdAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            count: payments.length,
+            data: payments
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   GET /api/participant/payments/:id/receipt
+// @desc    Download the receipt PDF for an approved payment
+// @access  Private (Participant)
+router.get('/payments/:id/receipt', protect, async (req, res, next) => {
+    try {
+        if (req.user.role !== 'participant') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Participant only route.'
+            });
+        }
+
+        const payment = await Payment.findOne({ _id: req.params.id, participant: req.user._id })
+            .populate('participant', 'fullName email mobile prn college chestNumber')
+            .populate('subEvents', 'name');
+
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Payment not found'
+            });
+        }
+
+        if (payment.status !== 'approved' || !payment.receiptNumber) {
+            return res.status(400).json({
+                success: false,
+                message: 'A receipt is available once the payment is approved'
+            });
+        }
+
+        const doc = generateReceiptPDF([payment]);
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename=receipt-${payment.receiptLabel}.pdf`);
+
+        doc.pipe(res);
+        doc.end();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   GET /api/participant/withdrawals
+// @desc    Get the participant's withdrawal requests and refunds
+// @access  Private (Participant)
+router.get('/withdrawals', protect, async (req, res, next) => {
+    try {
+        if (req.user.role !== 'participant') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Participant only route.'
+            });
+        }
+
+        const requests = await WithdrawalRequest.find({ participant: req.user._id })
+            .populate('subEvent', 'name type accentColor')
+            .select('-reviewedBy')
+            .sort({ createdAt: -1 });
+        const refunds = await Refund.find({ participant: req.user._id })
+            .select('withdrawal subEvent amount status paidAt')
+            .sort({ createdAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            data: { requests, refunds }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/participant/withdrawals
+// @desc    Ask to withdraw from a sub-event
+// @access  Private (Participant)
+router.post('/withdrawals', protect, async (req, res, next) => {
+    try {
+        if (req.user.role !== 'participant') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Participant only route.'
+            });
+        }
+
+        const { subEventId, reason } = req.body;
+
+        if (!subEventId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please select the event to withdraw from'
+            });
+        }
+
+        const request = await requestWithdrawal(req.user, subEventId, reason);
+
+        const io = req.app.get('io');
+        if (io) {
+            io.to('admin').emit('withdrawal:requested', {
+                requestId: request._id,
+                participantId: req.user._id,
+                fullName: req.user.fullName,
+                subEventId
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: request.refundAmount > 0
+                ? `Withdrawal requested. You are eligible for a refund of ₹${request.refundAmount}.`
+                : 'Withdrawal requested. No refund applies under the current policy.',
+            data: request
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   DELETE /api/participant/withdrawals/:id
+// @desc    Cancel a pending withdrawal request
+// @access  Private (Participant)
+router.delete('/withdrawals/:id', protect, async (req, res, next) => {
+    try {
+        if (req.user.role !== 'participant') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Participant only route.'
+            });
+        }
+
+        const request = await WithdrawalRequest.findOneAndUpdate(
+            { _id: req.params.id, participant: req.user._id, status: 'pending' },
+            { $set: { status: 'cancelled' } },
+            { new: true }
+        );
+
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'Pending withdrawal request not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Withdrawal request cancelled'
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   GET /api/participant/profile-requests
+// @desc    Get my profile change requests
+// @access  Private (Participant)
+router.get('/profile-requests', protect, async (req, res, next) => {
+    try {
+        if (req.user.role !== 'participant') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Participant only route.'
+            });
+        }
+
+        const requests = await ProfileChangeRequest.find({ participant: req.user._id })
+            .select('-reviewedBy')
+            .sort({ createdAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            data: requests
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   PUT /api/participant/profile
+// @desc    Update my profile. Branch and year change at once; name, PRN and
+//          college go to the organisers for approval.
+// @access  Private (Participant)
+router.put('/profile', protect, async (req, res, next) => {
+    try {
+        if (req.user.role !== 'participant') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Participant only route.'
+            });
+        }
+
+        const { reason, ...changes } = req.body;
+
+        const { applied, request } = await proposeProfileChanges(req.user, changes, reason);
+
+        const io = req.app.get('io');
+        if (io && request) {
+            io.to('admin').emit('profile:change_requested', {
+                requestId: request._id,
+                participantId: req.user._id,
+                fullName: req.user.fullName,
+                fields: request.changes.map(change => change.field)
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: request
+                ? 'Your changes have been sent to the organisers for approval.'
+                : 'Profile updated',
+            data: { applied, request }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   DELETE /api/participant/profile-requests/:id
+// @desc    Cancel a pending profile change request
+// @access  Private (Participant)
+router.delete('/profile-requests/:id', protect, async (req, res, next) => {
+    try {
+        if (req.user.role !== 'participant') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Participant only route.'
+            });
+        }
+
+        const request = await ProfileChangeRequest.findOneAndUpdate(
+            { _id: req.params.id, participant: req.user._id, status: 'pending' },
+            { $set: { status: 'cancelled' } },
+            { new: true }
+        );
+
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'Pending change request not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Change request cancelled'
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   GET /api/participant/teams
+// @desc    Get teams the participant belongs to
+// @access  Private (Participant)
+router.get('/teams', protect, async (req, res, next) => {
+    try {
+        if (req.user.role !== 'participant') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Participant only route.'
+            });
+        }
+
+        const teams = await Team.find({ members: req.user._id })
+            .populate('subEvent', 'name groupSizeRange')
+            .populate('members', 'fullName chestNumber college');
+
+        res.status(200).json({
+            success: true,
+            count: teams.length,
+            data: teams
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/participant/teams
+// @desc    Create a team for a group sub-event (caller becomes captain)
+// @access  Private (Participant)
+router.post('/teams', protect, async (req, res, next) => {
+    try {
+        if (req.user.role !== 'participant') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Participant only route.'
+            });
+        }
+
+        const { subEventId, teamName } = req.body;
+
+        if (!subEventId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please select a sub-event'
+            });
+        }
+
+        const team = await createTeam(req.user, subEventId, teamName);
+
+        res.status(201).json({
+            success: true,
+            message: `Team created. Share invite code ${team.inviteCode} with your teammates.`,
+            data: team
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/participant/teams/join
+// @desc    Join a team using its invite code
+// @access  Private (Participant)
+router.post('/teams/join', protect, async (req, res, next) => {
+    try {
+        if (req.user.role !== 'participant') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Participant only route.'
+            });
+        }
+
+        const team = await joinTeam(req.user, req.body.inviteCode);
+
+        // Let the rest of the team know
+        const io = req.app.get('io');
+        if (io) {
+            team.members
+                .filter(id => id.toString() !== req.user._id.toString())
+                .forEach(id => {
+                    io.to(`participant:${id}`).emit('participant:notification', {
+                        id: Date.now().toString() + id,
+                        type: 'team_update',
+                        title: 'New Teammate',
+                        message: `${req.user.fullName} joined your team "${team.name}".`,
+                        timestamp: new Date()
+                    });
+                });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `You have joined team "${team.name}"`,
+            data: team
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/participant/teams/:id/leave
+// @desc    Leave a team
+// @access  Private (Participant)
+router.post('/teams/:id/leave', protect, async (req, res, next) => {
+    try {
+        if (req.user.role !== 'participant') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Participant only route.'
+            });
+        }
+
+        const team = await leaveTeam(req.user, req.params.id);
+
+        res.status(200).json({
+            success: true,
+            message: team ? `You have left team "${team.name}"` : 'Team disbanded',
+            data: team
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   GET /api/participant/waitlist
+// @desc    Get the participant's waitlist entries with queue positions
+// @access  Private (Participant)
+router.get('/waitlist', protect, async (req, res, next) => {
+    try {
+        if (req.user.role !== 'participant') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Participant only route.'
+            });
+        }
+
+        const entries = await WaitlistEntry.find({
+            participant: req.user._id,
+            status: { $in: ['waiting', 'offered'] }
+        })
+            .populate('subEvent', 'name type accentColor registrationPrice')
+            .sort({ createdAt: 1 });
+
+        const data = await Promise.all(entries.map(async (entry) => ({
+            ...entry.toObject(),
+            position: await entry.getPosition()
+        })));
+
+        res.status(200).json({
+            success: true,
+            count: data.length,
+            data
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/participant/waitlist
+// @desc    Join the waitlist of a full sub-event
+// @access  Private (Participant)
+router.post('/waitlist', protect, async (req, res, next) => {
+    try {
+        if (req.user.role !== 'participant') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Participant only route.'
+            });
+        }
+
+        const { subEventId } = req.body;
+
+        const subEvent = await SubEvent.findOne({ _id: subEventId, isActiveForRegistration: true });
+        if (!subEvent) {
+            return res.status(404).json({
+                success: false,
+                message: 'Sub-event not available for registration'
+            });
+        }
+
+        const participant = req.user;
+        const enrolled = [...participant.registeredSubEvents, ...participant.pendingSubEvents]
+            .some(id => id.toString() === subEvent._id.toString());
+        if (enrolled) {
+            return res.status(400).json({
+                success: false,
+                message: `You are already registered for ${subEvent.name}`
+            });
+        }
+
+        if (await hasFreeSeat(subEvent, { io: req.app.get('io') })) {
+            return res.status(400).json({
+                success: false,
+                message: `${subEvent.name} still has seats available. Please register for it directly.`
+            });
+        }
+
+        await assertEligible(
+            [subEvent],
+            participant,
+            participant.registeredSubEvents.length + participant.pendingSubEvents.length + 1
+        );
+
+        const existing = await WaitlistEntry.findOne({
+            subEvent: subEvent._id,
+            participant: participant._id,
+            status: { $in: ['waiting', 'offered'] }
+        });
+        if (existing) {
+            return res.status(400).json({
+                success: false,
+                message: `You are already on the waitlist for ${subEvent.name}`
+            });
+        }
+
+        const entry = await WaitlistEntry.create({
+            subEvent: subEvent._id,
+            participant: participant._id
+        });
+
+        const io = req.app.get('io');
+        if (io) {
+            io.to('admin').emit('waitlist:joined', {
+                subEventId: subEvent._id,
+                participantId: participant._id,
+                fullName: participant.fullName
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: `You have joined the waitlist for ${subEvent.name}`,
+            data: {
+                ...entry.toObject(),
+                position: await entry.getPosition()
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   DELETE /api/participant/waitlist/:id
+// @desc    Leave a waitlist (or decline an offered seat)
+// @access  Private (Participant)
+router.delete('/waitlist/:id', protect, async (req, res, next) => {
+    try {
+        if (req.user.role !== 'participant') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Participant only route.'
+            });
+        }
+
+        const entry = await WaitlistEntry.findOne({
+            _id: req.params.id,
+            participant: req.user._id,
+            status: { $in: ['waiting', 'offered'] }
+        });
+
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                message: 'Waitlist entry not found'
+            });
+        }
+
+        // A declined offer goes to the next person in line
+        await withdrawEntry(entry, req.app.get('io'));
+
+        res.status(200).json({
+            success: true,
+            message: 'You have left the waitlist'
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
 module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const PaymentSettings = require('../models/PaymentSettings');
+const SubEvent = require('../models/SubEvent');
+const { createQuote } = require('../utils/quotes');
 
 // @route   GET /api/payment-settings
 // @desc    Get active payment settings (public)
@@ -32,10 +34,55 @@ router.get('/', async (req, res, next) => {
 
 // @route   POST /api/payment-settings/calculate-discount
 // @desc    Calculate discount for registration (public)
+//          Send subEventIds (+ optional couponCode, college) to price an exact selection;
+//          the result is the same signed quote as POST /api/registration/quote
 // @access  Public
 router.post('/calculate-discount', async (req, res, next) => {
     try {
-        const { totalAmount, eventCount } = req.body;
+        const { totalAmount, eventCount, subEventIds, couponCode, college } = req.body;
+
+        if (Array.isArray(subEventIds) && subEventIds.length > 0) {
+            const subEvents = await SubEvent.find({ _id: { $in: subEventIds } });
+            if (subEvents.length !== subEventIds.length) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'One or more selected events are invalid'
+                });
+            }
+
+            const settings = await PaymentSettings.getActiveSettings();
+            const { quoteToken, expiresAt, breakdown, upi } = await createQuote({ subEvents, couponCode, college, kind: 'registration' });
+            const discount = breakdown.bulkDiscount + breakdown.comboDiscount + breakdown.couponDiscount;
+
+            return res.status(200).json({
+                success: true,
+                data: {
+                    totalAmount: breakdown.subtotal,
+                    eventCount: subEvents.length,
+                    discount,
+                    finalAmount: breakdown.total,
+                    discountApplied: discount > 0,
+                    lines: breakdown.lines,
+                    bulkDiscount: breakdown.bulkDiscount,
+                    comboDiscount: breakdown.comboDiscount,
+                    comboTier: breakdown.comboTier,
+                    couponCode: breakdown.couponCode,
+                    couponDiscount: breakdown.couponDiscount,
+                    discountPercentage: settings.bulkRegistrationDiscount.discountValue,
+                    minEventsRequired: settings.bulkRegistrationDiscount.minEvents,
+                    quoteToken,
+                    quoteExpiresAt: expiresAt,
+                    upi
+                }
+            });
+        }
+
+        if (couponCode) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide subEventIds to apply a coupon'
+            });
+        }
 
         if (!totalAmount || !eventCount) {
             return res.status(400).json({
@@ -1,11 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const Query = require('../models/Query');
+const { rateLimit } = require('../middleware/rateLimit');
 
 // @route   POST /api/queries
 // @desc    Submit a new query
-// @access  Public
-router.post('/', async (req, res, next) => {
+// @access  Public (throttled)
+router.post('/', rateLimit('queries', req => req.body?.email), async (req, res, next) => {
     try {
         const { fullName, email, mobile, subject, message } = req.body;
 
@@ -2,15 +2,61 @@ const express = require('express');
 const router = express.Router();
 const SubEvent = require('../models/SubEvent');
 const Participant = require('../models/Participant');
-const { uploadPaymentProof } = require('../middleware/upload');
+const { uploadPaymentProof, uploadFormFile } = require('../middleware/upload');
+const { validateTeamRequests, applyTeamRequests } = require('../utils/teams');
+const { hasFreeSeat } = require('../utils/waitlist');
+const { reserveSeats, releaseReservations } = require('../utils/seatLedger');
+const { resolvePriceTier, getComboTier, findApplicableCoupon, consumeCoupon, releaseCoupon, recordRedemption } = require('../utils/pricing');
+const { createQuote, verifyQuote, assertQuotedAmount, claimQuote, releaseQuote } = require('../utils/quotes');
+const { recordPayment } = require('../utils/payments');
+const { MAX_PROOF_FILES, registerProofUpload, resolveProofAttachments } = require('../utils/proofFiles');
+const { validateResponses } = require('../utils/formFields');
+const { getHostColleges, getIneligibilityReason, assertEligible } = require('../utils/eligibility');
+const { checkSelectionClashes } = require('../utils/scheduleClash');
+const { getOtpRequirements, requestOtp, verifyOtp, assertVerified } = require('../utils/otp');
+const { describeRegistrationWindow, assertRegistrationAllowed, claimOverride, releaseOverride } = require('../utils/registrationWindow');
+const { rateLimit } = require('../middleware/rateLimit');
+const WaitlistEntry = require('../models/WaitlistEntry');
 
 const SystemSettings = require('../models/SystemSettings');
 const PaymentSettings = require('../models/PaymentSettings');
 
 // @route   POST /api/registration/upload-proof
-// @desc    Upload payment proof immediately
+// @desc    Upload payment proof immediately: one or more images or PDFs in
+//          'paymentProof'. Send the returned URLs as paymentProofUrls.
 // @access  Public
-router.post('/upload-proof', uploadPaymentProof.single('paymentProof'), async (req, res, next) => {
+router.post('/upload-proof', rateLimit('proof-upload'), uploadPaymentProof.array('paymentProof', MAX_PROOF_FILES), async (req, res, next) => {
+    try {
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({ success: false, message: 'Please upload a file' });
+        }
+
+        const files = [];
+        for (const file of req.files) {
+            const proof = await registerProofUpload(file);
+            files.push({
+                url: proof.url,
+                kind: proof.kind,
+                thumbnailUrl: proof.thumbnailUrl || (proof.kind === 'image' ? proof.url : null),
+                pageCount: proof.pageCount,
+                originalName: proof.originalName
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            url: files[0].url,
+            files
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/registration/upload-file
+// @desc    Upload a file answer for a sub-event form field
+// @access  Public
+router.post('/upload-file', rateLimit('form-upload'), uploadFormFile.single('file'), async (req, res, next) => {
     try {
         if (!req.file) {
             return res.status(400).json({ success: false, message: 'Please upload a file' });
@@ -31,7 +77,10 @@ router.get('/payment-settings', async (req, res, next) => {
     try {
         const paymentSettings = await PaymentSettings.getActiveSettings();
         const systemSettings = await SystemSettings.findOne({ key: 'core_settings' })
-            .select('allEventsQrCodeUrl twoEventsQrCodeUrl singleEventQrCodeUrl comboPrice');
+            .select('allEventsQrCodeUrl twoEventsQrCodeUrl singleEventQrCodeUrl comboPrice comboPriceSchedule');
+        const comboTier = systemSettings
+            ? resolvePriceTier(systemSettings.comboPriceSchedule, systemSettings.comboPrice)
+            : null;
 
         res.status(200).json({
             success: true,
@@ -41,7 +90,8 @@ router.get('/payment-settings', async (req, res, next) => {
                 singleEventQrCodeUrl: systemSettings?.singleEventQrCodeUrl,
                 twoEventsQrCodeUrl: systemSettings?.twoEventsQrCodeUrl,
                 allEventsQrCodeUrl: systemSettings?.allEventsQrCodeUrl,
-                basePrice: systemSettings?.comboPrice || 100,
+                basePrice: comboTier?.price || 100,
+                comboTier,
                 bulkDiscount: paymentSettings.bulkRegistrationDiscount.enabled
                     ? paymentSettings.bulkRegistrationDiscount.discountValue
                     : 0,
@@ -62,15 +112,25 @@ router.get('/payment-settings', async (req, res, next) => {
 router.get('/settings', async (req, res, next) => {
     try {
         let settings = await SystemSettings.findOne({ key: 'core_settings' })
-            .select('eventName eventDate registrationDeadline isRegistrationOpen pauseRegistrations singleEventQrCodeUrl twoEventsQrCodeUrl allEventsQrCodeUrl contactEmail availableStreams availableColleges comboPrice showSubEventsOnPublicPage publicSubEventsBannerUrl');
+            .select('eventName eventDate registrationOpensAt registrationDeadline isRegistrationOpen pauseRegistrations maxGlobalParticipants singleEventQrCodeUrl twoEventsQrCodeUrl allEventsQrCodeUrl contactEmail availableStreams availableColleges comboPrice comboPriceSchedule showSubEventsOnPublicPage publicSubEventsBannerUrl otpVerification');
 
-        if (!settings) {
+        if (settings) {
+            // Report the combo price in effect now rather than the flat figure
+            const comboTier = resolvePriceTier(settings.comboPriceSchedule, settings.comboPrice);
+            settings = {
+                ...settings.toObject(),
+                comboPrice: comboTier.price,
+                comboTier,
+                registrationWindow: await describeRegistrationWindow(settings)
+            };
+        } else {
             settings = {
                 eventName: 'VerbaFest 2026',
                 isRegistrationOpen: true,
                 pauseRegistrations: false,
                 availableStreams: ['Computer Science and Engineering'],
-                availableColleges: ["Kit's college of enginnering, Kolhapur"]
+                availableColleges: ["Kit's college of enginnering, Kolhapur"],
+                registrationWindow: await describeRegistrationWindow()
             };
         }
 
@@ -84,22 +144,118 @@ router.get('/settings', async (req, res, next) => {
 });
 
 // @route   GET /api/registration/form
-// @desc    Get active sub-events for registration form
+// @desc    Get active sub-events for registration form. Pass year, branch and
+//          college to get only the events the applicant qualifies for.
 // @access  Public
 router.get('/form', async (req, res, next) => {
     try {
-        const subEvents = await SubEvent.find({
+        const { year, branch, college } = req.query;
+
+        const allSubEvents = await SubEvent.find({
             isActiveForRegistration: true,
             $or: [
                 { registrationDeadline: null },
                 { registrationDeadline: { $gte: new Date() } }
             ]
-        }).select('name description type accentColor maxParticipants approvedParticipants registrationPrice');
+        }).select('name description type accentColor maxParticipants approvedParticipants heldSeats registrationPrice priceSchedule formFields eligibility startTime endTime registrationDeadline');
+
+        // Hide events the applicant cannot enter, saying why
+        const hostColleges = await getHostColleges();
+        const hidden = [];
+        const subEvents = allSubEvents.filter(subEvent => {
+            const reason = getIneligibilityReason(subEvent, { year, branch, college }, { hostColleges });
+            if (reason) hidden.push({ _id: subEvent._id, name: subEvent.name, reason });
+            return !reason;
+        });
+
+        // Full events can still be picked for the waitlist
+        const data = await Promise.all(subEvents.map(async (subEvent) => ({
+            ...subEvent.toObject(),
+            isFull: !(await hasFreeSeat(subEvent, { io: req.app.get('io') })),
+            priceTier: resolvePriceTier(subEvent.priceSchedule, subEvent.registrationPrice || 50)
+        })));
 
         res.status(200).json({
             success: true,
-            count: subEvents.length,
-            data: subEvents
+            count: data.length,
+            data,
+            hidden,
+            comboTier: await getComboTier()
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/registration/otp/request
+// @desc    Send a one-time code to an email address or mobile number
+// @access  Public
+router.post('/otp/request', rateLimit('otp', req => req.body?.destination), async (req, res, next) => {
+    try {
+        const { channel, destination } = req.body;
+
+        const { expiresAt } = await requestOtp(channel, destination);
+
+        res.status(200).json({
+            success: true,
+            message: 'Verification code sent',
+            data: { expiresAt }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/registration/otp/verify
+// @desc    Check a one-time code; returns a token to send with the registration
+// @access  Public
+router.post('/otp/verify', rateLimit('otp-verify', req => req.body?.destination), async (req, res, next) => {
+    try {
+        const { channel, destination, code } = req.body;
+
+        const token = await verifyOtp(channel, destination, code);
+
+        res.status(200).json({
+            success: true,
+            message: 'Verified successfully',
+            data: { channel, token }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/registration/quote
+// @desc    Price a selection (tiers, combo, bulk discount, coupon) and return a
+//          signed quote to pay against and send with /submit
+// @access  Public
+router.post('/quote', async (req, res, next) => {
+    try {
+        const { subEventIds, couponCode, college } = req.body;
+
+        if (!Array.isArray(subEventIds) || subEventIds.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please select at least one sub-event'
+            });
+        }
+
+        const subEvents = await SubEvent.find({
+            _id: { $in: subEventIds },
+            isActiveForRegistration: true
+        });
+        if (subEvents.length !== subEventIds.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'One or more selected sub-events are not available for registration'
+            });
+        }
+
+        const quote = await createQuote({ subEvents, couponCode, college, kind: 'registration' });
+
+        res.status(200).json({
+            success: true,
+            data: quote
         });
     } catch (error) {
         next(error);
@@ -109,7 +265,7 @@ router.get('/form', async (req, res, next) => {
 // @route   POST /api/registration/submit
 // @desc    Submit participant registration
 // @access  Public
-router.post('/submit', async (req, res, next) => {
+router.post('/submit', rateLimit('registration', req => req.body?.email), async (req, res, next) => {
     try {
         const {
             fullName,
@@ -122,20 +278,26 @@ router.post('/submit', async (req, res, next) => {
             selectedSubEvents, // Array of sub-event IDs
             transactionId,
             paidAmount,
-            paymentProofUrl
+            paymentProofUrl,
+            paymentProofUrls, // One or more URLs from /upload-proof (paymentProofUrl for a single file)
+            couponCode,
+            quoteToken, // From /quote; fixes the amount to pay
+            teams, // Optional: { subEventId: { teamName } | { inviteCode } } for group events
+            customResponses, // Optional: { subEventId: { fieldKey: value } } for events with form fields
+            waitlistSubEventIds, // Optional: full sub-events to queue for
+            verificationTokens, // { email, mobile } tokens from /otp/verify
+            overrideCode // Optional: help-desk code for registering outside the window
         } = req.body;
 
-        // Check if registrations are paused
-        const systemSettings = await SystemSettings.findOne({ key: 'core_settings' });
-        if (systemSettings?.pauseRegistrations) {
-            return res.status(403).json({
-                success: false,
-                message: 'Registrations are currently closed as per admin instructions.'
-            });
-        }
+        // selectedSubEvents is already an array from JSON
+        const subEventIds = selectedSubEvents || [];
+        const waitlistIds = waitlistSubEventIds || [];
+
+        // Students may register for the waitlist only; payment is then collected when a seat opens
+        const isWaitlistOnly = subEventIds.length === 0 && waitlistIds.length > 0;
 
         // Validate required fields
-        if (!fullName || !email || !mobile || !prn || !branch || !year || !college || !transactionId) {
+        if (!fullName || !email || !mobile || !prn || !branch || !year || !college || (!transactionId && !isWaitlistOnly)) {
             return res.status(400).json({
                 success: false,
                 message: 'Please provide all required fields (Name, Email, Mobile, PRN, Branch, Year, College, Transaction ID)'
@@ -143,24 +305,34 @@ router.post('/submit', async (req, res, next) => {
         }
 
         // Validate sub-events selection
-        if (!selectedSubEvents || selectedSubEvents.length === 0) {
+        if (subEventIds.length === 0 && !isWaitlistOnly) {
             return res.status(400).json({
                 success: false,
                 message: 'Please select at least one sub-event'
             });
         }
 
-        // selectedSubEvents is already an array from JSON
-        const subEventIds = selectedSubEvents;
-
-        // Validate payment proof URL
-        if (!paymentProofUrl) {
+        // Validate payment proof URLs
+        const proofAttachments = await resolveProofAttachments({ paymentProofUrl, paymentProofUrls });
+        if (proofAttachments.length === 0 && !isWaitlistOnly) {
             return res.status(400).json({
                 success: false,
                 message: 'Please upload payment proof'
             });
         }
 
+        // Email and mobile become login credentials, so they must be proven first
+        const otpRequired = await getOtpRequirements();
+        try {
+            if (otpRequired.email) assertVerified(verificationTokens?.email, 'email', email);
+            if (otpRequired.mobile) assertVerified(verificationTokens?.mobile, 'sms', mobile);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
         // Check if email, PRN, or Mobile already exists
         const existingParticipant = await Participant.findOne({
             $or: [
@@ -196,35 +368,87 @@ router.post('/submit', async (req, res, next) => {
 
         // Check if any event is full
         for (const event of subEvents) {
-            if (event.maxParticipants && event.approvedParticipants >= event.maxParticipants) {
+            if (!(await hasFreeSeat(event, { io: req.app.get('io') }))) {
                 return res.status(400).json({
                     success: false,
-                    message: `${event.name} has reached maximum capacity`
+                    message: `${event.name} has reached maximum capacity. You can join its waitlist instead.`,
+                    waitlistAvailable: true,
+                    subEventId: event._id
                 });
             }
         }
 
-        // Validate Amount with PaymentSettings
-        const PaymentSettings = require('../models/PaymentSettings');
-        const paymentSettings = await PaymentSettings.getActiveSettings();
-
-        const calculatedSubtotal = subEvents.reduce((total, event) => total + (event.registrationPrice || 50), 0);
-        const calculatedDiscount = paymentSettings.calculateDiscount(calculatedSubtotal, subEvents.length);
-        const expectedAmount = Math.max(0, calculatedSubtotal - calculatedDiscount);
+        // Waitlisted events must be open for registration and actually full
+        const waitlistEvents = await SubEvent.find({
+            _id: { $in: waitlistIds },
+            isActiveForRegistration: true
+        });
 
-        // We allow a small margin or just check if it's at least the expected amount
-        if (parseFloat(paidAmount) < expectedAmount) {
+        if (waitlistEvents.length !== waitlistIds.length) {
             return res.status(400).json({
                 success: false,
-                message: `Invalid payment amount. Expected at least ₹${expectedAmount}`
+                message: 'One or more waitlisted sub-events are not available for registration'
             });
         }
 
-        // Use mobile number as password for easier login
+        // Opening time, deadlines, pause and the global cap; a waitlist-only
+        // registration does not take a place under the cap
+        const override = await assertRegistrationAllowed({
+            subEvents: [...subEvents, ...waitlistEvents],
+            joining: !isWaitlistOnly,
+            overrideCode
+        });
+
+        for (const event of waitlistEvents) {
+            if (subEventIds.some(id => id.toString() === event._id.toString())) {
+                return res.status(400).json({
+                    success: false,
+                    message: `${event.name} cannot be both selected and waitlisted`
+                });
+            }
+            if (await hasFreeSeat(event, { io: req.app.get('io') })) {
+                return res.status(400).json({
+                    success: false,
+                    message: `${event.name} still has seats available. Please select it directly.`
+                });
+            }
+        }
+
+        // Eligibility rules for every selected and waitlisted event
+        await assertEligible(
+            [...subEvents, ...waitlistEvents],
+            { year, branch, college },
+            subEventIds.length + waitlistIds.length
+        );
+
+        // Overlapping time slots: blocks or warns depending on the admin policy
+        const clashWarnings = await checkSelectionClashes([...subEventIds, ...waitlistIds]);
+
+        // Validate team creation/join requests before anything is written
+        await validateTeamRequests(teams, subEvents);
+
+        // Validate answers to event-specific questions (waitlisted events included)
+        const responses = validateResponses([...subEvents, ...waitlistEvents], customResponses);
+
+        // The amount is the one quoted for exactly this selection and coupon
+        let quote = null;
+        let coupon = null;
+        let amount = 0;
+        if (!isWaitlistOnly) {
+            quote = verifyQuote(quoteToken, { kind: 'registration', subEventIds, couponCode, college });
+            amount = assertQuotedAmount(quote, paidAmount);
+            // The coupon may have been switched off or used up since the quote
+            if (quote.couponCode) {
+                coupon = await findApplicableCoupon(quote.couponCode, { subEventIds, college });
+            }
+        }
+
+        // The mobile number is a temporary password; it must be changed on first login
         const generatedPassword = mobile;
 
         // Create participant
-        const participant = await Participant.create({
+        const participant = new Participant({
+            ...(quote?.registrationId ? { _id: quote.registrationId } : {}),
             fullName,
             email,
             mobile,
@@ -233,11 +457,10 @@ router.post('/submit', async (req, res, next) => {
             year: parseInt(year),
             college,
             registeredSubEvents: subEventIds,
-            transactionId,
-            paidAmount,
-            paymentProofUrl: paymentProofUrl,
-            registrationStatus: 'pending',
-            password: generatedPassword
+            customResponses: responses,
+            registrationStatus: isWaitlistOnly ? 'incomplete' : 'pending',
+            password: generatedPassword,
+            mustChangePassword: true
         });
 
         // Initialize status for each sub-event
@@ -248,7 +471,48 @@ router.post('/submit', async (req, res, next) => {
                 roundNumber: 0
             });
         }
-        await participant.save();
+
+        // One submission per quote; the participant ID its UPI reference carries comes from it
+        if (quote) await claimQuote(quote);
+
+        let reserved = [];
+        let couponConsumed = false;
+        let overrideClaimed = false;
+        let payment = null;
+        try {
+            // Hold a seat in every selected event; nothing is held if any of them filled up meanwhile
+            reserved = await reserveSeats(subEventIds, participant._id);
+            if (override) {
+                await claimOverride(override, participant._id, 'submit');
+                overrideClaimed = true;
+            }
+            if (coupon) {
+                await consumeCoupon(coupon);
+                couponConsumed = true;
+            }
+            if (!isWaitlistOnly) {
+                payment = await recordPayment(participant, {
+                    kind: 'registration',
+                    subEventIds,
+                    amount,
+                    priceBreakdown: quote,
+                    transactionId,
+                    attachments: proofAttachments
+                });
+            }
+            await participant.save();
+        } catch (error) {
+            await releaseReservations(reserved, 'registration failed');
+            if (couponConsumed) await releaseCoupon(coupon);
+            if (overrideClaimed) await releaseOverride(override, participant._id);
+            if (payment) await payment.deleteOne();
+            if (quote) await releaseQuote(quote);
+            throw error;
+        }
+
+        if (coupon) {
+            await recordRedemption(participant, subEvents, { ...quote, coupon });
+        }
 
         // Update sub-event registration counts
         await SubEvent.updateMany(
@@ -256,9 +520,25 @@ router.post('/submit', async (req, res, next) => {
             { $inc: { totalRegistrations: 1 } }
         );
 
+        // Create or join teams for group events
+        const teamResult = await applyTeamRequests(participant, teams);
+
+        // Queue for full events
+        const waitlist = [];
+        for (const event of waitlistEvents) {
+            const entry = await WaitlistEntry.create({ subEvent: event._id, participant: participant._id });
+            waitlist.push({
+                _id: entry._id,
+                subEvent: { _id: event._id, name: event.name },
+                position: await entry.getPosition()
+            });
+        }
+
         res.status(201).json({
             success: true,
-            message: 'Registration submitted successfully. Please wait for admin approval.',
+            message: isWaitlistOnly
+                ? 'You have been added to the waitlist. We will notify you when a seat opens up.'
+                : 'Registration submitted successfully. Please wait for admin approval.',
             data: {
                 participant: {
                     id: participant._id,
@@ -266,13 +546,30 @@ router.post('/submit', async (req, res, next) => {
                     email: participant.email,
                     prn: participant.prn,
                     registrationStatus: participant.registrationStatus,
-                    password: generatedPassword, // Return the plain password once
+                    // Log in with the mobile number, then choose a new password
+                    mustChangePassword: true,
                     registeredSubEvents: subEvents.map(event => ({
                         _id: event._id,
                         name: event.name,
                         whatsappGroupLink: event.whatsappGroupLink
                     }))
-                }
+                },
+                teams: teamResult.teams.map(team => ({
+                    _id: team._id,
+                    name: team.name,
+                    subEvent: team.subEvent,
+                    inviteCode: team.inviteCode,
+                    status: team.status,
+                    memberCount: team.members.length
+                })),
+                teamErrors: teamResult.errors,
+                waitlist,
+                clashWarnings,
+                usedOverride: Boolean(override),
+                payment: payment
+                    ? { _id: payment._id, amount: payment.amount, status: payment.status, attachments: payment.attachments }
+                    : null,
+                pricing: quote
             }
         });
     } catch (error) {
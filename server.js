@@ -5,9 +5,13 @@ const helmet = require('helmet');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
 const connectDB = require('./config/db');
-const { testCloudinaryConnection } = require('./config/cloudinary');
+const { testStorageConnection } = require('./utils/storage');
 const { initializeFirebase } = require('./config/firebase');
 const errorHandler = require('./middleware/errorHandler');
+const { editionContext } = require('./middleware/edition');
+const { getActiveEdition } = require('./utils/editions');
+const { runWithEdition } = require('./utils/editionContext');
+const { sweepExpiredOffers } = require('./utils/waitlist');
 
 // Initialize Firebase Admin
 initializeFirebase();
@@ -44,14 +48,20 @@ const io = new Server(httpServer, {
     }
 });
 
+// Behind a proxy (Render, Nginx) set TRUST_PROXY to the number of hops so
+// rate limits see the real client IP instead of the proxy's
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Make io accessible to routes
 app.set('io', io);
 
 // Connect to MongoDB
 connectDB();
 
-// Test Cloudinary connection (optional, won't block startup)
-testCloudinaryConnection();
+// Check upload storage (optional, won't block startup)
+testStorageConnection();
 
 // Middleware
 app.use(helmet({
@@ -74,8 +84,8 @@ app.use(cors({
     },
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin'],
-    exposedHeaders: ['Content-Range', 'X-Content-Range'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin', 'X-Edition'],
+    exposedHeaders: ['Content-Range', 'X-Content-Range', 'X-Edition'],
     maxAge: 86400 // 24 hours
 }));
 
@@ -86,7 +96,7 @@ app.use((req, res, next) => {
         res.header('Access-Control-Allow-Origin', origin);
         res.header('Access-Control-Allow-Credentials', 'true');
         res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, PATCH, OPTIONS');
-        res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Accept, Origin');
+        res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Accept, Origin, X-Edition');
     }
 
     // Handle preflight requests
@@ -117,9 +127,13 @@ app.get('/api/health', (req, res) => {
     });
 });
 
+// Scope every API request to the live edition (or the one an admin picked)
+app.use('/api', editionContext);
+
 // API Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/registration', require('./routes/registration'));
+app.use('/api/files', require('./routes/files'));
 app.use('/api/payment-settings', require('./routes/paymentSettings'));
 app.use('/api/queries', require('./routes/queries'));
 app.use('/api/admin/participants', require('./routes/admin/participants'));
@@ -127,9 +141,20 @@ app.use('/api/admin/subevents', require('./routes/admin/subevents'));
 app.use('/api/admin/rounds', require('./routes/admin/rounds'));
 app.use('/api/admin/analytics', require('./routes/admin/analytics'));
 app.use('/api/admin/settings', require('./routes/admin/settings'));
+app.use('/api/admin/editions', require('./routes/admin/editions'));
+app.use('/api/admin/registration-overrides', require('./routes/admin/registrationOverrides'));
 app.use('/api/admin/payment-settings', require('./routes/admin/paymentSettings'));
+app.use('/api/admin/payments', require('./routes/admin/payments'));
+app.use('/api/admin/reconciliation', require('./routes/admin/reconciliation'));
+app.use('/api/admin/withdrawals', require('./routes/admin/withdrawals'));
+app.use('/api/admin/refunds', require('./routes/admin/refunds'));
+app.use('/api/admin/duplicates', require('./routes/admin/duplicates'));
+app.use('/api/admin/profile-requests', require('./routes/admin/profileRequests'));
+app.use('/api/admin/coupons', require('./routes/admin/coupons'));
 app.use('/api/admin/users', require('./routes/admin/manageAdmins'));
 app.use('/api/admin/groups', require('./routes/admin/groups'));
+app.use('/api/admin/teams', require('./routes/admin/teams'));
+app.use('/api/admin/waitlist', require('./routes/admin/waitlist'));
 app.use('/api/admin/attendance', require('./routes/admin/attendance'));
 app.use('/api/admin/queries', require('./routes/admin/queries'));
 app.use('/api/participant', require('./routes/participant'));
@@ -204,6 +229,17 @@ httpServer.listen(PORT, () => {
   `);
 });
 
+// Lapse unpaid waitlist offers on time and pass their seats to the queue
+const OFFER_SWEEP_MS = 5 * 60 * 1000;
+setInterval(async () => {
+    try {
+        const edition = await getActiveEdition();
+        await runWithEdition(edition, () => sweepExpiredOffers(io));
+    } catch (error) {
+        console.error(`❌ Waitlist offer sweep failed: ${error.message}`);
+    }
+}, OFFER_SWEEP_MS).unref();
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
     console.error(`❌ Unhandled Rejection: ${err.message}`);
@@ -0,0 +1,163 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { useMemoryDb, storedDocs, resetMemoryDb } = require('./helpers/memoryDb');
+const Participant = require('../models/Participant');
+const SubEvent = require('../models/SubEvent');
+const Payment = require('../models/Payment');
+const Team = require('../models/Team');
+const SeatReservation = require('../models/SeatReservation');
+const MergeRecord = require('../models/MergeRecord');
+const { reserveSeats } = require('../utils/seatLedger');
+const { findDuplicateCandidates, mergeParticipants, undoMerge } = require('../utils/duplicates');
+
+useMemoryDb();
+
+let quiz;
+let debate;
+
+const subEvent = (name, type = 'individual') => SubEvent.create({
+    name,
+    description: name,
+    type,
+    maxParticipants: 10,
+    isActiveForRegistration: true
+});
+
+// A pending registration with held seats, as /submit leaves it
+async function register(details, subEvents) {
+    const participant = await Participant.create({
+        branch: 'CSE',
+        year: 2,
+        college: 'Test College',
+        registrationStatus: 'pending',
+        password: 'secret1',
+        ...details,
+        registeredSubEvents: subEvents.map(se => se._id)
+    });
+    await reserveSeats(subEvents.map(se => se._id), participant._id);
+    return participant;
+}
+
+const ids = (list) => list.map(id => id.toString()).sort();
+const seats = async (event) => (await SubEvent.findById(event._id)).heldSeats;
+const liveSeatsOf = (participant) => storedDocs(SeatReservation)
+    .filter(r => r.participant.toString() === participant._id.toString() && r.status === 'held')
+    .map(r => r.subEvent.toString())
+    .sort();
+
+beforeEach(async () => {
+    resetMemoryDb();
+    quiz = await subEvent('Quiz');
+    debate = await subEvent('Debate', 'group');
+});
+
+test('aliases of one email and a shared mobile are grouped as duplicates', async () => {
+    // Stored as older records may be, without today's format checks
+    const stored = (fullName, email, mobile, college) => ({
+        _id: new mongoose.Types.ObjectId(), fullName, email, mobile, college, registeredSubEvents: [], createdAt: new Date()
+    });
+    await Participant.collection.insertMany([
+        stored('Asha Patil', 'asha.patil@gmail.com', '9000000001', 'Test College'),
+        stored('Asha P', 'ashapatil+fest@googlemail.com', '9000000002', 'Partner College'),
+        stored('Ravi Kumar', 'ravi@example.com', '9000000003', 'Test College'),
+        stored('R Kumar', 'rk@example.com', '+91 90000 00003', 'Partner College'),
+        stored('Meera Joshi', 'meera@example.com', '9000000005', 'Test College')
+    ]);
+
+    const groups = await findDuplicateCandidates();
+
+    assert.deepStrictEqual(
+        groups.map(group => group.participants.map(p => p.fullName).sort()).sort(),
+        [['Asha P', 'Asha Patil'], ['R Kumar', 'Ravi Kumar']]
+    );
+    assert.deepStrictEqual(groups.flatMap(group => group.reasons.map(r => r.type)).sort(), ['email', 'mobile']);
+});
+
+async function twoRecords() {
+    const kept = await register({ fullName: 'Asha Patil', email: 'asha@example.com', mobile: '9000000001' }, [quiz]);
+    const merged = await register({ fullName: 'Asha P', email: 'asha.p@example.com', mobile: '9000000002' }, [quiz, debate]);
+    await Payment.create({
+        participant: merged._id,
+        kind: 'registration',
+        subEvents: [quiz._id, debate._id],
+        amount: 250,
+        transactionId: '412345678901',
+        proofUrl: 'https://files.example.com/proof.png'
+    });
+    await Team.create({
+        name: 'Orators',
+        subEvent: debate._id,
+        captain: merged._id,
+        members: [merged._id],
+        inviteCode: 'ORATE1'
+    });
+    return { kept, merged };
+}
+
+test('a merge moves events, payments, seats and teams to the kept record', async () => {
+    const { kept, merged } = await twoRecords();
+
+    const { participant } = await mergeParticipants(kept._id, merged._id);
+
+    assert.strictEqual(await Participant.exists({ _id: merged._id }), null);
+    assert.deepStrictEqual(ids(participant.registeredSubEvents), ids([quiz._id, debate._id]));
+    assert.strictEqual(storedDocs(Payment)[0].participant.toString(), kept._id.toString());
+    assert.strictEqual(storedDocs(Team)[0].captain.toString(), kept._id.toString());
+
+    // The Quiz seat both held is given up once; the Debate seat moves over
+    assert.strictEqual(await seats(quiz), 1);
+    assert.strictEqual(await seats(debate), 1);
+    assert.deepStrictEqual(liveSeatsOf(kept), ids([quiz._id, debate._id]));
+});
+
+test('undoing a merge restores both records as they were', async () => {
+    const { kept, merged } = await twoRecords();
+    const { record } = await mergeParticipants(kept._id, merged._id);
+
+    const { conflicts } = await undoMerge(record, null);
+
+    assert.deepStrictEqual(conflicts, []);
+    const restored = await Participant.findById(merged._id).select('+password');
+    assert.strictEqual(restored.email, 'asha.p@example.com');
+    assert.strictEqual(restored.chestNumber, merged.chestNumber);
+    assert.strictEqual(restored.password, merged.password);
+    assert.deepStrictEqual(ids((await Participant.findById(kept._id)).registeredSubEvents), ids([quiz._id]));
+
+    assert.strictEqual(storedDocs(Payment)[0].participant.toString(), merged._id.toString());
+    assert.strictEqual(storedDocs(Team)[0].captain.toString(), merged._id.toString());
+    assert.strictEqual(await seats(quiz), 2);
+    assert.deepStrictEqual(liveSeatsOf(merged), ids([quiz._id, debate._id]));
+    assert.deepStrictEqual(liveSeatsOf(kept), ids([quiz._id]));
+});
+
+test('a merge that stops part-way can be undone', async () => {
+    const { kept, merged } = await twoRecords();
+    const deleteOne = Participant.collection.deleteOne;
+    Participant.collection.deleteOne = async () => {
+        throw new Error('connection lost');
+    };
+
+    try {
+        await assert.rejects(mergeParticipants(kept._id, merged._id), { message: 'connection lost' });
+    } finally {
+        Participant.collection.deleteOne = deleteOne;
+    }
+    const [record] = await MergeRecord.find();
+
+    const { conflicts } = await undoMerge(record, null);
+
+    assert.deepStrictEqual(conflicts, []);
+    assert.strictEqual(storedDocs(Participant).length, 2);
+    assert.strictEqual(storedDocs(Payment)[0].participant.toString(), merged._id.toString());
+    assert.strictEqual(storedDocs(Team)[0].captain.toString(), merged._id.toString());
+    assert.deepStrictEqual(liveSeatsOf(merged), ids([quiz._id, debate._id]));
+});
+
+test('a merge that has been undone cannot be undone again', async () => {
+    const { kept, merged } = await twoRecords();
+    const { record } = await mergeParticipants(kept._id, merged._id);
+    await undoMerge(record, null);
+
+    await assert.rejects(undoMerge(record, null), { message: /already been undone/ });
+});
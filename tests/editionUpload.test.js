@@ -0,0 +1,52 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const mongoose = require('mongoose');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const { uploadCSV } = require('../middleware/upload');
+const { runWithEdition } = require('../utils/editionContext');
+
+// Multipart routes (statement reconciliation, participant import) save
+// documents after multer has run; they must still be tagged with the edition
+const edition = { _id: new mongoose.Types.ObjectId() };
+const inserted = [];
+let server;
+let baseUrl;
+
+before(async () => {
+    // No database here: capture what save() would insert
+    ReconciliationReport.collection.insertOne = async (doc) => {
+        inserted.push(doc);
+        return { acknowledged: true, insertedId: doc._id };
+    };
+
+    const app = express();
+    app.use((req, res, next) => runWithEdition(edition, next));
+    app.post('/statement', uploadCSV.single('statement'), async (req, res, next) => {
+        try {
+            const report = await ReconciliationReport.create({ fileName: req.file.originalname });
+            res.status(201).json({ edition: report.edition });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    await new Promise(resolve => {
+        server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('documents saved after a multipart upload keep the request edition', async () => {
+    const form = new FormData();
+    form.append('statement', new Blob(['UTR,Amount\n123456789012,300\n'], { type: 'text/csv' }), 'statement.csv');
+
+    const response = await fetch(`${baseUrl}/statement`, { method: 'POST', body: form });
+
+    assert.strictEqual(response.status, 201);
+    assert.strictEqual((await response.json()).edition, edition._id.toString());
+    assert.strictEqual(inserted.length, 1);
+    assert.strictEqual(inserted[0].edition.toString(), edition._id.toString());
+});
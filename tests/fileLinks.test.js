@@ -0,0 +1,104 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'files-'));
+process.env.UPLOAD_DIR = uploadDir;
+process.env.STORAGE_DRIVER = 'local';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { useMemoryDb } = require('./helpers/memoryDb');
+const fileRoutes = require('../routes/files');
+const Participant = require('../models/Participant');
+const { signFileUrl } = require('../utils/fileLinks');
+
+useMemoryDb();
+
+const PROOF = '1700000000000-0123456789abcdef.png';
+const OTHER = '1700000000000-fedcba9876543210.png';
+const owner = new mongoose.Types.ObjectId();
+const stranger = new mongoose.Types.ObjectId();
+const loginToken = (id) => jwt.sign({ id, role: 'participant' }, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+let server;
+let baseUrl;
+
+before(async () => {
+    fs.mkdirSync(path.join(uploadDir, 'payment-proofs'));
+    fs.writeFileSync(path.join(uploadDir, 'payment-proofs', PROOF), 'proof');
+    fs.writeFileSync(path.join(uploadDir, 'payment-proofs', OTHER), 'other');
+
+    await Participant.collection.insertMany([
+        { _id: owner, paymentProofUrl: `/api/files/payment-proofs/${PROOF}` },
+        { _id: stranger, paymentProofUrl: `/api/files/payment-proofs/${OTHER}` }
+    ]);
+
+    const app = express();
+    app.use('/api/files', fileRoutes);
+    await new Promise(resolve => {
+        server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+});
+
+const get = (url, token) => fetch(`${baseUrl}${url}`, token ? { headers: { Authorization: `Bearer ${token}` } } : {});
+
+test('the login token is no longer accepted in the URL', async () => {
+    const response = await get(`/api/files/payment-proofs/${PROOF}?token=${loginToken(owner)}`);
+
+    assert.strictEqual(response.status, 401);
+});
+
+test('the uploader gets a signed link that opens the file', async () => {
+    const link = await get(`/api/files/payment-proofs/${PROOF}/link`, loginToken(owner));
+    const { data } = await link.json();
+
+    assert.strictEqual(link.status, 200);
+    assert.match(data.url, /\?sig=/);
+
+    const file = await get(data.url);
+    assert.strictEqual(file.status, 200);
+    assert.strictEqual(await file.text(), 'proof');
+});
+
+test('other participants cannot get a link', async () => {
+    const link = await get(`/api/files/payment-proofs/${PROOF}/link`, loginToken(stranger));
+
+    assert.strictEqual(link.status, 403);
+});
+
+test('a signed link opens only the file it was made for', async () => {
+    const { url } = signFileUrl(`/api/files/payment-proofs/${PROOF}`, 'payment-proofs', PROOF);
+    const sig = new URL(url, baseUrl).searchParams.get('sig');
+
+    const response = await get(`/api/files/payment-proofs/${OTHER}?sig=${encodeURIComponent(sig)}`);
+
+    assert.strictEqual(response.status, 403);
+});
+
+test('an expired link is refused', async () => {
+    const sig = jwt.sign(
+        { purpose: 'file-link', file: `payment-proofs/${PROOF}`, exp: Math.floor(Date.now() / 1000) - 60 },
+        process.env.JWT_SECRET
+    );
+
+    const response = await get(`/api/files/payment-proofs/${PROOF}?sig=${encodeURIComponent(sig)}`);
+
+    assert.strictEqual(response.status, 403);
+});
+
+test('a login token cannot be used as a signature', async () => {
+    const response = await get(`/api/files/payment-proofs/${PROOF}?sig=${loginToken(owner)}`);
+
+    assert.strictEqual(response.status, 403);
+});
@@ -0,0 +1,83 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const { useMemoryDb, resetMemoryDb } = require('./helpers/memoryDb');
+const Payment = require('../models/Payment');
+const Participant = require('../models/Participant');
+const { computeImageHash, fingerprintProof, findFraudFlags } = require('../utils/fraudChecks');
+
+useMemoryDb();
+beforeEach(resetMemoryDb);
+
+// A payment-app receipt: same layout every time, only the amount and UTR differ
+const receipt = (amount, utr) => sharp(Buffer.from(`
+    <svg xmlns="http://www.w3.org/2000/svg" width="360" height="640">
+        <rect width="360" height="640" fill="#ffffff"/>
+        <rect width="360" height="120" fill="#5f259f"/>
+        <text x="40" y="220" font-size="40" font-family="sans-serif">Rs ${amount}</text>
+        <text x="40" y="320" font-size="18" font-family="sans-serif">UTR ${utr}</text>
+    </svg>`)).png().toBuffer();
+
+async function submit({ utr, proofUrl, proof }) {
+    const participant = new mongoose.Types.ObjectId();
+    await Participant.collection.insertOne({ _id: participant, registrationStatus: 'pending' });
+    await Payment.collection.insertOne({
+        _id: new mongoose.Types.ObjectId(),
+        participant,
+        status: 'pending',
+        transactionId: utr,
+        proofUrl,
+        attachments: [{ url: proofUrl, kind: 'image' }]
+    });
+    await fingerprintProof(proofUrl, proof);
+    return participant.toString();
+}
+
+const flagTypes = (flags, participant) => (flags.get(participant) || []).map(flag => flag.type).sort();
+
+test('receipts from the same app with different payments hash differently', async () => {
+    const first = await receipt(300, '412345678901');
+    const second = await receipt(450, '498765432109');
+
+    assert.notStrictEqual(await computeImageHash(first), await computeImageHash(second));
+});
+
+test('the same screenshot saved again hashes the same', async () => {
+    const original = await receipt(300, '412345678901');
+    const resaved = await sharp(original).png({ compressionLevel: 1 }).withMetadata().toBuffer();
+
+    assert.strictEqual(await computeImageHash(original), await computeImageHash(resaved));
+});
+
+test('two different receipts are not flagged as a reused proof', async () => {
+    const a = await submit({ utr: '412345678901', proofUrl: 'https://files/a.png', proof: await receipt(300, '412345678901') });
+    const b = await submit({ utr: '498765432109', proofUrl: 'https://files/b.png', proof: await receipt(450, '498765432109') });
+
+    const flags = await findFraudFlags([a, b]);
+
+    assert.deepStrictEqual(flagTypes(flags, a), []);
+    assert.deepStrictEqual(flagTypes(flags, b), []);
+});
+
+test('a screenshot reused by another participant is flagged for both', async () => {
+    const proof = await receipt(300, '412345678901');
+    const a = await submit({ utr: '412345678901', proofUrl: 'https://files/a.png', proof });
+    const b = await submit({ utr: '400000000001', proofUrl: 'https://files/b.png', proof: await sharp(proof).png({ compressionLevel: 1 }).toBuffer() });
+
+    // Checking only the newer submission still finds the older one
+    const flags = await findFraudFlags([b]);
+
+    assert.deepStrictEqual(flagTypes(flags, b), ['reused_proof']);
+    assert.deepStrictEqual(flags.get(b)[0].participants.map(p => p._id.toString()), [a]);
+});
+
+test('a UTR typed differently by another participant is flagged', async () => {
+    const a = await submit({ utr: '412345678901', proofUrl: 'https://files/a.png', proof: await receipt(300, '412345678901') });
+    const b = await submit({ utr: '4123 4567 8901', proofUrl: 'https://files/b.png', proof: await receipt(300, '412345678902') });
+
+    const flags = await findFraudFlags([a]);
+
+    assert.deepStrictEqual(flagTypes(flags, a), ['duplicate_utr']);
+    assert.deepStrictEqual(flags.get(a)[0].participants.map(p => p._id.toString()), [b]);
+});
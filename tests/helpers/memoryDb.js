@@ -0,0 +1,243 @@
+const mongoose = require('mongoose');
+const { Query, Aggregator, update: applyUpdate } = require('mingo');
+
+// Stand-in for the MongoDB driver so routes and utils can be exercised without
+// a server: every model's collection keeps its documents in memory and answers
+// queries and updates with mingo. Unique (non-partial) indexes are enforced.
+
+mongoose.set('autoIndex', false);
+mongoose.set('autoCreate', false);
+
+const collections = new Map();
+
+const clone = (value) => {
+    if (value instanceof mongoose.Types.ObjectId) return new mongoose.Types.ObjectId(value.toString());
+    if (value instanceof Date) return new Date(value.getTime());
+    if (Buffer.isBuffer(value)) return Buffer.from(value);
+    if (Array.isArray(value)) return value.map(clone);
+    // Serialised the way the driver's BSON encoder does
+    if (value && typeof value.toBSON === 'function') return clone(value.toBSON());
+    if (value instanceof Map) return Object.fromEntries([...value].map(([key, item]) => [key, clone(item)]));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+    }
+    return value;
+};
+
+// Copy of a stored document with the query's projection applied
+const project = (doc, projection) => clone(projection && Object.keys(projection).length > 0
+    ? new Query({}).find([doc], projection).all()[0]
+    : doc);
+
+const valueAt = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const duplicateKeyError = (key) => {
+    const error = new Error(`E11000 duplicate key error: ${JSON.stringify(key)}`);
+    error.name = 'MongoServerError';
+    error.code = 11000;
+    error.keyValue = key;
+    return error;
+};
+
+// Equality fields of a filter, used to start an upserted document
+const seedFromFilter = (filter) => {
+    const seed = {};
+    for (const [key, value] of Object.entries(filter || {})) {
+        if (key.startsWith('$')) continue;
+        const isOperator = value && typeof value === 'object' && !(value instanceof mongoose.Types.ObjectId) &&
+            !(value instanceof Date) && Object.keys(value).some(k => k.startsWith('$'));
+        if (!isOperator) seed[key] = clone(value);
+    }
+    return seed;
+};
+
+function createCollection(model) {
+    const docs = [];
+    const uniqueKeys = model.schema.indexes()
+        .filter(([, options]) => options?.unique && !options.partialFilterExpression)
+        .map(([fields]) => Object.keys(fields));
+    model.schema.eachPath((path, type) => {
+        if (type.options?.unique && path !== '_id') uniqueKeys.push([path]);
+    });
+    uniqueKeys.push(['_id']);
+
+    const checkUnique = (candidate, ignore = null) => {
+        for (const fields of uniqueKeys) {
+            const values = fields.map(field => valueAt(candidate, field));
+            if (values.every(value => value === undefined || value === null) && fields[0] !== '_id') continue;
+            const clash = docs.find(doc => doc !== ignore &&
+                fields.every((field, i) => String(valueAt(doc, field)) === String(values[i])));
+            if (clash) throw duplicateKeyError(Object.fromEntries(fields.map((f, i) => [f, values[i]])));
+        }
+    };
+
+    const select = (filter, options = {}) => {
+        let cursor = new Query(filter || {}).find(docs);
+        if (options.sort) cursor = cursor.sort(options.sort);
+        if (options.skip) cursor = cursor.skip(options.skip);
+        if (options.limit) cursor = cursor.limit(options.limit);
+        return cursor.all();
+    };
+
+    // Apply an update to a stored document, keeping it unchanged if a unique index would break
+    const modify = (doc, updateDoc, { inserting = false } = {}) => {
+        const { $setOnInsert, ...operators } = updateDoc;
+        const next = clone(doc);
+        if (Object.keys(operators).length > 0) applyUpdate(next, operators);
+        if (inserting && $setOnInsert) applyUpdate(next, { $set: $setOnInsert });
+        checkUnique(next, doc);
+        Object.keys(doc).forEach(key => delete doc[key]);
+        Object.assign(doc, next);
+    };
+
+    const insert = (doc) => {
+        const stored = clone(doc);
+        if (!stored._id) stored._id = new mongoose.Types.ObjectId();
+        checkUnique(stored);
+        docs.push(stored);
+        return stored;
+    };
+
+    const upsert = (filter, updateDoc) => {
+        const stored = insert({ _id: new mongoose.Types.ObjectId(), ...seedFromFilter(filter) });
+        try {
+            modify(stored, updateDoc, { inserting: true });
+        } catch (error) {
+            docs.splice(docs.indexOf(stored), 1);
+            throw error;
+        }
+        return stored;
+    };
+
+    const updateResult = (matched, upserted = null) => ({
+        acknowledged: true,
+        matchedCount: matched,
+        modifiedCount: matched,
+        upsertedCount: upserted ? 1 : 0,
+        upsertedId: upserted?._id || null
+    });
+
+    return {
+        docs,
+        async find(filter, options) {
+            const found = select(filter, options).map(doc => project(doc, options?.projection));
+            return { toArray: async () => found, explain: async () => ({}) };
+        },
+        async findOne(filter, options) {
+            const [doc] = select(filter, { ...options, limit: 1 });
+            return doc ? project(doc, options?.projection) : null;
+        },
+        async countDocuments(filter) {
+            return select(filter).length;
+        },
+        async estimatedDocumentCount() {
+            return docs.length;
+        },
+        async distinct(field, filter) {
+            const values = select(filter).flatMap(doc => [valueAt(doc, field)].flat())
+                .filter(value => value !== undefined);
+            return values.filter((value, i) => values.findIndex(other => String(other) === String(value)) === i).map(clone);
+        },
+        async insertOne(doc) {
+            const stored = insert(doc);
+            return { acknowledged: true, insertedId: stored._id };
+        },
+        async insertMany(list) {
+            const stored = list.map(insert);
+            return { acknowledged: true, insertedCount: stored.length, insertedIds: stored.map(d => d._id) };
+        },
+        async updateOne(filter, updateDoc, options = {}) {
+            const [doc] = select(filter, { limit: 1 });
+            if (doc) {
+                modify(doc, updateDoc);
+                return updateResult(1);
+            }
+            return options.upsert ? updateResult(0, upsert(filter, updateDoc)) : updateResult(0);
+        },
+        async updateMany(filter, updateDoc, options = {}) {
+            const found = select(filter);
+            found.forEach(doc => modify(doc, updateDoc));
+            if (found.length === 0 && options.upsert) return updateResult(0, upsert(filter, updateDoc));
+            return updateResult(found.length);
+        },
+        async replaceOne(filter, replacement) {
+            const [doc] = select(filter, { limit: 1 });
+            if (!doc) return updateResult(0);
+            const next = { ...clone(replacement), _id: doc._id };
+            checkUnique(next, doc);
+            Object.keys(doc).forEach(key => delete doc[key]);
+            Object.assign(doc, next);
+            return updateResult(1);
+        },
+        async findOneAndUpdate(filter, updateDoc, options = {}) {
+            const [doc] = select(filter, { sort: options.sort, limit: 1 });
+            if (!doc) {
+                if (!options.upsert) return null;
+                const inserted = upsert(filter, updateDoc);
+                return options.returnDocument === 'after' ? project(inserted, options.projection) : null;
+            }
+            const before = project(doc, options.projection);
+            modify(doc, updateDoc);
+            return options.returnDocument === 'after' ? project(doc, options.projection) : before;
+        },
+        async findOneAndDelete(filter, options = {}) {
+            const [doc] = select(filter, { sort: options.sort, limit: 1 });
+            if (!doc) return null;
+            docs.splice(docs.indexOf(doc), 1);
+            return clone(doc);
+        },
+        async deleteOne(filter) {
+            const [doc] = select(filter, { limit: 1 });
+            if (doc) docs.splice(docs.indexOf(doc), 1);
+            return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+        },
+        async deleteMany(filter) {
+            const found = select(filter);
+            found.forEach(doc => docs.splice(docs.indexOf(doc), 1));
+            return { acknowledged: true, deletedCount: found.length };
+        },
+        aggregate(pipeline) {
+            const results = new Aggregator(pipeline).run(docs).map(clone);
+            return { toArray: async () => results };
+        },
+        async createIndex() {},
+        async createIndexes() {}
+    };
+}
+
+/**
+ * Back every compiled model with an in-memory collection. Models required
+ * later are picked up by calling this again.
+ */
+function useMemoryDb() {
+    for (const model of Object.values(mongoose.models)) {
+        const name = model.collection.collectionName;
+        if (!collections.has(name)) collections.set(name, createCollection(model));
+        const fake = collections.get(name);
+        for (const [method, fn] of Object.entries(fake)) {
+            if (typeof fn === 'function') model.collection[method] = fn;
+        }
+    }
+}
+
+/**
+ * Documents stored for a model, as saved (plain objects)
+ * @param {Object} model - Mongoose model
+ * @returns {Array}
+ */
+function storedDocs(model) {
+    return collections.get(model.collection.collectionName)?.docs || [];
+}
+
+// Empty every collection between tests
+function resetMemoryDb() {
+    for (const collection of collections.values()) {
+        collection.docs.length = 0;
+    }
+}
+
+module.exports = {
+    useMemoryDb,
+    storedDocs,
+    resetMemoryDb
+};
@@ -0,0 +1,62 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { useMemoryDb, storedDocs, resetMemoryDb } = require('./helpers/memoryDb');
+const SubEvent = require('../models/SubEvent');
+const Participant = require('../models/Participant');
+const { previewImport, commitImport } = require('../utils/participantImport');
+
+useMemoryDb();
+
+let debate;
+
+beforeEach(async () => {
+    resetMemoryDb();
+    debate = await SubEvent.create({
+        name: 'Debate',
+        description: 'Parliamentary debate',
+        type: 'individual',
+        maxParticipants: 50,
+        isActiveForRegistration: true,
+        formFields: [
+            { key: 'side', label: 'Side', type: 'select', options: ['For', 'Against'], required: true },
+            { key: 'experience', label: 'Years of experience', type: 'number' }
+        ]
+    });
+});
+
+const csv = (header, ...rows) => [header, ...rows].join('\n');
+const HEADER = 'Name,Email,Mobile,PRN,Branch,Year,College,Events';
+
+test('rows without answers to required questions can still be imported', async () => {
+    const preview = await previewImport(csv(HEADER,
+        'Asha Patil,asha@example.com,9000000001,PRN1,CSE,2,Partner College,Debate'
+    ));
+
+    assert.deepStrictEqual(preview.rows[0].errors, []);
+    assert.deepStrictEqual(preview.summary, { total: 1, valid: 1, invalid: 0 });
+});
+
+test('answers are read from "<Event>: <Label>" or label columns', async () => {
+    const preview = await previewImport(csv(`${HEADER},Debate: Side,Years of experience`,
+        'Asha Patil,asha@example.com,9000000001,PRN1,CSE,2,Partner College,Debate,Against,3'
+    ));
+
+    assert.deepStrictEqual(preview.rows[0].responses, {
+        [debate._id.toString()]: { side: 'Against', experience: 3 }
+    });
+
+    const { imported } = await commitImport(preview, { status: 'pending' });
+
+    assert.strictEqual(imported.length, 1);
+    assert.deepStrictEqual(storedDocs(Participant)[0].customResponses, {
+        [debate._id.toString()]: { side: 'Against', experience: 3 }
+    });
+});
+
+test('answers that are given must still be valid', async () => {
+    const preview = await previewImport(csv(`${HEADER},Side`,
+        'Asha Patil,asha@example.com,9000000001,PRN1,CSE,2,Partner College,Debate,Maybe'
+    ));
+
+    assert.deepStrictEqual(preview.rows[0].errors, ['Debate: "Side" must be one of: For, Against']);
+});
@@ -0,0 +1,95 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { useMemoryDb, resetMemoryDb } = require('./helpers/memoryDb');
+const SubEvent = require('../models/SubEvent');
+require('../models/QuoteClaim');
+const { createQuote, verifyQuote, assertQuotedAmount, claimQuote, releaseQuote } = require('../utils/quotes');
+
+useMemoryDb();
+
+let quiz;
+let debate;
+
+const subEvent = (name, registrationPrice) => SubEvent.create({
+    name,
+    description: name,
+    type: 'individual',
+    registrationPrice,
+    isActiveForRegistration: true
+});
+
+beforeEach(async () => {
+    resetMemoryDb();
+    quiz = await subEvent('Quiz', 100);
+    debate = await subEvent('Debate', 150);
+    // A third open event, so picking two does not qualify for the combo
+    await subEvent('Poetry', 80);
+});
+
+const ids = (...events) => events.map(event => event._id.toString());
+const expected = (overrides = {}) => ({ kind: 'registration', subEventIds: ids(debate, quiz), college: 'Test College', ...overrides });
+
+test('a quote verifies for the selection it priced, in any order', async () => {
+    const quote = await createQuote({ subEvents: [quiz, debate], college: 'Test College' });
+
+    const verified = verifyQuote(quote.quoteToken, expected());
+
+    assert.strictEqual(verified.total, 250);
+    assert.strictEqual(verified.kind, 'registration');
+    assert.strictEqual(verified.registrationId, quote.registrationId);
+    assert.strictEqual(verified.paymentReference, `VF-R${quote.registrationId.toUpperCase()}`);
+});
+
+test('the quoted price holds after the price changes', async () => {
+    const quote = await createQuote({ subEvents: [quiz, debate], college: 'Test College' });
+    await SubEvent.updateOne({ _id: quiz._id }, { $set: { registrationPrice: 300 } });
+
+    assert.strictEqual(verifyQuote(quote.quoteToken, expected()).total, 250);
+});
+
+test('a quote does not verify for another selection, kind or participant', async () => {
+    const { quoteToken } = await createQuote({ subEvents: [quiz, debate], college: 'Test College' });
+    const mismatch = { message: /does not match/ };
+
+    assert.throws(() => verifyQuote(quoteToken, expected({ subEventIds: ids(quiz) })), mismatch);
+    assert.throws(() => verifyQuote(quoteToken, expected({ kind: 'add_events' })), mismatch);
+    assert.throws(() => verifyQuote(quoteToken, expected({ participantId: new mongoose.Types.ObjectId() })), mismatch);
+    assert.throws(() => verifyQuote(quoteToken, expected({ couponCode: 'FREE100' })), mismatch);
+});
+
+test('forged, expired and missing quotes are refused', async () => {
+    const { quoteToken } = await createQuote({ subEvents: [quiz], college: 'Test College' });
+    const payload = jwt.decode(quoteToken);
+    delete payload.iat;
+    delete payload.exp;
+
+    const forged = jwt.sign({ ...payload, breakdown: { ...payload.breakdown, total: 1 } }, 'another-secret');
+    const expired = jwt.sign({ ...payload, exp: Math.floor(Date.now() / 1000) - 60 }, process.env.JWT_SECRET);
+
+    assert.throws(() => verifyQuote(forged, expected({ subEventIds: ids(quiz) })), { message: 'Invalid price quote' });
+    assert.throws(() => verifyQuote(expired, expected({ subEventIds: ids(quiz) })), { message: /has expired/ });
+    assert.throws(() => verifyQuote(undefined, expected()), { message: /get a price quote/ });
+});
+
+test('the paid amount must match the quote', async () => {
+    const quote = verifyQuote((await createQuote({ subEvents: [quiz], college: 'Test College' })).quoteToken, expected({ subEventIds: ids(quiz) }));
+
+    assert.strictEqual(assertQuotedAmount(quote, undefined), 100);
+    assert.strictEqual(assertQuotedAmount(quote, '100'), 100);
+    assert.throws(() => assertQuotedAmount(quote, 90), { message: /does not match the quoted price/ });
+});
+
+test('a quote can be claimed once, and again after it is released', async () => {
+    const quote = verifyQuote((await createQuote({ subEvents: [quiz], college: 'Test College' })).quoteToken, expected({ subEventIds: ids(quiz) }));
+
+    await claimQuote(quote);
+    await assert.rejects(claimQuote(quote), { message: /already been used/ });
+
+    await releaseQuote(quote);
+    await claimQuote(quote);
+});
@@ -0,0 +1,63 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { useMemoryDb, resetMemoryDb } = require('./helpers/memoryDb');
+const SystemSettings = require('../models/SystemSettings');
+require('../models/RateLimitCounter');
+const { consumeRequest, findLockout, recordLoginFailure, clearLoginFailures } = require('../utils/rateLimit');
+
+useMemoryDb();
+beforeEach(resetMemoryDb);
+
+const CAMPUS = '203.0.113.7';
+const ELSEWHERE = '198.51.100.23';
+
+async function repeat(times, fn) {
+    let result = null;
+    for (let i = 0; i < times; i++) result = await fn();
+    return result;
+}
+
+test('students behind one campus address have their own allowance', async () => {
+    const limited = await repeat(4, () => consumeRequest('registration', CAMPUS, 'asha@example.com'));
+    assert.ok(limited, 'a fourth registration from the same student is throttled');
+
+    for (let i = 0; i < 30; i++) {
+        assert.strictEqual(await consumeRequest('registration', CAMPUS, `student${i}@example.com`), null);
+    }
+});
+
+test('the whole client is still capped', async () => {
+    await SystemSettings.create({
+        abuseProtection: { limits: { registration: { windowMinutes: 60, maxPerIp: 5, maxPerIdentity: 3 } } }
+    });
+
+    await repeat(5, async () => {
+        assert.strictEqual(await consumeRequest('registration', CAMPUS, `student${Math.random()}@example.com`), null);
+    });
+    assert.ok(await consumeRequest('registration', CAMPUS, 'late@example.com'));
+});
+
+test('failed logins lock an account only at the client they came from', async () => {
+    await repeat(5, () => recordLoginFailure('login', ELSEWHERE, 'asha@example.com'));
+
+    assert.ok(await findLockout('login', ELSEWHERE, 'asha@example.com'));
+    assert.strictEqual(await findLockout('login', CAMPUS, 'asha@example.com'), null);
+    assert.strictEqual(await findLockout('login', ELSEWHERE, 'ravi@example.com'), null);
+});
+
+test('a client guessing many accounts is locked out as a whole', async () => {
+    await repeat(100, () => recordLoginFailure('login', ELSEWHERE, `student${Math.random()}@example.com`));
+
+    assert.ok(await findLockout('login', ELSEWHERE, 'ravi@example.com'));
+    assert.strictEqual(await findLockout('login', CAMPUS, 'ravi@example.com'), null);
+});
+
+test('a password reset clears the account at every client', async () => {
+    await repeat(5, () => recordLoginFailure('login', ELSEWHERE, 'asha@example.com'));
+    await repeat(5, () => recordLoginFailure('login', CAMPUS, 'asha@example.com'));
+
+    await clearLoginFailures('login', 'asha@example.com');
+
+    assert.strictEqual(await findLockout('login', ELSEWHERE, 'asha@example.com'), null);
+    assert.strictEqual(await findLockout('login', CAMPUS, 'asha@example.com'), null);
+});
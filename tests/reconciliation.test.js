@@ -0,0 +1,105 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { useMemoryDb, resetMemoryDb } = require('./helpers/memoryDb');
+const Payment = require('../models/Payment');
+const Participant = require('../models/Participant');
+require('../models/ReconciliationReport');
+const { readStatement, reconcileStatement } = require('../utils/reconciliation');
+
+useMemoryDb();
+beforeEach(resetMemoryDb);
+
+async function payment({ utr, amount, status = 'pending', reference = null }) {
+    const _id = new mongoose.Types.ObjectId();
+    await Payment.collection.insertOne({
+        _id,
+        participant: new mongoose.Types.ObjectId(),
+        kind: 'registration',
+        status,
+        transactionId: utr,
+        amount,
+        paymentReference: reference
+    });
+    return _id.toString();
+}
+
+const byRow = (report) => Object.fromEntries(report.rows.map(row => [row.rowNumber, row]));
+
+test('statement rows are matched to payments by UTR and amount', async () => {
+    const matched = await payment({ utr: '412345678901', amount: 300 });
+    await payment({ utr: '412345678902', amount: 300 });
+    await payment({ utr: '412345678903', amount: 300 });
+    await payment({ utr: '412345678904', amount: 300, status: 'approved' });
+    const missing = await payment({ utr: '412345678905', amount: 300 });
+
+    const report = await reconcileStatement([
+        'Date,UTR No,Credit',
+        '01/02/2026,4123-4567-8901,300.00',
+        '01/02/2026,412345678902,250',
+        '01/02/2026,412345678903,"₹ 350"',
+        '01/02/2026,412345678904,300',
+        '01/02/2026,499999999999,300',
+        '01/02/2026,412345678901,300'
+    ].join('\n'));
+    const rows = byRow(report);
+
+    assert.strictEqual(rows[2].status, 'matched');
+    assert.strictEqual(rows[2].payment.toString(), matched);
+    assert.strictEqual(rows[3].status, 'underpaid');
+    assert.strictEqual(rows[4].status, 'amount_mismatch');
+    assert.strictEqual(rows[5].status, 'already_approved');
+    assert.strictEqual(rows[6].status, 'unclaimed');
+    assert.strictEqual(rows[7].status, 'duplicate');
+    assert.deepStrictEqual(report.missingFromStatement.map(claim => claim.payment.toString()), [missing]);
+    assert.strictEqual(report.summary.matched, 1);
+});
+
+test('a UTR claimed by two submissions is not matched to either', async () => {
+    await payment({ utr: '412345678901', amount: 300 });
+    await payment({ utr: '4123 4567 8901', amount: 300 });
+
+    const report = await reconcileStatement('UTR,Amount\n412345678901,300');
+
+    assert.strictEqual(report.rows[0].status, 'duplicate');
+});
+
+test('the UPI reference in the narration finds a payment whose UTR was typed wrong', async () => {
+    const id = await payment({ utr: '412345678999', amount: 300, reference: 'VF-C42-KQMTZR' });
+
+    const report = await reconcileStatement([
+        'Narration,Amount',
+        'UPI/412345678901/VF C42 KQMTZR Verbafest/asha@okbank,300'
+    ].join('\n'));
+
+    assert.strictEqual(report.rows[0].status, 'matched');
+    assert.strictEqual(report.rows[0].payment.toString(), id);
+    assert.match(report.rows[0].note, /UTR entered was 412345678999/);
+});
+
+test('registrations from before the payment ledger are matched too', async () => {
+    const participant = new mongoose.Types.ObjectId();
+    await Participant.collection.insertOne({
+        _id: participant,
+        registrationStatus: 'pending',
+        transactionId: '412345678901',
+        paidAmount: 200
+    });
+
+    const report = await reconcileStatement('UTR,Amount\n412345678901,200');
+
+    assert.strictEqual(report.rows[0].status, 'matched');
+    assert.strictEqual(report.rows[0].payment, null);
+    assert.strictEqual(report.rows[0].participant.toString(), participant.toString());
+});
+
+test('the UTR is read from the narration when there is no UTR column', () => {
+    const { rows } = readStatement('Narration,Deposit Amount\nUPI/412345678901/Payment from Asha,"1,200.50"');
+
+    assert.strictEqual(rows[0].utr, '412345678901');
+    assert.strictEqual(rows[0].amount, 1200.5);
+});
+
+test('a statement without an amount column is refused', () => {
+    assert.throws(() => readStatement('UTR,Date\n412345678901,01/02/2026'), { message: /amount column/ });
+});
@@ -0,0 +1,112 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { useMemoryDb, storedDocs, resetMemoryDb } = require('./helpers/memoryDb');
+const registrationRoutes = require('../routes/registration');
+const errorHandler = require('../middleware/errorHandler');
+const SubEvent = require('../models/SubEvent');
+const SystemSettings = require('../models/SystemSettings');
+const Participant = require('../models/Participant');
+const SeatReservation = require('../models/SeatReservation');
+const QuoteClaim = require('../models/QuoteClaim');
+const { createQuote } = require('../utils/quotes');
+
+useMemoryDb();
+
+let server;
+let baseUrl;
+let quizId;
+
+before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/registration', registrationRoutes);
+    app.use(errorHandler);
+
+    await new Promise(resolve => {
+        server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(async () => {
+    resetMemoryDb();
+    await SystemSettings.create({ otpVerification: { email: false, mobile: false } });
+    quizId = new mongoose.Types.ObjectId();
+    await SubEvent.create({
+        _id: quizId,
+        name: 'Quiz',
+        description: 'General quiz',
+        type: 'individual',
+        price: 100,
+        maxParticipants: 10,
+        isActiveForRegistration: true
+    });
+});
+
+async function quoteFor(subEventIds) {
+    const subEvents = await SubEvent.find({ _id: { $in: subEventIds } });
+    return createQuote({ subEvents, college: 'Test College' });
+}
+
+const submit = (quoteToken, n) => fetch(`${baseUrl}/api/registration/submit`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+        fullName: `Student ${n}`,
+        email: `student${n}@example.com`,
+        mobile: `900000000${n}`,
+        prn: `PRN${n}`,
+        branch: 'CSE',
+        year: 2,
+        college: 'Test College',
+        selectedSubEvents: [quizId.toString()],
+        transactionId: `41234567890${n}`,
+        paymentProofUrl: `https://files.example.com/proof-${n}.png`,
+        quoteToken
+    })
+});
+
+const quizSeats = async () => (await SubEvent.findById(quizId).lean()).heldSeats;
+const liveSeats = () => storedDocs(SeatReservation).filter(r => ['held', 'confirmed'].includes(r.status));
+
+test('a quote pays for one submission only', async () => {
+    const { quoteToken } = await quoteFor([quizId]);
+
+    const responses = await Promise.all([submit(quoteToken, 1), submit(quoteToken, 2)]);
+    const statuses = responses.map(r => r.status).sort();
+    const rejected = await responses.find(r => r.status === 400).json();
+
+    assert.deepStrictEqual(statuses, [201, 400]);
+    assert.match(rejected.message, /already been used/);
+    assert.strictEqual(storedDocs(Participant).length, 1);
+
+    // The refused request must not have released the seat the first one took
+    assert.strictEqual(await quizSeats(), 1);
+    assert.strictEqual(liveSeats().length, 1);
+    assert.strictEqual(liveSeats()[0].participant.toString(), storedDocs(Participant)[0]._id.toString());
+});
+
+test('a quote is given back when its submission fails, and the seat is freed', async () => {
+    const { quoteToken } = await quoteFor([quizId]);
+    // Saving the participant fails: an imported record already took the next chest number
+    await Participant.collection.insertOne({ _id: new mongoose.Types.ObjectId(), chestNumber: 1 });
+
+    const failed = await submit(quoteToken, 1);
+
+    assert.strictEqual(failed.status, 400);
+    assert.strictEqual(await quizSeats(), 0);
+    assert.strictEqual(liveSeats().length, 0);
+    assert.strictEqual(storedDocs(QuoteClaim).length, 0);
+
+    const retried = await submit(quoteToken, 2);
+    assert.strictEqual(retried.status, 201);
+    assert.strictEqual(await quizSeats(), 1);
+    assert.strictEqual(storedDocs(QuoteClaim).length, 1);
+});
@@ -0,0 +1,112 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { useMemoryDb, storedDocs, resetMemoryDb } = require('./helpers/memoryDb');
+const SubEvent = require('../models/SubEvent');
+const SeatReservation = require('../models/SeatReservation');
+const { reserveSeats, releaseReservations, confirmSeats, releaseExpiredHolds } = require('../utils/seatLedger');
+
+useMemoryDb();
+beforeEach(resetMemoryDb);
+
+async function subEvent(name, maxParticipants, { heldSeats = 0, approvedParticipants = 0 } = {}) {
+    const _id = new mongoose.Types.ObjectId();
+    await SubEvent.collection.insertOne({ _id, name, maxParticipants, heldSeats, approvedParticipants });
+    return _id;
+}
+
+const counters = async (id) => {
+    const { heldSeats, approvedParticipants } = await SubEvent.findById(id).lean();
+    return { heldSeats, approvedParticipants };
+};
+
+const liveSeats = () => storedDocs(SeatReservation).filter(r => ['held', 'confirmed'].includes(r.status));
+
+test('reserveSeats holds one seat per sub-event', async () => {
+    const quiz = await subEvent('Quiz', 2);
+    const debate = await subEvent('Debate', 0);
+    const participant = new mongoose.Types.ObjectId();
+
+    const reserved = await reserveSeats([quiz, debate], participant);
+
+    assert.strictEqual(reserved.length, 2);
+    assert.deepStrictEqual(await counters(quiz), { heldSeats: 1, approvedParticipants: 0 });
+    assert.deepStrictEqual(await counters(debate), { heldSeats: 1, approvedParticipants: 0 });
+});
+
+test('reserveSeats is all or nothing when a sub-event is full', async () => {
+    const quiz = await subEvent('Quiz', 5);
+    const debate = await subEvent('Debate', 1, { approvedParticipants: 1 });
+
+    await assert.rejects(
+        reserveSeats([quiz, debate], new mongoose.Types.ObjectId()),
+        { message: 'Debate has reached maximum capacity' }
+    );
+
+    assert.deepStrictEqual(await counters(quiz), { heldSeats: 0, approvedParticipants: 0 });
+    assert.deepStrictEqual(await counters(debate), { heldSeats: 0, approvedParticipants: 1 });
+    assert.strictEqual(liveSeats().length, 0);
+});
+
+test('the cap holds for requests that interleave', async () => {
+    const quiz = await subEvent('Quiz', 1);
+
+    const results = await Promise.allSettled([
+        reserveSeats([quiz], new mongoose.Types.ObjectId()),
+        reserveSeats([quiz], new mongoose.Types.ObjectId())
+    ]);
+
+    assert.deepStrictEqual(results.map(r => r.status).sort(), ['fulfilled', 'rejected']);
+    assert.deepStrictEqual(await counters(quiz), { heldSeats: 1, approvedParticipants: 0 });
+});
+
+test('seats a participant already held are not returned, so a rollback keeps them', async () => {
+    const quiz = await subEvent('Quiz', 3);
+    const debate = await subEvent('Debate', 3);
+    const participant = new mongoose.Types.ObjectId();
+
+    const first = await reserveSeats([quiz], participant);
+    const second = await reserveSeats([quiz, debate], participant);
+
+    assert.deepStrictEqual(second.map(r => r.subEvent.toString()), [debate.toString()]);
+
+    // The second request fails: only the seat it took goes back
+    await releaseReservations(second, 'registration failed');
+
+    assert.deepStrictEqual(await counters(quiz), { heldSeats: 1, approvedParticipants: 0 });
+    assert.deepStrictEqual(await counters(debate), { heldSeats: 0, approvedParticipants: 0 });
+    assert.deepStrictEqual(liveSeats().map(r => r._id.toString()), [first[0]._id.toString()]);
+});
+
+test('releasing the same reservations twice frees each seat once', async () => {
+    const quiz = await subEvent('Quiz', 3);
+    const reserved = await reserveSeats([quiz], new mongoose.Types.ObjectId());
+
+    await releaseReservations(reserved, 'rollback');
+    await releaseReservations(reserved, 'rollback');
+
+    assert.deepStrictEqual(await counters(quiz), { heldSeats: 0, approvedParticipants: 0 });
+});
+
+test('confirmSeats moves held seats to confirmed', async () => {
+    const quiz = await subEvent('Quiz', 3);
+    const participant = new mongoose.Types.ObjectId();
+    await reserveSeats([quiz], participant);
+
+    await confirmSeats([quiz], participant);
+
+    assert.deepStrictEqual(await counters(quiz), { heldSeats: 0, approvedParticipants: 1 });
+    assert.strictEqual(liveSeats()[0].status, 'confirmed');
+});
+
+test('releaseExpiredHolds frees only holds past their expiry', async () => {
+    const quiz = await subEvent('Quiz', 3);
+    await reserveSeats([quiz], new mongoose.Types.ObjectId(), { source: 'waitlist', expiresAt: new Date(Date.now() - 1000) });
+    await reserveSeats([quiz], new mongoose.Types.ObjectId(), { source: 'waitlist', expiresAt: new Date(Date.now() + 60000) });
+    await reserveSeats([quiz], new mongoose.Types.ObjectId());
+
+    const released = await releaseExpiredHolds(quiz);
+
+    assert.strictEqual(released.length, 1);
+    assert.deepStrictEqual(await counters(quiz), { heldSeats: 2, approvedParticipants: 0 });
+});
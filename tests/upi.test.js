@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { buildPaymentReference, buildUpiLink } = require('../utils/upi');
+
+test('the payment reference travels in the note only', () => {
+    const link = buildUpiLink({
+        upiId: 'fest@upi',
+        payeeName: 'Verbafest',
+        amount: 300,
+        note: 'VF-C42-KQMTZR Verbafest'
+    });
+    const params = new URL(link).searchParams;
+
+    assert.strictEqual(params.get('tn'), 'VF-C42-KQMTZR Verbafest');
+    assert.strictEqual(params.get('am'), '300.00');
+    assert.strictEqual(params.has('tr'), false);
+});
+
+test('references carry the chest number or the registration ID', () => {
+    assert.match(buildPaymentReference({ chestNumber: 42, seed: 'quote-1' }), /^VF-C42-[A-Z]{6}$/);
+    assert.notStrictEqual(
+        buildPaymentReference({ chestNumber: 42, seed: 'quote-1' }),
+        buildPaymentReference({ chestNumber: 42, seed: 'quote-2' })
+    );
+    assert.strictEqual(
+        buildPaymentReference({ registrationId: '65f1a2b3c4d5e6f708192a3b', seed: 'quote-1' }),
+        'VF-R65F1A2B3C4D5E6F708192A3B'
+    );
+});
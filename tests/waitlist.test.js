@@ -0,0 +1,98 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { useMemoryDb, storedDocs, resetMemoryDb } = require('./helpers/memoryDb');
+const SubEvent = require('../models/SubEvent');
+const SeatReservation = require('../models/SeatReservation');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { reserveSeats } = require('../utils/seatLedger');
+const { hasFreeSeat, promoteNext, sweepExpiredOffers } = require('../utils/waitlist');
+
+useMemoryDb();
+beforeEach(resetMemoryDb);
+
+const HOUR = 60 * 60 * 1000;
+
+async function subEvent(maxParticipants) {
+    const _id = new mongoose.Types.ObjectId();
+    await SubEvent.collection.insertOne({ _id, name: 'Quiz', maxParticipants, heldSeats: 0, approvedParticipants: 0 });
+    return SubEvent.findById(_id);
+}
+
+// A participant holding a waitlist offer that lapses at `expiresAt`
+async function offer(quiz, expiresAt) {
+    const participant = new mongoose.Types.ObjectId();
+    await reserveSeats([quiz._id], participant, { source: 'waitlist', expiresAt });
+    await WaitlistEntry.create({ subEvent: quiz._id, participant, status: 'offered', offerExpiresAt: expiresAt });
+    return participant;
+}
+
+async function joinQueue(quiz, joinedAt) {
+    const participant = new mongoose.Types.ObjectId();
+    await WaitlistEntry.collection.insertOne({
+        _id: new mongoose.Types.ObjectId(),
+        subEvent: quiz._id,
+        participant,
+        status: 'waiting',
+        createdAt: joinedAt,
+        updatedAt: joinedAt
+    });
+    return participant;
+}
+
+const entryOf = (participant) => storedDocs(WaitlistEntry).find(e => e.participant.toString() === participant.toString());
+const heldSeats = async (quiz) => (await SubEvent.findById(quiz._id)).heldSeats;
+
+test('a lapsed offer frees its seat for the next registration', async () => {
+    const quiz = await subEvent(1);
+    const lapsed = await offer(quiz, new Date(Date.now() - 1000));
+
+    assert.strictEqual(await hasFreeSeat(await SubEvent.findById(quiz._id)), true);
+    assert.strictEqual(await heldSeats(quiz), 0);
+    assert.strictEqual(entryOf(lapsed).status, 'expired');
+});
+
+test('an offer that has not lapsed still takes its seat', async () => {
+    const quiz = await subEvent(1);
+    await offer(quiz, new Date(Date.now() + HOUR));
+
+    assert.strictEqual(await hasFreeSeat(await SubEvent.findById(quiz._id)), false);
+    assert.strictEqual(await heldSeats(quiz), 1);
+});
+
+test('the seat of a lapsed offer goes to the queue before anyone else', async () => {
+    const quiz = await subEvent(1);
+    await offer(quiz, new Date(Date.now() - 1000));
+    const next = await joinQueue(quiz, new Date(Date.now() - 2 * HOUR));
+
+    assert.strictEqual(await hasFreeSeat(await SubEvent.findById(quiz._id)), false);
+    assert.strictEqual(entryOf(next).status, 'offered');
+    assert.strictEqual(await heldSeats(quiz), 1);
+});
+
+test('the sweep expires offers nobody asked about', async () => {
+    const quiz = await subEvent(2);
+    const lapsed = await offer(quiz, new Date(Date.now() - 1000));
+    const live = await offer(quiz, new Date(Date.now() + HOUR));
+
+    assert.strictEqual(await sweepExpiredOffers(null), 1);
+
+    assert.strictEqual(entryOf(lapsed).status, 'expired');
+    assert.strictEqual(entryOf(live).status, 'offered');
+    assert.strictEqual(await heldSeats(quiz), 1);
+    assert.strictEqual(await sweepExpiredOffers(null), 0);
+});
+
+test('promotion offers free seats in queue order', async () => {
+    const quiz = await subEvent(2);
+    const second = await joinQueue(quiz, new Date(Date.now() - HOUR));
+    const first = await joinQueue(quiz, new Date(Date.now() - 2 * HOUR));
+    const third = await joinQueue(quiz, new Date(Date.now() - 30 * 60 * 1000));
+
+    const offered = await promoteNext(quiz._id, null);
+
+    assert.deepStrictEqual(offered.map(e => e.participant.toString()), [first.toString(), second.toString()]);
+    assert.strictEqual(entryOf(third).status, 'waiting');
+    assert.ok(entryOf(first).offerExpiresAt > new Date());
+    assert.strictEqual(storedDocs(SeatReservation).filter(r => r.status === 'held').length, 2);
+});
@@ -0,0 +1,104 @@
+/**
+ * Utility functions for reading uploaded CSV files
+ */
+
+/**
+ * Parse CSV text into rows of cells. Handles quoted cells, escaped quotes
+ * and line breaks inside quotes.
+ * @param {String} text - CSV content
+ * @returns {Array} - Array of rows, each an array of strings
+ */
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    // Drop a UTF-8 byte order mark (Excel exports)
+    const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Skip blank lines
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * Normalise a header cell for lookups ("Txn. Date " -> "txn date")
+ * @param {String} header - Header cell
+ * @returns {String}
+ */
+function normalizeHeader(header) {
+    return header.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Parse CSV text into objects keyed by normalised header
+ * @param {String} text - CSV content
+ * @returns {Object} - { headers, records } where each record has a rowNumber
+ */
+function parseCSVRecords(text) {
+    const [headerRow, ...dataRows] = parseCSV(text);
+    if (!headerRow) {
+        return { headers: [], records: [] };
+    }
+
+    const headers = headerRow.map(normalizeHeader);
+    const records = dataRows.map((cells, index) => {
+        const record = { rowNumber: index + 2 };
+        headers.forEach((header, column) => {
+            record[header] = (cells[column] || '').trim();
+        });
+        return record;
+    });
+
+    return { headers, records };
+}
+
+/**
+ * Find the first header present from a list of candidates
+ * @param {Array} headers - Normalised headers
+ * @param {Array} candidates - Candidate names in order of preference
+ * @returns {String|null}
+ */
+function findColumn(headers, candidates) {
+    return candidates.map(normalizeHeader).find(candidate => headers.includes(candidate)) || null;
+}
+
+module.exports = {
+    parseCSV,
+    parseCSVRecords,
+    normalizeHeader,
+    findColumn
+};
@@ -0,0 +1,389 @@
+const Participant = require('../models/Participant');
+const SubEvent = require('../models/SubEvent');
+const Round = require('../models/Round');
+const Group = require('../models/Group');
+const Team = require('../models/Team');
+const Evaluation = require('../models/Evaluation');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const CouponRedemption = require('../models/CouponRedemption');
+const SeatReservation = require('../models/SeatReservation');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const WithdrawalRequest = require('../models/WithdrawalRequest');
+const MergeRecord = require('../models/MergeRecord');
+const { releaseSeats, reserveSeats, confirmSeats } = require('./seatLedger');
+const { refillSeats } = require('./waitlist');
+const ErrorResponse = require('./errorResponse');
+
+// Collections with a single `participant` reference that simply move over
+const REASSIGNED_MODELS = { Payment, Refund, CouponRedemption, SeatReservation, WaitlistEntry, WithdrawalRequest };
+
+// Participant fields combined by a merge (and restored by an undo)
+const MERGED_FIELDS = [
+    'registeredSubEvents', 'pendingSubEvents', 'statusPerSubEvent', 'attendance',
+    'customResponses', 'paidAmount', 'registrationStatus', 'adminNotes', 'chestNumber'
+];
+
+const normalizeText = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+/**
+ * Canonical form of an email so aliases compare equal: Gmail ignores dots,
+ * and "+tag" suffixes are dropped everywhere
+ * @param {String} email
+ * @returns {String}
+ */
+function normalizeEmail(email) {
+    const [local = '', domain = ''] = String(email || '').toLowerCase().trim().split('@');
+    let name = local.split('+')[0];
+    let host = domain === 'googlemail.com' ? 'gmail.com' : domain;
+    if (host === 'gmail.com') name = name.replace(/\./g, '');
+    return `${name}@${host}`;
+}
+
+/**
+ * Group participants that are probably the same person
+ * @returns {Array} - [{ participants, reasons: [{ type, value }] }]
+ */
+async function findDuplicateCandidates() {
+    const participants = await Participant.find()
+        .select('fullName email mobile prn college branch year chestNumber registrationStatus registeredSubEvents createdAt')
+        .populate('registeredSubEvents', 'name')
+        .sort({ createdAt: 1 });
+
+    const keyers = {
+        prn: p => (p.prn ? p.prn.trim().toUpperCase() : null),
+        name_college: p => (p.fullName && p.college
+            ? `${normalizeText(p.fullName).split(' ').sort().join(' ')}|${normalizeText(p.college)}`
+            : null),
+        email: p => (p.email ? normalizeEmail(p.email) : null),
+        mobile: p => (p.mobile ? String(p.mobile).replace(/\D/g, '').slice(-10) : null)
+    };
+
+    // Union-find over participants sharing any key
+    const parent = participants.map((_, index) => index);
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    const reasons = new Map();
+
+    for (const [type, keyer] of Object.entries(keyers)) {
+        const byKey = new Map();
+        participants.forEach((participant, index) => {
+            const key = keyer(participant);
+            if (!key) return;
+            if (!byKey.has(key)) byKey.set(key, []);
+            byKey.get(key).push(index);
+        });
+
+        for (const [key, indexes] of byKey) {
+            if (indexes.length < 2) continue;
+            indexes.slice(1).forEach(index => { parent[find(index)] = find(indexes[0]); });
+            const root = indexes[0];
+            if (!reasons.has(root)) reasons.set(root, []);
+            reasons.get(root).push({ type, value: type === 'name_college' ? key.replace('|', ' @ ') : key });
+        }
+    }
+
+    const clusters = new Map();
+    participants.forEach((participant, index) => {
+        const root = find(index);
+        if (!clusters.has(root)) clusters.set(root, { indexes: [], reasons: [] });
+        clusters.get(root).indexes.push(index);
+    });
+    for (const [root, list] of reasons) {
+        const cluster = clusters.get(find(root));
+        list.forEach(({ type, value }) => cluster.reasons.push({ type, value }));
+    }
+
+    return [...clusters.values()]
+        .filter(cluster => cluster.indexes.length > 1)
+        .map(cluster => ({
+            participants: cluster.indexes.map(index => participants[index]),
+            reasons: cluster.reasons
+        }));
+}
+
+// Plain JSON copy of some fields of a document, for storing and comparing
+function pick(doc, fields) {
+    const object = doc.toObject({ flattenMaps: true });
+    const picked = {};
+    fields.forEach(field => { picked[field] = object[field] === undefined ? null : object[field]; });
+    return JSON.parse(JSON.stringify(picked));
+}
+
+const sameJSON = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const idSet = (...lists) => [...new Set(lists.flat().filter(Boolean).map(id => id.toString()))];
+
+/**
+ * Merge one participant into another. The kept record takes over the other's
+ * events, per-event status, attendance, answers, payments, seats, team/group/
+ * round memberships and evaluation ratings; the other record is deleted.
+ * A merge that fails part-way keeps its MergeRecord, so it can be undone.
+ * @param {String} keptId - Participant to keep
+ * @param {String} mergedId - Participant to fold in and remove
+ * @param {Object} options - { chestNumberFrom: 'kept' | 'merged', mergedBy, io }
+ * @returns {Object} - { participant, record }
+ */
+async function mergeParticipants(keptId, mergedId, { chestNumberFrom = 'kept', mergedBy, io } = {}) {
+    if (!keptId || !mergedId || keptId.toString() === mergedId.toString()) {
+        throw new ErrorResponse('Please choose two different participants');
+    }
+
+    const kept = await Participant.findById(keptId);
+    const merged = await Participant.findById(mergedId);
+    if (!kept || !merged) {
+        throw new ErrorResponse('Participant not found', 404);
+    }
+
+    const mergedSnapshot = await Participant.findById(mergedId).select('+password').lean();
+    const keptBefore = pick(kept, MERGED_FIELDS);
+    const record = new MergeRecord({ kept: kept._id, mergedId: merged._id, mergedSnapshot, keptBefore, mergedBy });
+
+    // Saved before anything changes, so a merge that stops part-way can still be undone
+    await record.save();
+
+    try {
+        // Events both records hold: the removed record's seat is given up
+        const overlap = kept.registeredSubEvents
+            .filter(id => merged.registeredSubEvents.some(other => other.toString() === id.toString()));
+        if (overlap.length > 0) {
+            const live = await SeatReservation.find({
+                participant: merged._id,
+                subEvent: { $in: overlap },
+                status: { $in: ['held', 'confirmed'] }
+            });
+            record.releasedSeats = live.map(r => ({ subEvent: r.subEvent, status: r.status }));
+            const freed = await releaseSeats(merged._id, { subEventIds: overlap, reason: 'merged' });
+            await SubEvent.updateMany(
+                { _id: { $in: overlap }, totalRegistrations: { $gt: 0 } },
+                { $inc: { totalRegistrations: -1 } }
+            );
+            await refillSeats(freed, io);
+        }
+
+        // Waitlist places and withdrawal requests the kept record already has
+        const keptEvents = idSet(kept.registeredSubEvents);
+        const keptQueued = await WaitlistEntry.find({ participant: kept._id, status: { $in: ['waiting', 'offered'] } }).select('subEvent');
+        const keptWithdrawing = await WithdrawalRequest.find({ participant: kept._id, status: 'pending' }).select('subEvent');
+        const duplicates = [
+            ...(await WaitlistEntry.find({
+                participant: merged._id,
+                status: { $in: ['waiting', 'offered'] },
+                subEvent: { $in: idSet(keptEvents, keptQueued.map(e => e.subEvent)) }
+            })).map(doc => ({ model: 'WaitlistEntry', doc })),
+            ...(await WithdrawalRequest.find({
+                participant: merged._id,
+                status: 'pending',
+                subEvent: { $in: keptWithdrawing.map(w => w.subEvent) }
+            })).map(doc => ({ model: 'WithdrawalRequest', doc }))
+        ];
+        for (const { model, doc } of duplicates) {
+            record.cancelled.push({ model, docId: doc._id, status: doc.status });
+            doc.status = 'cancelled';
+            await doc.save();
+        }
+
+        for (const [name, Model] of Object.entries(REASSIGNED_MODELS)) {
+            const filter = { participant: merged._id };
+            if (name === 'SeatReservation') filter.status = { $in: ['held', 'confirmed'] };
+            if (name === 'WaitlistEntry') filter.status = { $in: ['waiting', 'offered'] };
+            if (name === 'WithdrawalRequest') filter.status = 'pending';
+            const ids = (await Model.find(filter).select('_id')).map(doc => doc._id);
+            if (ids.length === 0) continue;
+            await Model.updateMany({ _id: { $in: ids } }, { $set: { participant: kept._id } });
+            record.reassigned.push({ model: name, ids });
+        }
+
+        // Membership lists: swap the removed ID for the kept one without duplicates
+        const swap = (list) => {
+            const ids = list.map(id => (id.toString() === merged._id.toString() ? kept._id : id));
+            return ids.filter((id, index) => ids.findIndex(other => other.toString() === id.toString()) === index);
+        };
+
+        const memberships = [
+            { name: 'Round', Model: Round, fields: ['participants', 'winners'], filter: { $or: [{ participants: merged._id }, { winners: merged._id }] } },
+            { name: 'Group', Model: Group, fields: ['participants'], filter: { participants: merged._id } },
+            { name: 'Team', Model: Team, fields: ['members', 'captain'], filter: { members: merged._id } },
+            { name: 'Evaluation', Model: Evaluation, fields: ['participantRatings'], filter: { 'participantRatings.participantId': merged._id } }
+        ];
+
+        for (const { name, Model, fields, filter } of memberships) {
+            const docs = await Model.find(filter);
+            for (const doc of docs) {
+                const before = pick(doc, fields);
+                if (name === 'Evaluation') {
+                    const keptRated = doc.participantRatings.some(r => r.participantId?.toString() === kept._id.toString());
+                    doc.participantRatings = doc.participantRatings
+                        .filter(r => !(keptRated && r.participantId?.toString() === merged._id.toString()))
+                        .map(r => {
+                            if (r.participantId?.toString() === merged._id.toString()) r.participantId = kept._id;
+                            return r;
+                        });
+                } else {
+                    fields.forEach(field => {
+                        if (Array.isArray(doc[field])) {
+                            doc[field] = swap(doc[field]);
+                        } else if (doc[field]?.toString() === merged._id.toString()) {
+                            doc[field] = kept._id;
+                        }
+                    });
+                }
+                await doc.save();
+                record.documents.push({ model: name, docId: doc._id, before, after: pick(doc, fields) });
+            }
+        }
+
+        // Combine the participant records
+        kept.registeredSubEvents = idSet(kept.registeredSubEvents, merged.registeredSubEvents);
+        kept.pendingSubEvents = idSet(kept.pendingSubEvents, merged.pendingSubEvents)
+            .filter(id => !kept.registeredSubEvents.some(se => se.toString() === id));
+
+        for (const [subEventId, status] of merged.statusPerSubEvent) {
+            const current = kept.statusPerSubEvent.get(subEventId);
+            if (!current || (status.roundNumber || 0) > (current.roundNumber || 0)) {
+                kept.statusPerSubEvent.set(subEventId, status.toObject ? status.toObject() : status);
+            }
+        }
+
+        for (const [subEventId, answers] of merged.customResponses) {
+            if (!kept.customResponses.has(subEventId)) kept.customResponses.set(subEventId, answers);
+        }
+
+        if (merged.attendance?.overall?.isPresent && !kept.attendance?.overall?.isPresent) {
+            kept.attendance.overall = merged.attendance.overall;
+        }
+        for (const mark of merged.attendance?.subEvents || []) {
+            const existing = kept.attendance.subEvents.find(a => a.subEventId.toString() === mark.subEventId.toString());
+            if (!existing) {
+                kept.attendance.subEvents.push(mark);
+            } else if (mark.isPresent && !existing.isPresent) {
+                existing.isPresent = true;
+                existing.markedAt = mark.markedAt;
+                existing.markedBy = mark.markedBy;
+            }
+        }
+
+        kept.paidAmount = (kept.paidAmount || 0) + (merged.paidAmount || 0);
+        if (merged.registrationStatus === 'approved' || (kept.registrationStatus !== 'approved' && merged.registrationStatus === 'pending')) {
+            kept.registrationStatus = merged.registrationStatus;
+        }
+        const note = `Merged with #${merged.chestNumber || '-'} (${merged.fullName}, ${merged.email}) on ${new Date().toLocaleDateString('en-IN')}`;
+        kept.adminNotes = [kept.adminNotes, merged.adminNotes, note].filter(Boolean).join('\n');
+
+        // Everything moved so far is on record before the participant goes; the
+        // removed record goes first so its chest number can move over
+        await record.save();
+        await Participant.deleteOne({ _id: merged._id });
+        if (chestNumberFrom === 'merged' && merged.chestNumber) {
+            kept.chestNumber = merged.chestNumber;
+        }
+        await kept.save();
+    } catch (error) {
+        // The kept participant is saved last, so it is still as it was
+        record.keptAfter = keptBefore;
+        await record.save();
+        throw error;
+    }
+
+    record.keptAfter = pick(kept, MERGED_FIELDS);
+    await record.save();
+
+    return { participant: kept, record };
+}
+
+/**
+ * Undo a merge: restore the removed participant and everything moved from it.
+ * Anything changed again since the merge is left as it is and reported.
+ * @param {Object} record - MergeRecord document
+ * @param {String} undoneBy - Admin user ID
+ * @returns {Object} - { record, conflicts }
+ */
+async function undoMerge(record, undoneBy) {
+    if (record.status !== 'merged') {
+        throw new ErrorResponse('This merge has already been undone');
+    }
+
+    const snapshot = record.mergedSnapshot;
+    // A merge that stopped before the delete left the removed participant in place
+    const mergedExists = await Participant.exists({ _id: record.mergedId });
+    const clash = await Participant.findOne({
+        _id: { $ne: record.mergedId },
+        $or: [{ email: snapshot.email }, { mobile: snapshot.mobile }, ...(snapshot.prn ? [{ prn: snapshot.prn }] : [])]
+    }).select('fullName');
+    if (clash) {
+        throw new ErrorResponse(`Cannot undo: ${clash.fullName} now uses the same ID, email, mobile or PRN`);
+    }
+
+    const conflicts = [];
+
+    const kept = await Participant.findById(record.kept);
+    if (kept) {
+        const now = pick(kept, MERGED_FIELDS);
+        MERGED_FIELDS.forEach(field => {
+            if (sameJSON(now[field], record.keptAfter[field])) {
+                kept.set(field, record.keptBefore[field]);
+            } else if (!sameJSON(record.keptBefore[field], record.keptAfter[field])) {
+                conflicts.push(`Participant.${field}`);
+            }
+        });
+        await kept.save();
+    } else {
+        conflicts.push('Kept participant no longer exists');
+    }
+
+    // Raw insert keeps the original chest number and password hash
+    if (!mergedExists) {
+        await Participant.collection.insertOne(snapshot);
+    }
+
+    const models = { Round, Group, Team, Evaluation };
+    for (const entry of record.documents) {
+        const doc = await models[entry.model].findById(entry.docId);
+        if (!doc) continue;
+        const fields = Object.keys(entry.before);
+        if (!sameJSON(pick(doc, fields), entry.after)) {
+            conflicts.push(`${entry.model} ${entry.docId}`);
+            continue;
+        }
+        fields.forEach(field => doc.set(field, entry.before[field]));
+        await doc.save();
+    }
+
+    for (const { model, ids } of record.reassigned) {
+        await REASSIGNED_MODELS[model].updateMany(
+            { _id: { $in: ids }, participant: record.kept },
+            { $set: { participant: record.mergedId } }
+        );
+    }
+
+    for (const { model, docId, status } of record.cancelled) {
+        await REASSIGNED_MODELS[model].updateOne({ _id: docId, status: 'cancelled' }, { $set: { status } });
+    }
+
+    // Seats given up in shared events are taken again if still free
+    if (record.releasedSeats.length > 0) {
+        const subEventIds = record.releasedSeats.map(seat => seat.subEvent);
+        try {
+            await reserveSeats(subEventIds, record.mergedId, { source: 'admin' });
+            const confirmed = record.releasedSeats.filter(seat => seat.status === 'confirmed').map(seat => seat.subEvent);
+            if (confirmed.length > 0) await confirmSeats(confirmed, record.mergedId);
+        } catch (error) {
+            conflicts.push(`Seats: ${error.message}`);
+        }
+        await SubEvent.updateMany({ _id: { $in: subEventIds } }, { $inc: { totalRegistrations: 1 } });
+    }
+
+    record.status = 'undone';
+    record.undoneBy = undoneBy;
+    record.undoneAt = new Date();
+    record.undoConflicts = conflicts;
+    await record.save();
+
+    return { record, conflicts };
+}
+
+module.exports = {
+    normalizeEmail,
+    findDuplicateCandidates,
+    mergeParticipants,
+    undoMerge
+};
@@ -0,0 +1,30 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * The edition (festival year) a request works in. Models using the
+ * editionScope plugin read it to filter queries and tag new documents.
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with an edition as the current one
+ * @param {Object} edition - Edition document
+ * @param {Function} fn - Work to run
+ * @returns {*} - fn's return value
+ */
+function runWithEdition(edition, fn) {
+    return storage.run({ edition }, fn);
+}
+
+/**
+ * The current edition, or null outside a request (scripts, startup)
+ * @returns {Object|null} - Edition document
+ */
+function currentEdition() {
+    return storage.getStore()?.edition || null;
+}
+
+module.exports = {
+    runWithEdition,
+    currentEdition
+};
@@ -0,0 +1,189 @@
+const Edition = require('../models/Edition');
+const Participant = require('../models/Participant');
+const SystemSettings = require('../models/SystemSettings');
+const PaymentSettings = require('../models/PaymentSettings');
+const ErrorResponse = require('./errorResponse');
+
+const CACHE_MS = 10 * 1000;
+let cached = { edition: null, at: 0 };
+
+/**
+ * The live edition (cached briefly; every request looks it up)
+ * @returns {Object|null} - Edition document, or null before editions are set up
+ */
+async function getActiveEdition() {
+    if (Date.now() - cached.at < CACHE_MS) return cached.edition;
+    const edition = await Edition.findOne({ status: 'active' });
+    cached = { edition, at: Date.now() };
+    return edition;
+}
+
+function clearEditionCache() {
+    cached = { edition: null, at: 0 };
+}
+
+/**
+ * Create an edition, copying settings (not sub-events or people) from another
+ * @param {Object} data - { name, year }
+ * @param {Object} options - { copySettingsFrom: Edition ID, createdBy }
+ * @returns {Object} - Edition document
+ */
+async function createEdition({ name, year }, { copySettingsFrom = null, createdBy = null } = {}) {
+    if (!name || !year) {
+        throw new ErrorResponse('Please provide the edition name and year');
+    }
+
+    const edition = await Edition.create({ name, year, createdBy });
+
+    if (copySettingsFrom) {
+        const settings = await SystemSettings.findOne({ edition: copySettingsFrom, key: 'core_settings' }).lean();
+        if (settings) {
+            const { _id, createdAt, updatedAt, ...rest } = settings;
+            await SystemSettings.create({
+                ...rest,
+                edition: edition._id,
+                eventName: name,
+                eventDate: null,
+                registrationOpensAt: null,
+                registrationDeadline: null,
+                // Dated price tiers belong to the old year
+                comboPriceSchedule: []
+            });
+        }
+
+        const payment = await PaymentSettings.findOne({ edition: copySettingsFrom, isActive: true }).lean();
+        if (payment) {
+            const { _id, createdAt, updatedAt, ...rest } = payment;
+            await PaymentSettings.create({
+                ...rest,
+                edition: edition._id,
+                refundPolicy: { ...rest.refundPolicy, fullRefundBefore: null, partialRefundBefore: null }
+            });
+        }
+    }
+
+    return edition;
+}
+
+/**
+ * Make an edition the live one. The previous live edition becomes upcoming,
+ * or archived when asked.
+ * @param {Object} edition - Edition document
+ * @param {Object} options - { archivePrevious }
+ * @returns {Object} - Edition document
+ */
+async function activateEdition(edition, { archivePrevious = false } = {}) {
+    if (edition.status === 'active') return edition;
+
+    const now = new Date();
+    await Edition.updateMany(
+        { status: 'active' },
+        archivePrevious
+            ? { $set: { status: 'archived', archivedAt: now } }
+            : { $set: { status: 'upcoming' } }
+    );
+
+    edition.status = 'active';
+    edition.activatedAt = now;
+    edition.archivedAt = null;
+    await edition.save();
+
+    clearEditionCache();
+    return edition;
+}
+
+/**
+ * Make an edition read-only
+ * @param {Object} edition - Edition document
+ * @returns {Object} - Edition document
+ */
+async function archiveEdition(edition) {
+    if (edition.status === 'active') {
+        throw new ErrorResponse('Activate another edition before archiving the live one');
+    }
+
+    edition.status = 'archived';
+    edition.archivedAt = new Date();
+    await edition.save();
+
+    clearEditionCache();
+    return edition;
+}
+
+/**
+ * Copy returning students' identity (name, contact, PRN, college, login) into
+ * an edition. They get a new record with no events and a fresh chest number;
+ * the old record stays with its year.
+ * @param {Object} target - Edition to copy into
+ * @param {String} fromEditionId - Edition to copy from
+ * @param {Array} participantIds - Limit to these participants (default: all approved)
+ * @returns {Object} - { created, skipped }
+ */
+async function carryOverParticipants(target, fromEditionId, participantIds = null) {
+    if (target._id.toString() === fromEditionId.toString()) {
+        throw new ErrorResponse('Choose a different edition to carry participants over from');
+    }
+    if (target.status === 'archived') {
+        throw new ErrorResponse('Archived editions are read-only', 403);
+    }
+
+    const filter = { edition: fromEditionId };
+    if (participantIds) {
+        filter._id = { $in: participantIds };
+    } else {
+        filter.registrationStatus = 'approved';
+    }
+    const previous = await Participant.find(filter).select('+password');
+
+    const existing = await Participant.find({
+        edition: target._id,
+        $or: [
+            { email: { $in: previous.map(p => p.email) } },
+            { mobile: { $in: previous.map(p => p.mobile).filter(Boolean) } }
+        ]
+    }).select('email mobile');
+
+    let created = 0;
+    const skipped = [];
+    for (const old of previous) {
+        if (existing.some(p => p.email === old.email || (old.mobile && p.mobile === old.mobile))) {
+            skipped.push({ _id: old._id, email: old.email, reason: 'Already in this edition' });
+            continue;
+        }
+
+        const participant = new Participant({
+            fullName: old.fullName,
+            email: old.email,
+            mobile: old.mobile,
+            prn: old.prn,
+            branch: old.branch,
+            year: old.year,
+            college: old.college,
+            edition: target._id,
+            carriedOverFrom: old._id,
+            registrationStatus: 'incomplete',
+            mustChangePassword: old.mustChangePassword
+        });
+        try {
+            await participant.save();
+            // Keep their existing login: the hash is copied directly so it is not hashed again
+            if (old.password) {
+                await Participant.updateOne({ _id: participant._id, edition: target._id }, { $set: { password: old.password } });
+            }
+            created++;
+        } catch (error) {
+            skipped.push({ _id: old._id, email: old.email, reason: error.message });
+        }
+    }
+
+    return { created, skipped };
+}
+
+module.exports = {
+    getActiveEdition,
+    clearEditionCache,
+    createEdition,
+    activateEdition,
+    archiveEdition,
+    carryOverParticipants
+};
@@ -0,0 +1,79 @@
+const SystemSettings = require('../models/SystemSettings');
+const ErrorResponse = require('./errorResponse');
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+/**
+ * Colleges whose students are not external
+ * @returns {Array} - Normalised college names
+ */
+async function getHostColleges() {
+    const settings = await SystemSettings.findOne({ key: 'core_settings' }).select('hostColleges');
+    // Fall back to the schema default before settings are first saved
+    const colleges = (settings || new SystemSettings()).hostColleges;
+    return colleges.map(normalize);
+}
+
+/**
+ * Why an applicant may not enter a sub-event
+ * @param {Object} subEvent - SubEvent document
+ * @param {Object} applicant - { year, branch, college }
+ * @param {Object} context - { hostColleges, totalEvents } (totalEvents: events held after this registration)
+ * @returns {String|null} - Reason, or null if eligible
+ */
+function getIneligibilityReason(subEvent, applicant, { hostColleges = [], totalEvents = null } = {}) {
+    const rules = subEvent.eligibility || {};
+
+    if (rules.years && rules.years.length > 0 && applicant.year !== undefined && applicant.year !== null && applicant.year !== '') {
+        if (!rules.years.includes(parseInt(applicant.year))) {
+            return `Open to year ${rules.years.join(', ')} students only`;
+        }
+    }
+
+    if (rules.branches && rules.branches.length > 0 && applicant.branch) {
+        if (!rules.branches.map(normalize).includes(normalize(applicant.branch))) {
+            return `Open to ${rules.branches.join(', ')} only`;
+        }
+    }
+
+    if (applicant.college) {
+        const college = normalize(applicant.college);
+
+        if (rules.colleges && rules.colleges.length > 0 && !rules.colleges.map(normalize).includes(college)) {
+            return `Open to students of ${rules.colleges.join(', ')} only`;
+        }
+
+        if (rules.allowExternal === false && hostColleges.length > 0 && !hostColleges.includes(college)) {
+            return 'Not open to students from other colleges';
+        }
+    }
+
+    if (rules.maxEventsPerParticipant && totalEvents !== null && totalEvents > rules.maxEventsPerParticipant) {
+        return `Entrants may register for at most ${rules.maxEventsPerParticipant} events in total`;
+    }
+
+    return null;
+}
+
+/**
+ * Throw if the applicant is not eligible for every one of the sub-events
+ * @param {Array} subEvents - SubEvent documents
+ * @param {Object} applicant - { year, branch, college }
+ * @param {Number} totalEvents - Events the applicant will hold in total
+ */
+async function assertEligible(subEvents, applicant, totalEvents) {
+    const hostColleges = await getHostColleges();
+
+    for (const subEvent of subEvents) {
+        const reason = getIneligibilityReason(subEvent, applicant, { hostColleges, totalEvents });
+        if (reason) {
+            throw new ErrorResponse(`You are not eligible for ${subEvent.name}: ${reason}`);
+        }
+    }
+}
+
+module.exports = {
+    getHostColleges,
+    getIneligibilityReason,
+    assertEligible
+};
@@ -0,0 +1,9 @@
+// Error carrying an HTTP status code, picked up by the global error handler
+class ErrorResponse extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.statusCode = statusCode;
+    }
+}
+
+module.exports = ErrorResponse;
@@ -0,0 +1,52 @@
+const jwt = require('jsonwebtoken');
+
+const FILE_LINK_PURPOSE = 'file-link';
+// Long enough to open the page that shows the file, short enough that a
+// copied or logged link soon stops working
+const FILE_LINK_TTL_MINUTES = 10;
+
+const filePath = (folder, fileName) => `${folder}/${fileName}`;
+
+/**
+ * Signed link to one private file. <img> and <a> tags cannot send an
+ * Authorization header, so they use this instead of the login token; the
+ * signature opens only this file, and only for a few minutes.
+ * @param {String} url - File URL from the storage driver
+ * @param {String} folder - Profile folder
+ * @param {String} fileName - Stored file name
+ * @returns {Object} - { url, expiresAt }
+ */
+function signFileUrl(url, folder, fileName) {
+    const sig = jwt.sign(
+        { purpose: FILE_LINK_PURPOSE, file: filePath(folder, fileName) },
+        process.env.JWT_SECRET,
+        { expiresIn: `${FILE_LINK_TTL_MINUTES}m` }
+    );
+
+    return {
+        url: `${url}?sig=${encodeURIComponent(sig)}`,
+        expiresAt: new Date(Date.now() + FILE_LINK_TTL_MINUTES * 60 * 1000)
+    };
+}
+
+/**
+ * Whether a signature from signFileUrl is current and was made for this file
+ * @param {String} sig - ?sig= value
+ * @param {String} folder - Profile folder
+ * @param {String} fileName - Stored file name
+ * @returns {Boolean}
+ */
+function verifyFileSignature(sig, folder, fileName) {
+    try {
+        const decoded = jwt.verify(String(sig), process.env.JWT_SECRET);
+        return decoded.purpose === FILE_LINK_PURPOSE && decoded.file === filePath(folder, fileName);
+    } catch (error) {
+        return false;
+    }
+}
+
+module.exports = {
+    FILE_LINK_TTL_MINUTES,
+    signFileUrl,
+    verifyFileSignature
+};
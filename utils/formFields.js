@@ -0,0 +1,167 @@
+const ErrorResponse = require('./errorResponse');
+
+/**
+ * Check an admin-defined form schema before it is saved
+ * @param {Array} fields - Field definitions
+ */
+function validateFormFieldDefinitions(fields) {
+    if (!Array.isArray(fields)) {
+        throw new ErrorResponse('Form fields must be a list');
+    }
+
+    const keys = new Set();
+    for (const field of fields) {
+        if (!field.key || !field.label) {
+            throw new ErrorResponse('Every form field needs a key and a label');
+        }
+        if (keys.has(field.key)) {
+            throw new ErrorResponse(`Duplicate form field key "${field.key}"`);
+        }
+        keys.add(field.key);
+
+        if (field.type === 'select' && (!Array.isArray(field.options) || field.options.length === 0)) {
+            throw new ErrorResponse(`Select field "${field.label}" needs at least one option`);
+        }
+        if (field.pattern) {
+            try {
+                new RegExp(field.pattern);
+            } catch (err) {
+                throw new ErrorResponse(`Invalid pattern for "${field.label}"`);
+            }
+        }
+    }
+}
+
+/**
+ * Validate one answer against its field definition
+ * @param {Object} field - Field definition
+ * @param {*} raw - Submitted value
+ * @param {Boolean} requireAll - Whether required fields must be answered
+ * @returns {*} - Cleaned value (undefined when left blank)
+ */
+function cleanAnswer(field, raw, requireAll = true) {
+    const required = field.required && requireAll;
+    const blank = raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '');
+
+    switch (field.type) {
+        case 'checkbox': {
+            const checked = raw === true || raw === 'true' || raw === 'on';
+            if (required && !checked) {
+                throw new ErrorResponse(`"${field.label}" must be checked`);
+            }
+            return checked;
+        }
+        case 'number': {
+            if (blank) break;
+            const value = Number(raw);
+            if (Number.isNaN(value)) {
+                throw new ErrorResponse(`"${field.label}" must be a number`);
+            }
+            if (field.min !== null && field.min !== undefined && value < field.min) {
+                throw new ErrorResponse(`"${field.label}" must be at least ${field.min}`);
+            }
+            if (field.max !== null && field.max !== undefined && value > field.max) {
+                throw new ErrorResponse(`"${field.label}" must be at most ${field.max}`);
+            }
+            return value;
+        }
+        case 'select': {
+            if (blank) break;
+            if (!field.options.includes(raw)) {
+                throw new ErrorResponse(`"${field.label}" must be one of: ${field.options.join(', ')}`);
+            }
+            return raw;
+        }
+        case 'file': {
+            if (blank) break;
+            if (typeof raw !== 'string' || !/^https?:\/\//.test(raw)) {
+                throw new ErrorResponse(`"${field.label}" must be an uploaded file`);
+            }
+            return raw;
+        }
+        default: {
+            if (blank) break;
+            const value = String(raw).trim();
+            if (field.min !== null && field.min !== undefined && value.length < field.min) {
+                throw new ErrorResponse(`"${field.label}" must be at least ${field.min} characters`);
+            }
+            if (field.max !== null && field.max !== undefined && value.length > field.max) {
+                throw new ErrorResponse(`"${field.label}" must be at most ${field.max} characters`);
+            }
+            if (field.pattern && !new RegExp(field.pattern).test(value)) {
+                throw new ErrorResponse(`"${field.label}" is not in the expected format`);
+            }
+            return value;
+        }
+    }
+
+    if (required) {
+        throw new ErrorResponse(`"${field.label}" is required`);
+    }
+    return undefined;
+}
+
+/**
+ * Validate the answers for every selected sub-event. Unknown keys are dropped.
+ * @param {Array} subEvents - Sub-event documents (with formFields)
+ * @param {Object} responses - Map of subEventId -> { fieldKey: value }
+ * @param {Object} options - { requireAll: false lets required fields stay blank,
+ *   for records entered by admins (imports) }
+ * @returns {Object} - Cleaned map of subEventId -> { fieldKey: value }
+ */
+function validateResponses(subEvents, responses = {}, { requireAll = true } = {}) {
+    const cleaned = {};
+
+    for (const subEvent of subEvents) {
+        const fields = subEvent.formFields || [];
+        if (fields.length === 0) continue;
+
+        const submitted = responses?.[subEvent._id.toString()] || {};
+        const answers = {};
+
+        for (const field of fields) {
+            try {
+                const value = cleanAnswer(field, submitted[field.key], requireAll);
+                if (value !== undefined) answers[field.key] = value;
+            } catch (error) {
+                error.message = `${subEvent.name}: ${error.message}`;
+                throw error;
+            }
+        }
+
+        cleaned[subEvent._id.toString()] = answers;
+    }
+
+    return cleaned;
+}
+
+/**
+ * Flatten answers for exports, e.g. "Debate: Side" -> "For"
+ * @param {Object} participant - Participant document or object
+ * @param {Array} subEvents - Sub-events with formFields
+ * @returns {Array} - [{ subEvent, label, value }]
+ */
+function describeResponses(participant, subEvents) {
+    const responses = participant.customResponses instanceof Map
+        ? Object.fromEntries(participant.customResponses)
+        : (participant.customResponses || {});
+
+    const rows = [];
+    subEvents.forEach(subEvent => {
+        const answers = responses[subEvent._id.toString()];
+        if (!answers) return;
+        (subEvent.formFields || []).forEach(field => {
+            if (answers[field.key] === undefined) return;
+            let value = answers[field.key];
+            if (field.type === 'checkbox') value = value ? 'Yes' : 'No';
+            rows.push({ subEvent: subEvent.name, label: field.label, key: field.key, subEventId: subEvent._id.toString(), value: String(value) });
+        });
+    });
+    return rows;
+}
+
+module.exports = {
+    validateFormFieldDefinitions,
+    validateResponses,
+    describeResponses
+};
@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const Payment = require('../models/Payment');
+const Participant = require('../models/Participant');
+const ProofFingerprint = require('../models/ProofFingerprint');
+const { normalizeUtr } = require('./reconciliation');
+const { readStoredFile } = require('./storage');
+const { isPdf, renderFirstPage } = require('./pdfPreview');
+
+// Fingerprints made another way (the old 64-bit dHash) are recomputed
+const HASH_ALGORITHM = 'sha256-pixels';
+
+/**
+ * Hash the decoded pixels of an image. Receipts from the same payment app
+ * differ only in their text, so anything coarser than the exact pixels calls
+ * different payments the same; this still matches the same screenshot saved
+ * again in another lossless format or with different metadata.
+ * @param {Buffer} buffer - Image data
+ * @returns {String} - 64 hex characters
+ */
+async function computeImageHash(buffer) {
+    const { data, info } = await sharp(buffer)
+        .rotate()
+        .removeAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    return crypto.createHash('sha256')
+        .update(`${info.width}x${info.height}x${info.channels}:`)
+        .update(data)
+        .digest('hex');
+}
+
+/**
+ * Fingerprint an uploaded proof. PDFs are hashed by their first page.
+ * Failures are logged and ignored so a hashing problem never blocks a registration.
+ * @param {String} url - Stored proof URL
+ * @param {Buffer} buffer - Image data (read from storage when omitted)
+ * @returns {Object|null} - ProofFingerprint document
+ */
+async function fingerprintProof(url, buffer = null) {
+    try {
+        const existing = await ProofFingerprint.findOne({ url, algorithm: HASH_ALGORITHM });
+        if (existing) return existing;
+
+        let data = buffer;
+        if (!data) {
+            data = await readStoredFile(url);
+        }
+        if (isPdf(data)) {
+            data = (await renderFirstPage(data)).image;
+        }
+
+        const hash = await computeImageHash(data);
+        return await ProofFingerprint.findOneAndUpdate(
+            { url },
+            { $set: { hash, algorithm: HASH_ALGORITHM } },
+            { new: true, upsert: true }
+        );
+    } catch (error) {
+        console.error(`Could not fingerprint payment proof ${url}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * (participant, UTR, proof URL) submissions on record, from the payment
+ * ledger and from participants registered before it
+ * @param {Object} filters - { payments, participants }: extra query conditions
+ * @returns {Array} - { participant, utr, proofUrl }
+ */
+async function loadSubmissions(filters) {
+    const payments = await Payment.find({
+        $and: [filters.payments, { status: { $in: ['pending', 'approved'] } }]
+    }).select('participant transactionId proofUrl attachments');
+    const participants = await Participant.find({
+        $and: [
+            filters.participants,
+            { registrationStatus: { $in: ['pending', 'approved'] } },
+            { $or: [{ transactionId: { $nin: [null, ''] } }, { paymentProofUrl: { $nin: [null, ''] } }] }
+        ]
+    }).select('transactionId paymentProofUrl');
+
+    return [
+        // One entry per attached file
+        ...payments.flatMap(payment => {
+            const urls = payment.attachments?.length > 0 ? payment.attachments.map(a => a.url) : [payment.proofUrl];
+            return urls.map(proofUrl => ({
+                participant: payment.participant.toString(),
+                utr: normalizeUtr(payment.transactionId),
+                proofUrl
+            }));
+        }),
+        ...participants.map(participant => ({
+            participant: participant._id.toString(),
+            utr: normalizeUtr(participant.transactionId),
+            proofUrl: participant.paymentProofUrl
+        }))
+    ];
+}
+
+// participantId sets keyed by a value, e.g. UTR -> participants using it
+function groupParticipants(submissions, keyOf) {
+    const groups = new Map();
+    submissions.forEach(submission => {
+        const key = keyOf(submission);
+        if (!key) return;
+        if (!groups.has(key)) groups.set(key, new Set());
+        groups.get(key).add(submission.participant);
+    });
+    return groups;
+}
+
+/**
+ * Build fraud flags for the given participants: UTRs also used by another
+ * participant, and proofs identical to another participant's proof. Only
+ * submissions sharing a UTR or fingerprint with these participants are loaded.
+ * @param {Array} participantIds - Participants to check
+ * @returns {Map} - participantId -> [{ type, value, participants }]
+ */
+async function findFraudFlags(participantIds) {
+    const own = await loadSubmissions({
+        payments: { participant: { $in: participantIds } },
+        participants: { _id: { $in: participantIds } }
+    });
+
+    // Fingerprints were taken at upload; matches are found through the hash index
+    const ownPrints = await ProofFingerprint.find({
+        url: { $in: [...new Set(own.map(s => s.proofUrl).filter(Boolean))] },
+        algorithm: HASH_ALGORITHM
+    });
+    const samePrints = await ProofFingerprint.find({
+        hash: { $in: [...new Set(ownPrints.map(fp => fp.hash))] },
+        algorithm: HASH_ALGORITHM
+    });
+    const hashByUrl = new Map(samePrints.map(fp => [fp.url, fp.hash]));
+    const matchedUrls = [...hashByUrl.keys()];
+
+    // UTRs are stored as typed; match any spacing, punctuation or case of the same characters
+    const utrs = [...new Set(own.map(s => s.utr).filter(Boolean))]
+        .map(utr => new RegExp(`^[^A-Z0-9]*${utr.split('').join('[^A-Z0-9]*')}[^A-Z0-9]*$`, 'i'));
+
+    const others = await loadSubmissions({
+        payments: {
+            $or: [
+                { transactionId: { $in: utrs } },
+                { proofUrl: { $in: matchedUrls } },
+                { 'attachments.url': { $in: matchedUrls } }
+            ]
+        },
+        participants: {
+            $or: [
+                { transactionId: { $in: utrs } },
+                { paymentProofUrl: { $in: matchedUrls } }
+            ]
+        }
+    });
+
+    const all = [...own, ...others];
+    const byUtr = groupParticipants(all, s => s.utr);
+    const byHash = groupParticipants(all, s => hashByUrl.get(s.proofUrl));
+
+    const flags = new Map();
+    const addFlag = (participantId, flag) => {
+        const list = flags.get(participantId) || [];
+        if (!list.some(f => f.type === flag.type && f.value === flag.value)) list.push(flag);
+        flags.set(participantId, list);
+    };
+
+    for (const submission of own) {
+        const sharing = byUtr.get(submission.utr);
+        if (sharing && sharing.size > 1) {
+            addFlag(submission.participant, {
+                type: 'duplicate_utr',
+                value: submission.utr,
+                participants: [...sharing].filter(id => id !== submission.participant)
+            });
+        }
+
+        const reused = byHash.get(hashByUrl.get(submission.proofUrl));
+        if (reused && reused.size > 1) {
+            addFlag(submission.participant, {
+                type: 'reused_proof',
+                value: submission.proofUrl,
+                participants: [...reused].filter(id => id !== submission.participant)
+            });
+        }
+    }
+
+    // Resolve participant names for the admin view
+    const relatedIds = [...new Set([...flags.values()].flat().flatMap(flag => flag.participants))];
+    const related = await Participant.find({ _id: { $in: relatedIds } }).select('fullName chestNumber registrationStatus');
+    const relatedById = new Map(related.map(p => [p._id.toString(), p]));
+
+    for (const list of flags.values()) {
+        list.forEach(flag => {
+            flag.participants = flag.participants.map(id => relatedById.get(id)).filter(Boolean);
+        });
+    }
+
+    return flags;
+}
+
+module.exports = {
+    HASH_ALGORITHM,
+    computeImageHash,
+    fingerprintProof,
+    findFraudFlags
+};
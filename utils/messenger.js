@@ -0,0 +1,54 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Outgoing email/SMS. Each channel uses a named transport chosen by env:
+ *   EMAIL_TRANSPORT=console|file|<registered name>   (default console)
+ *   SMS_TRANSPORT=console|file|<registered name>     (default console)
+ *   MESSAGE_LOG_FILE=path for the file transport      (default ./messages.log)
+ * A real provider is plugged in with registerTransport(name, send).
+ */
+
+const transports = {
+    // Print to the server log (local development)
+    console: async ({ channel, to, subject, text }) => {
+        console.log(`[${channel}] to ${to}${subject ? ` | ${subject}` : ''}\n${text}`);
+    },
+
+    // Append to a file so messages can be read without a provider
+    file: async ({ channel, to, subject, text }) => {
+        const file = process.env.MESSAGE_LOG_FILE || path.join(__dirname, '../messages.log');
+        const entry = JSON.stringify({ at: new Date().toISOString(), channel, to, subject, text });
+        await fs.promises.appendFile(file, entry + '\n');
+    }
+};
+
+/**
+ * Make a transport available to EMAIL_TRANSPORT / SMS_TRANSPORT
+ * @param {String} name - Transport name
+ * @param {Function} send - async ({ channel, to, subject, text }) => void
+ */
+function registerTransport(name, send) {
+    transports[name] = send;
+}
+
+/**
+ * Send a message on a channel through its configured transport
+ * @param {String} channel - 'email' or 'sms'
+ * @param {Object} message - { to, subject, text }
+ */
+async function sendMessage(channel, { to, subject = '', text }) {
+    const name = (channel === 'sms' ? process.env.SMS_TRANSPORT : process.env.EMAIL_TRANSPORT) || 'console';
+    const transport = transports[name];
+
+    if (!transport) {
+        throw new Error(`Unknown ${channel} transport "${name}"`);
+    }
+
+    await transport({ channel, to, subject, text });
+}
+
+module.exports = {
+    registerTransport,
+    sendMessage
+};
@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const OtpChallenge = require('../models/OtpChallenge');
+const SystemSettings = require('../models/SystemSettings');
+const { sendMessage } = require('./messenger');
+const ErrorResponse = require('./errorResponse');
+
+const CODE_TTL_MINUTES = 10;
+const RESEND_COOLDOWN_SECONDS = 60;
+const MAX_ATTEMPTS = 5;
+const TOKEN_PURPOSE = 'registration-verify';
+const TOKEN_EXPIRE = '30m';
+
+const hashCode = (code) => crypto.createHash('sha256').update(String(code)).digest('hex');
+
+/**
+ * Normalise an email or mobile so the token matches what is later submitted
+ * @param {String} channel - 'email' or 'sms'
+ * @param {String} destination - Raw value typed by the student
+ * @returns {String}
+ */
+function normalizeDestination(channel, destination) {
+    const value = String(destination || '').trim();
+    if (channel === 'email') return value.toLowerCase();
+    return value.replace(/\D/g, '').slice(-10);
+}
+
+/**
+ * Which channels must be verified before submit
+ * @returns {Object} - { email, mobile }
+ */
+async function getOtpRequirements() {
+    const settings = await SystemSettings.findOne({ key: 'core_settings' }).select('otpVerification');
+    // Fall back to the schema default before settings are first saved
+    const { email, mobile } = (settings || new SystemSettings()).otpVerification || {};
+    return { email: !!email, mobile: !!mobile };
+}
+
+/**
+ * Create a challenge and send its code
+ * @param {String} channel - 'email' or 'sms'
+ * @param {String} destination - Email address or mobile number
+ * @returns {Object} - { destination, expiresAt }
+ */
+async function requestOtp(channel, destination) {
+    if (!['email', 'sms'].includes(channel)) {
+        throw new ErrorResponse('Channel must be email or sms');
+    }
+
+    const to = normalizeDestination(channel, destination);
+    if (channel === 'email' && !/^\S+@\S+\.\S+$/.test(to)) {
+        throw new ErrorResponse('Please provide a valid email address');
+    }
+    if (channel === 'sms' && !/^[0-9]{10}$/.test(to)) {
+        throw new ErrorResponse('Please provide a valid 10-digit mobile number');
+    }
+
+    const recent = await OtpChallenge.findOne({
+        channel,
+        destination: to,
+        createdAt: { $gt: new Date(Date.now() - RESEND_COOLDOWN_SECONDS * 1000) }
+    });
+    if (recent) {
+        throw new ErrorResponse(`Please wait ${RESEND_COOLDOWN_SECONDS} seconds before requesting another code`, 429);
+    }
+
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    const expiresAt = new Date(Date.now() + CODE_TTL_MINUTES * 60 * 1000);
+
+    // Only the latest code is valid
+    await OtpChallenge.deleteMany({ channel, destination: to, verifiedAt: null });
+    const challenge = await OtpChallenge.create({ channel, destination: to, codeHash: hashCode(code), expiresAt });
+
+    try {
+        await sendMessage(channel, {
+            to,
+            subject: 'Your registration verification code',
+            text: `Your verification code is ${code}. It expires in ${CODE_TTL_MINUTES} minutes.`
+        });
+    } catch (error) {
+        await OtpChallenge.deleteOne({ _id: challenge._id });
+        throw error;
+    }
+
+    return { destination: to, expiresAt };
+}
+
+/**
+ * Check a code and issue a short-lived verification token
+ * @param {String} channel - 'email' or 'sms'
+ * @param {String} destination - Email address or mobile number
+ * @param {String} code - Code entered by the student
+ * @returns {String} - Signed token to send with the registration
+ */
+async function verifyOtp(channel, destination, code) {
+    const to = normalizeDestination(channel, destination);
+    const challenge = await OtpChallenge.findOne({
+        channel,
+        destination: to,
+        verifiedAt: null,
+        expiresAt: { $gt: new Date() }
+    }).sort({ createdAt: -1 });
+
+    if (!challenge) {
+        throw new ErrorResponse('Code has expired. Please request a new one');
+    }
+
+    // Count the attempt before comparing, so parallel guesses cannot all get
+    // in under the limit
+    const attempt = await OtpChallenge.findOneAndUpdate(
+        { _id: challenge._id, verifiedAt: null, attempts: { $lt: MAX_ATTEMPTS } },
+        { $inc: { attempts: 1 } },
+        { new: true }
+    );
+    if (!attempt) {
+        throw new ErrorResponse('Too many incorrect attempts. Please request a new code', 429);
+    }
+
+    const expected = Buffer.from(attempt.codeHash, 'hex');
+    const given = Buffer.from(hashCode(String(code || '').trim()), 'hex');
+    if (!crypto.timingSafeEqual(expected, given)) {
+        throw new ErrorResponse('Incorrect verification code');
+    }
+
+    const verified = await OtpChallenge.findOneAndUpdate(
+        { _id: attempt._id, verifiedAt: null },
+        { $set: { verifiedAt: new Date() } }
+    );
+    if (!verified) {
+        throw new ErrorResponse('Code has already been used. Please request a new one');
+    }
+
+    return jwt.sign(
+        { purpose: TOKEN_PURPOSE, channel, destination: to },
+        process.env.JWT_SECRET,
+        { expiresIn: TOKEN_EXPIRE }
+    );
+}
+
+/**
+ * Throw unless the token proves the destination was verified on the channel
+ * @param {String} token - Token from verifyOtp
+ * @param {String} channel - 'email' or 'sms'
+ * @param {String} destination - Value being submitted
+ */
+function assertVerified(token, channel, destination) {
+    const label = channel === 'email' ? 'email address' : 'mobile number';
+    if (!token) {
+        throw new ErrorResponse(`Please verify your ${label} before registering`);
+    }
+
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+        throw new ErrorResponse(`Your ${label} verification has expired. Please verify again`);
+    }
+
+    if (decoded.purpose !== TOKEN_PURPOSE || decoded.channel !== channel ||
+        decoded.destination !== normalizeDestination(channel, destination)) {
+        throw new ErrorResponse(`The verified ${label} does not match the one entered`);
+    }
+}
+
+module.exports = {
+    normalizeDestination,
+    getOtpRequirements,
+    requestOtp,
+    verifyOtp,
+    assertVerified
+};
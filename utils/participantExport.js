@@ -2,6 +2,8 @@
  * Utility functions for exporting participant data in various formats
  */
 
+const { describeResponses } = require('./formFields');
+
 /**
  * Generate CSV for participants
  * @param {Array} participants - Array of participant objects
@@ -9,7 +11,7 @@
  * @returns {String} - CSV formatted string
  */
 function generateParticipantCSV(participants, options = {}) {
-    const { subEventMap = {}, type = 'full' } = options;
+    const { subEventMap = {}, type = 'full', formSubEvents = [] } = options;
 
     if (type === 'nominated') {
         const headers = ['Chest No.', 'Full Name', 'Contact Info', 'Status'];
@@ -43,6 +45,12 @@ function generateParticipantCSV(participants, options = {}) {
         'Registration Date'
     ];
 
+    // One column per custom registration question
+    const formColumns = formSubEvents.flatMap(se =>
+        (se.formFields || []).map(field => ({ subEventId: se._id.toString(), key: field.key, header: `${se.name}: ${field.label}` }))
+    );
+    formColumns.forEach(column => headers.push(escapeCSV(column.header)));
+
     let csvContent = headers.join(',') + '\n';
 
     participants.forEach(participant => {
@@ -73,6 +81,12 @@ function generateParticipantCSV(participants, options = {}) {
             escapeCSV(regDate)
         ];
 
+        const answers = describeResponses(participant, formSubEvents);
+        formColumns.forEach(column => {
+            const answer = answers.find(a => a.subEventId === column.subEventId && a.key === column.key);
+            row.push(escapeCSV(answer ? answer.value : ''));
+        });
+
         csvContent += row.join(',') + '\n';
     });
 
@@ -86,7 +100,8 @@ function generateParticipantCSV(participants, options = {}) {
  * @returns {String} - HTML formatted string
  */
 function generateParticipantHTML(participants, options = {}) {
-    const { title = 'Participant List', subEventMap = {}, type = 'full' } = options;
+    const { title = 'Participant List', subEventMap = {}, type = 'full', formSubEvents = [] } = options;
+    const showResponses = type !== 'nominated' && formSubEvents.some(se => (se.formFields || []).length > 0);
 
     let logoBase64 = '';
     try {
@@ -316,6 +331,7 @@ function generateParticipantHTML(participants, options = {}) {
                             <th>Sub-Events</th>
                             <th>Status</th>
                             <th>Payment</th>
+                            ${showResponses ? '<th>Responses</th>' : ''}
                         `}
                     </tr>
                 </thead>
@@ -359,6 +375,13 @@ function generateParticipantHTML(participants, options = {}) {
                                     <div style="font-weight: 600;">₹${p.paidAmount || 0}</div>
                                     <div style="font-size: 0.7rem; color: var(--text-muted); font-family: monospace;">TXN: ${escapeHTML(p.transactionId || 'N/A')}</div>
                                 </td>
+                                ${showResponses ? `
+                                <td>
+                                    ${describeResponses(p, formSubEvents).map(a => `
+                                        <div style="font-size: 0.75rem;"><span style="color: var(--text-muted);">${escapeHTML(a.subEvent)} / ${escapeHTML(a.label)}:</span> ${escapeHTML(a.value)}</div>
+                                    `).join('') || '<span style="color: #cbd5e1;">None</span>'}
+                                </td>
+                                ` : ''}
                             `}
                         </tr>
                     `).join('')}
@@ -0,0 +1,295 @@
+const Participant = require('../models/Participant');
+const SubEvent = require('../models/SubEvent');
+const { parseCSVRecords, normalizeHeader, findColumn } = require('./csvImport');
+const { seatsTaken } = require('./waitlist');
+const { reserveSeats, releaseSeats } = require('./seatLedger');
+const { getHostColleges, getIneligibilityReason } = require('./eligibility');
+const { checkSelectionClashes } = require('./scheduleClash');
+const { validateResponses } = require('./formFields');
+const { approveParticipant } = require('./payments');
+const ErrorResponse = require('./errorResponse');
+
+// Header names partner colleges commonly use for each field
+const COLUMN_CANDIDATES = {
+    fullName: ['full name', 'name', 'student name', 'participant name'],
+    email: ['email', 'email address', 'email id', 'mail'],
+    mobile: ['mobile', 'mobile number', 'mobile no', 'phone', 'phone number', 'contact', 'contact number'],
+    prn: ['prn', 'prn number', 'roll number', 'roll no', 'enrollment number'],
+    branch: ['branch', 'department', 'stream'],
+    year: ['year', 'class', 'year of study'],
+    college: ['college', 'college name', 'institute'],
+    events: ['events', 'sub events', 'subevents', 'event', 'event names']
+};
+
+const REQUIRED = ['fullName', 'email', 'mobile', 'prn', 'branch', 'year'];
+
+// "SE", "2nd", "Second Year" -> 2
+const YEAR_WORDS = { fe: 1, first: 1, se: 2, second: 2, te: 3, third: 3, be: 4, final: 4, fourth: 4 };
+
+function parseYear(value) {
+    const text = String(value || '').trim().toLowerCase();
+    const digit = text.match(/[1-4]/);
+    if (digit) return parseInt(digit[0]);
+    const word = text.split(/[^a-z]+/).find(part => YEAR_WORDS[part]);
+    return word ? YEAR_WORDS[word] : null;
+}
+
+/**
+ * Answers to event questions found in a row. A question's column is headed
+ * "<Event>: <Label>" (as in exports) or just its label or key.
+ * @param {Object} record - CSV record keyed by normalised header
+ * @param {Array} headers - Normalised headers
+ * @param {Array} subEvents - Sub-events the row registers for
+ * @returns {Object} - subEventId -> { fieldKey: value }
+ */
+function readResponses(record, headers, subEvents) {
+    const responses = {};
+    for (const subEvent of subEvents) {
+        const answers = {};
+        for (const field of subEvent.formFields || []) {
+            const column = findColumn(headers, [
+                `${subEvent.name} ${field.label}`,
+                `${subEvent.name} ${field.key}`,
+                field.label,
+                field.key
+            ]);
+            if (column && record[column]) answers[field.key] = record[column];
+        }
+        responses[subEvent._id.toString()] = answers;
+    }
+    return responses;
+}
+
+/**
+ * Work out which CSV column holds each field
+ * @param {Array} headers - Normalised headers
+ * @param {Object} mapping - Optional overrides, e.g. { fullName: 'Student' }
+ * @returns {Object} - field -> header (null when absent)
+ */
+function resolveColumns(headers, mapping = {}) {
+    const columns = {};
+    for (const [field, candidates] of Object.entries(COLUMN_CANDIDATES)) {
+        const override = mapping[field] ? normalizeHeader(mapping[field]) : null;
+        if (override && !headers.includes(override)) {
+            throw new ErrorResponse(`Column "${mapping[field]}" was not found in the file`);
+        }
+        columns[field] = override || findColumn(headers, candidates);
+    }
+    return columns;
+}
+
+/**
+ * Validate every row of a participant spreadsheet the way registration/submit
+ * would, without writing anything. Events are given by name, separated by
+ * ";" "," or "|". Answers to event questions come from their own columns;
+ * required ones may be left blank, since partner colleges rarely collect them.
+ * @param {String} text - CSV content
+ * @param {Object} options - { mapping, defaultCollege }
+ * @returns {Object} - { columns, rows: [{ rowNumber, data, subEvents, responses, errors, warnings }], summary }
+ */
+async function previewImport(text, { mapping = {}, defaultCollege = '' } = {}) {
+    const { headers, records } = parseCSVRecords(text);
+    if (records.length === 0) {
+        throw new ErrorResponse('The file has no rows to import');
+    }
+
+    const columns = resolveColumns(headers, mapping);
+    const missing = REQUIRED.filter(field => !columns[field]);
+    if (!columns.events) missing.push('events');
+    if (missing.length > 0) {
+        throw new ErrorResponse(`Could not find columns for: ${missing.join(', ')}`);
+    }
+
+    const subEvents = await SubEvent.find({ isActiveForRegistration: true });
+    const byName = new Map(subEvents.map(se => [se.name.trim().toLowerCase(), se]));
+    const hostColleges = await getHostColleges();
+
+    const value = (record, field) => (columns[field] ? record[columns[field]] : '') || '';
+
+    // Existing participants that clash with any row, fetched once
+    const emails = records.map(r => value(r, 'email').toLowerCase()).filter(Boolean);
+    const mobiles = records.map(r => value(r, 'mobile').replace(/\D/g, '').slice(-10)).filter(Boolean);
+    const prns = records.map(r => value(r, 'prn').toUpperCase()).filter(Boolean);
+    const existing = await Participant.find({
+        $or: [{ email: { $in: emails } }, { mobile: { $in: mobiles } }, { prn: { $in: prns } }]
+    }).select('email mobile prn');
+
+    const seen = { email: new Map(), mobile: new Map(), prn: new Map() };
+    const planned = new Map(); // subEventId -> seats taken by earlier valid rows
+
+    const rows = [];
+    for (const record of records) {
+        const errors = [];
+        const warnings = [];
+
+        const data = {
+            fullName: value(record, 'fullName'),
+            email: value(record, 'email').toLowerCase(),
+            mobile: value(record, 'mobile').replace(/\D/g, '').slice(-10),
+            prn: value(record, 'prn').toUpperCase(),
+            branch: value(record, 'branch'),
+            year: parseYear(value(record, 'year')),
+            college: value(record, 'college') || defaultCollege
+        };
+
+        REQUIRED.concat('college').forEach(field => {
+            if (!data[field]) errors.push(`${field} is missing or invalid`);
+        });
+
+        // Schema rules (email/mobile format, year range)
+        const validationError = new Participant({ ...data, password: data.mobile || 'x' }).validateSync();
+        if (validationError) {
+            Object.values(validationError.errors)
+                .filter(err => data[err.path])
+                .forEach(err => errors.push(err.message));
+        }
+
+        // Duplicates against the database and earlier rows of this file
+        for (const field of ['email', 'mobile', 'prn']) {
+            if (!data[field]) continue;
+            if (existing.some(p => p[field] === data[field])) {
+                errors.push(`A participant with this ${field} already exists`);
+            }
+            if (seen[field].has(data[field])) {
+                errors.push(`Same ${field} as row ${seen[field].get(data[field])}`);
+            } else {
+                seen[field].set(data[field], record.rowNumber);
+            }
+        }
+
+        const names = value(record, 'events').split(/[;,|]/).map(name => name.trim()).filter(Boolean);
+        const selected = [];
+        names.forEach(name => {
+            const subEvent = byName.get(name.toLowerCase());
+            if (!subEvent) {
+                errors.push(`Unknown or closed event "${name}"`);
+            } else if (!selected.includes(subEvent)) {
+                selected.push(subEvent);
+            }
+        });
+        if (names.length === 0) {
+            errors.push('No events listed');
+        }
+
+        for (const subEvent of selected) {
+            const reason = getIneligibilityReason(subEvent, data, { hostColleges, totalEvents: selected.length });
+            if (reason) errors.push(`Not eligible for ${subEvent.name}: ${reason}`);
+
+            const taken = seatsTaken(subEvent) + (planned.get(subEvent._id.toString()) || 0);
+            if (subEvent.maxParticipants && taken >= subEvent.maxParticipants) {
+                errors.push(`${subEvent.name} has reached maximum capacity`);
+            }
+        }
+
+        let responses = {};
+        if (selected.length > 0) {
+            try {
+                responses = validateResponses(selected, readResponses(record, headers, selected), { requireAll: false });
+                const clashes = await checkSelectionClashes(selected.map(se => se._id));
+                clashes.forEach(clash => warnings.push(clash.message));
+            } catch (error) {
+                errors.push(error.message);
+            }
+        }
+
+        if (errors.length === 0) {
+            selected.forEach(se => {
+                const id = se._id.toString();
+                planned.set(id, (planned.get(id) || 0) + 1);
+            });
+        }
+
+        rows.push({
+            rowNumber: record.rowNumber,
+            data,
+            subEvents: selected.map(se => ({ _id: se._id, name: se.name })),
+            responses,
+            errors,
+            warnings
+        });
+    }
+
+    const valid = rows.filter(row => row.errors.length === 0).length;
+
+    return {
+        columns,
+        rows,
+        summary: { total: rows.length, valid, invalid: rows.length - valid }
+    };
+}
+
+/**
+ * Create participants for the valid rows of a preview. Rows are created one
+ * at a time so a failure (e.g. an event filling up meanwhile) only affects
+ * that row. The mobile number is a temporary password, as with self-registration.
+ * @param {Object} preview - Result of previewImport
+ * @param {Object} options - { status: 'pending' | 'approved', reviewerId }
+ * @returns {Object} - { imported: [{ rowNumber, participant }], failed: [{ rowNumber, error }] }
+ */
+async function commitImport(preview, { status = 'pending', reviewerId }) {
+    if (!['pending', 'approved'].includes(status)) {
+        throw new ErrorResponse('Imported participants must be pending or approved');
+    }
+
+    const imported = [];
+    const failed = [];
+
+    for (const row of preview.rows.filter(r => r.errors.length === 0)) {
+        const subEventIds = row.subEvents.map(se => se._id);
+        const participant = new Participant({
+            ...row.data,
+            registeredSubEvents: subEventIds,
+            customResponses: row.responses,
+            registrationStatus: 'pending',
+            paidAmount: 0,
+            password: row.data.mobile,
+            mustChangePassword: true
+        });
+        subEventIds.forEach(id => {
+            participant.statusPerSubEvent.set(id.toString(), {
+                status: 'not_started',
+                currentRound: null,
+                roundNumber: 0
+            });
+        });
+
+        try {
+            await reserveSeats(subEventIds, participant._id, { source: 'admin' });
+            try {
+                await participant.save();
+            } catch (error) {
+                await releaseSeats(participant._id, { reason: 'import failed' });
+                throw error;
+            }
+
+            await SubEvent.updateMany(
+                { _id: { $in: subEventIds } },
+                { $inc: { totalRegistrations: 1 } }
+            );
+
+            if (status === 'approved') {
+                await approveParticipant(participant, reviewerId);
+            }
+
+            imported.push({
+                rowNumber: row.rowNumber,
+                participant: {
+                    _id: participant._id,
+                    fullName: participant.fullName,
+                    email: participant.email,
+                    chestNumber: participant.chestNumber,
+                    registrationStatus: participant.registrationStatus
+                }
+            });
+        } catch (error) {
+            failed.push({ rowNumber: row.rowNumber, error: error.message });
+        }
+    }
+
+    return { imported, failed };
+}
+
+module.exports = {
+    previewImport,
+    commitImport
+};
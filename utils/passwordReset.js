@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const { sendMessage } = require('./messenger');
+const ErrorResponse = require('./errorResponse');
+
+const TOKEN_TTL_MINUTES = 60;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Check a new password against the basic rules
+ * @param {Object} participant - Participant document
+ * @param {String} password - Proposed password
+ */
+function assertAcceptablePassword(participant, password) {
+    if (!password || String(password).length < 6) {
+        throw new ErrorResponse('Password must be at least 6 characters');
+    }
+    if (String(password) === participant.mobile) {
+        throw new ErrorResponse('Please choose a password other than your mobile number');
+    }
+}
+
+/**
+ * Issue a single-use reset link and email it to the participant. Older unused
+ * links stop working.
+ * @param {Object} participant - Participant document
+ * @param {Object} options - { issuedBy: admin user ID }
+ * @returns {Object} - { resetUrl, expiresAt }
+ */
+async function sendResetLink(participant, { issuedBy = null } = {}) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + TOKEN_TTL_MINUTES * 60 * 1000);
+
+    await PasswordResetToken.deleteMany({ participant: participant._id, usedAt: null });
+    await PasswordResetToken.create({
+        participant: participant._id,
+        tokenHash: hashToken(token),
+        issuedBy,
+        expiresAt
+    });
+
+    const base = (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+    const resetUrl = `${base}/reset-password?token=${token}`;
+
+    await sendMessage('email', {
+        to: participant.email,
+        subject: 'Reset your password',
+        text: `Hi ${participant.fullName},\n\nUse this link to set a new password. It works once and expires in ${TOKEN_TTL_MINUTES} minutes:\n${resetUrl}\n\nIf you did not ask for this, you can ignore this email.`
+    });
+
+    return { resetUrl, expiresAt };
+}
+
+/**
+ * Set a new password using a reset token
+ * @param {String} token - Token from the reset link
+ * @param {String} password - New password
+ * @returns {Object} - Participant document
+ */
+async function resetPassword(token, password) {
+    // Claim the token first so it cannot be used twice
+    const reset = await PasswordResetToken.findOneAndUpdate(
+        { tokenHash: hashToken(token || ''), usedAt: null, expiresAt: { $gt: new Date() } },
+        { $set: { usedAt: new Date() } },
+        { new: true }
+    ).populate('participant');
+
+    if (!reset || !reset.participant) {
+        throw new ErrorResponse('This reset link is invalid or has expired');
+    }
+
+    const participant = reset.participant;
+    try {
+        assertAcceptablePassword(participant, password);
+    } catch (error) {
+        // Let them try again with the same link
+        await PasswordResetToken.updateOne({ _id: reset._id }, { $set: { usedAt: null } });
+        throw error;
+    }
+
+    participant.password = password;
+    participant.mustChangePassword = false;
+    participant.passwordChangedAt = new Date();
+    await participant.save();
+
+    return participant;
+}
+
+module.exports = {
+    assertAcceptablePassword,
+    sendResetLink,
+    resetPassword
+};
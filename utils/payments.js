@@ -0,0 +1,273 @@
+const Payment = require('../models/Payment');
+const Participant = require('../models/Participant');
+const SeatReservation = require('../models/SeatReservation');
+const Counter = require('../models/Counter');
+const { confirmSeats, releaseSeats } = require('./seatLedger');
+const { claimOffers, cancelEntries, refillSeats } = require('./waitlist');
+const { reverseRedemptions } = require('./pricing');
+const ErrorResponse = require('./errorResponse');
+
+/**
+ * Payment ledger: every submission is a Payment; the participant's legacy
+ * payment fields are kept as a summary of the latest submission.
+ */
+
+/**
+ * Record a payment submission and refresh the participant's summary fields.
+ * The caller saves the participant.
+ * @param {Object} participant - Participant document
+ * @param {Object} details - { kind, subEventIds, amount, expectedAmount, transactionId, proofUrl, attachments, priceBreakdown }
+ *   where attachments come from resolveProofAttachments (proofUrl defaults to the first)
+ *   and priceBreakdown from verifyQuote (its total is the expected amount)
+ * @returns {Object} - Payment document
+ */
+async function recordPayment(participant, { kind, subEventIds, amount, expectedAmount = null, transactionId, proofUrl, attachments = [], priceBreakdown = null }) {
+    proofUrl = proofUrl || attachments[0]?.url;
+    if (priceBreakdown) expectedAmount = priceBreakdown.total;
+
+    const payment = await Payment.create({
+        participant: participant._id,
+        kind,
+        subEvents: subEventIds,
+        amount: parseFloat(amount) || 0,
+        expectedAmount,
+        transactionId,
+        proofUrl,
+        attachments,
+        priceBreakdown,
+        paymentReference: priceBreakdown?.paymentReference || null
+    });
+
+    participant.transactionId = transactionId;
+    participant.paymentProofUrl = proofUrl;
+    participant.paidAmount = (participant.paidAmount || 0) + payment.amount;
+
+    return payment;
+}
+
+/**
+ * Give an approved payment the next receipt number (no-op if it has one)
+ * @param {Object} payment - Payment document
+ * @returns {Object} - Payment document
+ */
+async function issueReceipt(payment) {
+    if (payment.receiptNumber) return payment;
+
+    const counter = await Counter.findOneAndUpdate(
+        { model: 'Payment', field: 'receiptNumber' },
+        { $inc: { count: 1 } },
+        { new: true, upsert: true }
+    );
+
+    payment.receiptNumber = counter.count;
+    payment.receiptIssuedAt = new Date();
+    await payment.save();
+    return payment;
+}
+
+/**
+ * Add sub-events to a participant's registered list with a fresh status entry
+ * @param {Object} participant - Participant document
+ * @param {Array} subEventIds - Sub-events to add
+ */
+function addRegisteredSubEvents(participant, subEventIds) {
+    const registered = participant.registeredSubEvents.map(id => id.toString());
+    for (const subEventId of subEventIds) {
+        if (registered.includes(subEventId.toString())) continue;
+        participant.registeredSubEvents.push(subEventId);
+        participant.statusPerSubEvent.set(subEventId.toString(), {
+            status: 'not_started',
+            currentRound: null,
+            roundNumber: 0
+        });
+    }
+}
+
+/**
+ * Approve a single payment: its sub-events are confirmed and registered.
+ * The participant is approved once no other payment is waiting for review.
+ * @param {Object} payment - Payment document
+ * @param {String} reviewerId - Admin user ID
+ * @returns {Object} - Updated participant
+ */
+async function approvePayment(payment, reviewerId) {
+    if (payment.status !== 'pending') {
+        throw new ErrorResponse(`Payment is already ${payment.status}`);
+    }
+
+    const participant = await Participant.findById(payment.participant);
+    if (!participant) {
+        throw new ErrorResponse('Participant not found', 404);
+    }
+
+    // Fails without changes if an event would go over its cap
+    await confirmSeats(payment.subEvents, participant._id);
+
+    const covered = payment.subEvents.map(id => id.toString());
+    addRegisteredSubEvents(participant, payment.subEvents);
+    participant.pendingSubEvents = participant.pendingSubEvents.filter(id => !covered.includes(id.toString()));
+
+    payment.status = 'approved';
+    payment.reviewedBy = reviewerId;
+    payment.reviewedAt = new Date();
+    await payment.save();
+    await issueReceipt(payment);
+
+    const stillPending = await Payment.exists({ participant: participant._id, status: 'pending' });
+    if (!stillPending) {
+        participant.registrationStatus = 'approved';
+        participant.currentStatus = 'available';
+        participant.isReRegistration = false;
+        participant.pendingSubEvents = [];
+    }
+    await participant.save();
+
+    await claimOffers(participant._id, payment.subEvents);
+
+    return participant;
+}
+
+/**
+ * Reject a single payment and release the seats it was holding. Rejecting a
+ * registration payment rejects the participant; rejecting an add-events
+ * payment only drops those events.
+ * @param {Object} payment - Payment document
+ * @param {String} reviewerId - Admin user ID
+ * @param {String} reason - Shown to the participant
+ * @param {Object} io - Socket.IO server
+ * @returns {Object} - Updated participant
+ */
+async function rejectPayment(payment, reviewerId, reason, io) {
+    if (payment.status !== 'pending') {
+        throw new ErrorResponse(`Payment is already ${payment.status}`);
+    }
+
+    const participant = await Participant.findById(payment.participant);
+    if (!participant) {
+        throw new ErrorResponse('Participant not found', 404);
+    }
+
+    payment.status = 'rejected';
+    payment.reviewedBy = reviewerId;
+    payment.reviewedAt = new Date();
+    payment.reviewNotes = reason || '';
+    await payment.save();
+
+    participant.paidAmount = Math.max(0, (participant.paidAmount || 0) - payment.amount);
+
+    if (payment.kind !== 'add_events') {
+        return rejectParticipant(participant, reviewerId, reason, io);
+    }
+
+    const covered = payment.subEvents.map(id => id.toString());
+    participant.pendingSubEvents = participant.pendingSubEvents.filter(id => !covered.includes(id.toString()));
+    if (participant.pendingSubEvents.length === 0) {
+        participant.isReRegistration = false;
+    }
+
+    // Back to the earlier state: approved if they already hold confirmed seats
+    const stillPending = await Payment.exists({ participant: participant._id, status: 'pending' });
+    if (!stillPending) {
+        const hasConfirmed = await SeatReservation.exists({ participant: participant._id, status: 'confirmed' });
+        participant.registrationStatus = hasConfirmed ? 'approved' : 'rejected';
+    }
+    if (reason) participant.adminNotes = reason;
+    await participant.save();
+
+    const freedSubEvents = await releaseSeats(participant._id, {
+        subEventIds: payment.subEvents,
+        status: 'held',
+        reason: 'payment rejected'
+    });
+    await refillSeats(freedSubEvents, io);
+
+    return participant;
+}
+
+/**
+ * Approve everything a participant has submitted (participant-level approval)
+ * @param {Object} participant - Participant document
+ * @param {String} reviewerId - Admin user ID
+ * @returns {Object} - Updated participant
+ */
+async function approveParticipant(participant, reviewerId) {
+    if (participant.isReRegistration && participant.pendingSubEvents && participant.pendingSubEvents.length > 0) {
+        addRegisteredSubEvents(participant, participant.pendingSubEvents);
+        participant.isReRegistration = false;
+        participant.pendingSubEvents = [];
+    }
+
+    // Confirm seats atomically; fails without changes if an event would go over its cap
+    await confirmSeats(participant.registeredSubEvents, participant._id);
+
+    // Registrations from before the payment ledger get a payment record so they can have a receipt
+    const hasPayments = await Payment.exists({ participant: participant._id });
+    if (!hasPayments && participant.transactionId && participant.paymentProofUrl) {
+        await Payment.create({
+            participant: participant._id,
+            kind: 'registration',
+            subEvents: participant.registeredSubEvents,
+            amount: participant.paidAmount || 0,
+            transactionId: participant.transactionId,
+            proofUrl: participant.paymentProofUrl
+        });
+    }
+
+    const pending = await Payment.find({ participant: participant._id, status: 'pending' });
+    for (const payment of pending) {
+        payment.status = 'approved';
+        payment.reviewedBy = reviewerId;
+        payment.reviewedAt = new Date();
+        await payment.save();
+        await issueReceipt(payment);
+    }
+
+    participant.registrationStatus = 'approved';
+    participant.currentStatus = 'available';
+    await participant.save();
+
+    await claimOffers(participant._id, participant.registeredSubEvents);
+
+    return participant;
+}
+
+/**
+ * Reject a participant outright: pending payments are rejected, seats and
+ * waitlist places are released and coupon uses are given back
+ * @param {Object} participant - Participant document
+ * @param {String} reviewerId - Admin user ID
+ * @param {String} reason - Shown to the participant
+ * @param {Object} io - Socket.IO server
+ * @returns {Object} - Updated participant
+ */
+async function rejectParticipant(participant, reviewerId, reason, io) {
+    const pending = await Payment.find({ participant: participant._id, status: 'pending' }).select('amount');
+    const rejectedAmount = pending.reduce((total, payment) => total + payment.amount, 0);
+
+    await Payment.updateMany(
+        { participant: participant._id, status: 'pending' },
+        { $set: { status: 'rejected', reviewedBy: reviewerId, reviewedAt: new Date(), reviewNotes: reason || '' } }
+    );
+
+    participant.registrationStatus = 'rejected';
+    participant.paidAmount = Math.max(0, (participant.paidAmount || 0) - rejectedAmount);
+    if (reason) participant.adminNotes = reason;
+    await participant.save();
+
+    // Held and confirmed seats expire with the rejection and go to the waitlist
+    await cancelEntries(participant._id);
+    const freedSubEvents = await releaseSeats(participant._id, { reason: 'rejected' });
+    await refillSeats(freedSubEvents, io);
+    await reverseRedemptions(participant._id);
+
+    return participant;
+}
+
+module.exports = {
+    recordPayment,
+    issueReceipt,
+    approvePayment,
+    rejectPayment,
+    approveParticipant,
+    rejectParticipant
+};
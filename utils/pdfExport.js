@@ -266,4 +266,112 @@ function generateNominatedPDF(participants, options = {}) {
     return doc;
 }
 
-module.exports = { generateAttendancePDF, generateNominatedPDF };
+/**
+ * Generate payment receipts, one per page
+ * @param {Array} payments - Approved payments with participant and subEvents populated
+ * @returns {PDFDocument} - PDF document stream
+ */
+function generateReceiptPDF(payments) {
+    const doc = new PDFDocument({ margin: 50, size: 'A4', bufferPages: true });
+
+    const drawBackgroundLogo = () => {
+        try {
+            const logoPath = require('path').join(__dirname, '../../frontend/public/Mavericks_Logo.png');
+            doc.save();
+            doc.opacity(0.12);
+            const pageWidth = doc.page.width;
+            const pageHeight = doc.page.height;
+            const logoSize = 400;
+            doc.image(logoPath, (pageWidth - logoSize) / 2, (pageHeight - logoSize) / 2, { width: logoSize });
+            doc.restore();
+        } catch (err) {
+            console.error('Receipt PDF Logo Error:', err);
+        }
+    };
+
+    drawBackgroundLogo();
+    doc.on('pageAdded', () => drawBackgroundLogo());
+
+    payments.forEach((payment, index) => {
+        if (index > 0) doc.addPage();
+
+        const participant = payment.participant || {};
+        const issuedAt = payment.receiptIssuedAt || payment.reviewedAt || payment.updatedAt;
+
+        // Header
+        doc.fillColor('#1e1b4b').fontSize(22).font('Helvetica-Bold').text('Verbafest 2026', 50, 50, { align: 'center' });
+        doc.moveDown(0.2);
+        doc.fillColor('#475569').fontSize(14).font('Helvetica-Bold').text('Payment Receipt', { align: 'center' });
+        doc.moveDown(1.5);
+
+        // Receipt meta
+        const metaY = doc.y;
+        doc.fillColor('#1e293b').fontSize(10).font('Helvetica-Bold').text('Receipt No:', 50, metaY);
+        doc.font('Helvetica').text(payment.receiptLabel || '-', 130, metaY);
+        doc.font('Helvetica-Bold').text('Date:', 350, metaY);
+        doc.font('Helvetica').text(issuedAt ? new Date(issuedAt).toLocaleDateString() : '-', 400, metaY);
+        doc.moveDown(1.5);
+
+        // Received from
+        doc.font('Helvetica-Bold').fontSize(11).text('Received From', 50);
+        doc.moveDown(0.3);
+        doc.font('Helvetica').fontSize(10);
+        doc.text(`Name: ${participant.fullName || 'N/A'}`);
+        doc.text(`Chest No: ${participant.chestNumber || '-'}`);
+        if (participant.prn) doc.text(`PRN: ${participant.prn}`);
+        doc.text(`College: ${participant.college || 'N/A'}`);
+        doc.text(`Contact: ${participant.mobile || ''} / ${participant.email || ''}`);
+        doc.moveDown(1.5);
+
+        // Items table
+        const colX = [50, 90, 430];
+        let currentY = doc.y;
+        doc.rect(40, currentY, 515, 20).fill('#1e1b4b');
+        doc.fillColor('white').fontSize(10).font('Helvetica-Bold');
+        doc.text('#', colX[0], currentY + 5);
+        doc.text('SUB-EVENT', colX[1], currentY + 5);
+        doc.text('STATUS', colX[2], currentY + 5);
+        currentY += 25;
+
+        (payment.subEvents || []).forEach((subEvent, row) => {
+            if (row % 2 === 1) {
+                doc.rect(40, currentY - 2, 515, 18).fill('#f8fafc');
+            }
+            doc.fillColor('#1e293b').fontSize(9).font('Helvetica');
+            doc.text(String(row + 1), colX[0], currentY);
+            doc.text(subEvent.name || 'N/A', colX[1], currentY, { width: 320, height: 12, ellipsis: true });
+            doc.fillColor('#15803d').font('Helvetica-Bold').text('REGISTERED', colX[2], currentY);
+            currentY += 20;
+        });
+
+        // Totals
+        currentY += 10;
+        doc.moveTo(40, currentY).lineTo(555, currentY).strokeColor('#cbd5e1').stroke();
+        currentY += 10;
+        doc.fillColor('#1e293b').fontSize(12).font('Helvetica-Bold');
+        doc.text('Amount Received:', 300, currentY);
+        doc.text(`Rs. ${Number(payment.amount || 0).toFixed(2)}`, 430, currentY);
+        currentY += 20;
+        doc.fontSize(9).font('Helvetica');
+        doc.text(`UPI Transaction ID (UTR): ${payment.transactionId}`, 50, currentY);
+        doc.text(`Paid on: ${new Date(payment.createdAt).toLocaleString()}`, 50, currentY + 14);
+
+        doc.fontSize(8).fillColor('#94a3b8').text(
+            'This is a computer-generated receipt and does not require a signature.',
+            50,
+            755,
+            { align: 'center' }
+        );
+    });
+
+    // Footer
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+        doc.switchToPage(i);
+        doc.fontSize(8).fillColor('#94a3b8').text(`Page ${i + 1} of ${range.count} | Verbafest Official Receipt`, 50, 775, { align: 'center' });
+    }
+
+    return doc;
+}
+
+module.exports = { generateAttendancePDF, generateNominatedPDF, generateReceiptPDF };
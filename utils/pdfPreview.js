@@ -0,0 +1,46 @@
+// mupdf is an ES module (WebAssembly), loaded on first use
+let mupdfModule = null;
+const loadMupdf = async () => {
+    if (!mupdfModule) mupdfModule = await import('mupdf');
+    return mupdfModule;
+};
+
+/**
+ * Whether a buffer holds a PDF
+ * @param {Buffer} buffer - File data
+ * @returns {Boolean}
+ */
+function isPdf(buffer) {
+    return Buffer.isBuffer(buffer) && buffer.subarray(0, 5).toString('latin1') === '%PDF-';
+}
+
+/**
+ * Render the first page of a PDF to a PNG
+ * @param {Buffer} buffer - PDF data
+ * @param {Number} width - Width of the image in pixels
+ * @returns {Object} - { image: PNG buffer, pageCount }
+ */
+async function renderFirstPage(buffer, width = 400) {
+    const mupdf = await loadMupdf();
+    const document = mupdf.Document.openDocument(buffer, 'application/pdf');
+    try {
+        const pageCount = document.countPages();
+        if (pageCount === 0) {
+            throw new Error('The PDF has no pages');
+        }
+
+        const page = document.loadPage(0);
+        const [x0, , x1] = page.getBounds();
+        const scale = width / (x1 - x0);
+        const pixmap = page.toPixmap(mupdf.Matrix.scale(scale, scale), mupdf.ColorSpace.DeviceRGB, false, true);
+
+        return { image: Buffer.from(pixmap.asPNG()), pageCount };
+    } finally {
+        document.destroy();
+    }
+}
+
+module.exports = {
+    isPdf,
+    renderFirstPage
+};
@@ -0,0 +1,236 @@
+const PaymentSettings = require('../models/PaymentSettings');
+const SystemSettings = require('../models/SystemSettings');
+const SubEvent = require('../models/SubEvent');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const ErrorResponse = require('./errorResponse');
+
+/**
+ * Pricing engine shared by registration submit and the public discount calculator
+ */
+
+/**
+ * Find the price tier in effect at a given time
+ * @param {Array} schedule - Tiers with name, price, startsAt, endsAt
+ * @param {Number} basePrice - Price when no tier covers the time
+ * @param {Date} at - Time to price at
+ * @returns {Object} - { name, price, endsAt, nextChangeAt, nextTier }
+ */
+function resolvePriceTier(schedule, basePrice, at = new Date()) {
+    const tiers = schedule || [];
+    const tierAt = (time) => tiers.find(tier =>
+        (!tier.startsAt || tier.startsAt <= time) && (!tier.endsAt || tier.endsAt > time)
+    );
+
+    const current = tierAt(at);
+
+    // The next moment the price can change: a tier starting or ending after now
+    const boundaries = [];
+    tiers.forEach(tier => {
+        if (tier.startsAt && tier.startsAt > at) boundaries.push(tier.startsAt.getTime());
+        if (tier.endsAt && tier.endsAt > at) boundaries.push(tier.endsAt.getTime());
+    });
+    const nextChangeAt = boundaries.length > 0 ? new Date(Math.min(...boundaries)) : null;
+    const next = nextChangeAt ? tierAt(nextChangeAt) : null;
+
+    return {
+        name: current ? current.name : 'Regular',
+        price: current ? current.price : basePrice,
+        endsAt: current?.endsAt || null,
+        nextChangeAt,
+        nextTier: nextChangeAt
+            ? { name: next ? next.name : 'Regular', price: next ? next.price : basePrice }
+            : null
+    };
+}
+
+/**
+ * Current combo (all events) price tier, or null if no settings exist yet
+ * @param {Date} at - Time to price at
+ * @returns {Object|null}
+ */
+async function getComboTier(at = new Date()) {
+    const settings = await SystemSettings.findOne({ key: 'core_settings' }).select('comboPrice comboPriceSchedule');
+    if (!settings) return null;
+    return resolvePriceTier(settings.comboPriceSchedule, settings.comboPrice, at);
+}
+
+/**
+ * Look up a coupon by code and check it against the selection
+ * @param {String} code - Coupon code as typed by the student
+ * @param {Object} context - { subEventIds, college, participantId }
+ * @returns {Object} - Coupon document
+ */
+async function findApplicableCoupon(code, { subEventIds = [], college, participantId = null } = {}) {
+    const coupon = await Coupon.findOne({ code: code.trim().toUpperCase() });
+    if (!coupon) {
+        throw new ErrorResponse('Invalid coupon code');
+    }
+
+    const reason = coupon.getIneligibilityReason({ subEventIds, college });
+    if (reason) {
+        throw new ErrorResponse(reason);
+    }
+
+    if (participantId && coupon.perParticipantLimit) {
+        const used = await CouponRedemption.countDocuments({
+            coupon: coupon._id,
+            participant: participantId,
+            status: 'applied'
+        });
+        if (used >= coupon.perParticipantLimit) {
+            throw new ErrorResponse('You have already used this coupon');
+        }
+    }
+
+    return coupon;
+}
+
+/**
+ * Price a selection of sub-events at the tiers in effect at `at`.
+ * Picking every event open for registration qualifies for the combo price,
+ * which replaces the bulk discount when it is cheaper.
+ * @param {Object} params - { subEvents, couponCode, college, participantId, at }
+ * @returns {Object} - { lines, subtotal, bulkDiscount, comboDiscount, couponDiscount, coupon, total }
+ */
+async function priceSelection({ subEvents, couponCode = null, college, participantId = null, at = new Date() }) {
+    const paymentSettings = await PaymentSettings.getActiveSettings();
+
+    const lines = subEvents.map(event => {
+        const tier = resolvePriceTier(event.priceSchedule, event.registrationPrice || 50, at);
+        return { subEvent: event._id, name: event.name, tier: tier.name, price: tier.price };
+    });
+
+    const subtotal = lines.reduce((total, line) => total + line.price, 0);
+    let bulkDiscount = paymentSettings.calculateDiscount(subtotal, subEvents.length);
+    let comboDiscount = 0;
+    let comboTier = null;
+
+    if (subEvents.length > 1) {
+        const openIds = await SubEvent.find({ isActiveForRegistration: true }).distinct('_id');
+        const selected = subEvents.map(se => se._id.toString());
+        const coversAll = openIds.length > 1 && openIds.every(id => selected.includes(id.toString()));
+
+        if (coversAll) {
+            comboTier = await getComboTier(at);
+            if (comboTier && comboTier.price < subtotal - bulkDiscount) {
+                comboDiscount = subtotal - comboTier.price;
+                bulkDiscount = 0;
+            }
+        }
+    }
+
+    const afterBulk = Math.max(0, subtotal - bulkDiscount - comboDiscount);
+
+    let coupon = null;
+    let couponDiscount = 0;
+
+    if (couponCode) {
+        coupon = await findApplicableCoupon(couponCode, {
+            subEventIds: subEvents.map(se => se._id),
+            college,
+            participantId
+        });
+
+        // Scoped coupons only discount the scoped events' share
+        const scoped = coupon.subEvents.map(id => id.toString());
+        const eligibleSubtotal = scoped.length > 0
+            ? lines
+                .filter(line => scoped.includes(line.subEvent.toString()))
+                .reduce((total, line) => total + line.price, 0)
+            : subtotal;
+
+        couponDiscount = coupon.calculateDiscount(Math.min(eligibleSubtotal, afterBulk));
+    }
+
+    return {
+        lines,
+        subtotal,
+        bulkDiscount,
+        comboDiscount,
+        comboTier: comboDiscount > 0 ? comboTier.name : null,
+        couponDiscount,
+        coupon,
+        total: Math.max(0, afterBulk - couponDiscount)
+    };
+}
+
+/**
+ * Count one use of a coupon. The limit check and increment are a single update,
+ * so concurrent registrations cannot exceed maxUses.
+ * @param {Object} coupon - Coupon document
+ */
+async function consumeCoupon(coupon) {
+    const updated = await Coupon.findOneAndUpdate(
+        {
+            _id: coupon._id,
+            $or: [
+                { maxUses: null },
+                { $expr: { $lt: ['$usedCount', '$maxUses'] } }
+            ]
+        },
+        { $inc: { usedCount: 1 } },
+        { new: true }
+    );
+
+    if (!updated) {
+        throw new ErrorResponse('This coupon has reached its usage limit');
+    }
+
+    return updated;
+}
+
+/**
+ * Give a coupon use back (registration failed before it was recorded)
+ * @param {Object} coupon - Coupon document
+ */
+async function releaseCoupon(coupon) {
+    await Coupon.updateOne({ _id: coupon._id, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+}
+
+/**
+ * Record a redemption against the participant for audit
+ * @param {Object} participant - Participant document
+ * @param {Array} subEvents - Sub-events paid for
+ * @param {Object} pricing - Result of priceSelection
+ */
+async function recordRedemption(participant, subEvents, pricing) {
+    return CouponRedemption.create({
+        coupon: pricing.coupon._id,
+        code: pricing.coupon.code,
+        participant: participant._id,
+        subEvents: subEvents.map(se => se._id),
+        subtotal: pricing.subtotal,
+        discountAmount: pricing.couponDiscount,
+        finalAmount: pricing.total
+    });
+}
+
+/**
+ * Reverse a participant's applied redemptions and give the uses back
+ * @param {String} participantId - Participant ID
+ */
+async function reverseRedemptions(participantId) {
+    const redemptions = await CouponRedemption.find({ participant: participantId, status: 'applied' });
+
+    for (const redemption of redemptions) {
+        const reversed = await CouponRedemption.findOneAndUpdate(
+            { _id: redemption._id, status: 'applied' },
+            { $set: { status: 'reversed' } }
+        );
+        if (reversed) {
+            await releaseCoupon({ _id: redemption.coupon });
+        }
+    }
+}
+
+module.exports = {
+    resolvePriceTier,
+    getComboTier,
+    findApplicableCoupon,
+    priceSelection,
+    consumeCoupon,
+    releaseCoupon,
+    recordRedemption,
+    reverseRedemptions
+};
@@ -0,0 +1,181 @@
+const ProfileChangeRequest = require('../models/ProfileChangeRequest');
+const Participant = require('../models/Participant');
+const SubEvent = require('../models/SubEvent');
+const { getHostColleges, getIneligibilityReason } = require('./eligibility');
+const ErrorResponse = require('./errorResponse');
+
+// Applied as soon as the participant saves them
+const SELF_SERVICE_FIELDS = ['branch', 'year'];
+// Printed on certificates and used to identify the student: admin approval needed
+const REVIEWED_FIELDS = ['fullName', 'prn', 'college'];
+
+const clean = (field, value) => {
+    if (field === 'year') return parseInt(value);
+    if (field === 'prn') return String(value).trim().toUpperCase();
+    return String(value).trim();
+};
+
+/**
+ * Apply self-service changes and queue the rest for review. A self-service
+ * change that would make the participant ineligible for one of their events
+ * is queued too.
+ * @param {Object} participant - Participant document
+ * @param {Object} proposed - { field: newValue }
+ * @param {String} reason - Why the change is needed (shown to the admin)
+ * @returns {Object} - { applied: [fields], request (ProfileChangeRequest or null) }
+ */
+async function proposeProfileChanges(participant, proposed = {}, reason = '') {
+    const unknown = Object.keys(proposed).filter(field => ![...SELF_SERVICE_FIELDS, ...REVIEWED_FIELDS].includes(field));
+    if (unknown.length > 0) {
+        throw new ErrorResponse(`These fields cannot be changed here: ${unknown.join(', ')}`);
+    }
+
+    const changes = [];
+    for (const [field, raw] of Object.entries(proposed)) {
+        if (raw === undefined || raw === null || String(raw).trim() === '') {
+            throw new ErrorResponse(`${field} cannot be empty`);
+        }
+        const to = clean(field, raw);
+        if (to !== participant[field]) {
+            changes.push({ field, from: participant[field] ?? null, to });
+        }
+    }
+    if (changes.length === 0) {
+        throw new ErrorResponse('Nothing to change');
+    }
+
+    if (changes.some(c => c.field === 'prn')) {
+        const taken = await Participant.exists({ prn: changes.find(c => c.field === 'prn').to, _id: { $ne: participant._id } });
+        if (taken) throw new ErrorResponse('Another participant is registered with this PRN');
+    }
+
+    // Check the self-service changes against the rules of events already held
+    const selfService = changes.filter(c => SELF_SERVICE_FIELDS.includes(c.field));
+    if (selfService.length > 0) {
+        const applicant = { year: participant.year, branch: participant.branch, college: participant.college };
+        selfService.forEach(c => { applicant[c.field] = c.to; });
+
+        const hostColleges = await getHostColleges();
+        const subEvents = await SubEvent.find({ _id: { $in: participant.registeredSubEvents } }).select('name eligibility');
+        const blocked = subEvents
+            .map(subEvent => ({ subEvent, reason: getIneligibilityReason(subEvent, applicant, { hostColleges }) }))
+            .filter(result => result.reason);
+
+        if (blocked.length > 0) {
+            const note = blocked.map(b => `${b.subEvent.name}: ${b.reason}`).join('; ');
+            selfService.forEach(c => { c.note = `Would affect eligibility (${note})`; });
+        }
+    }
+
+    const applied = [];
+    selfService.filter(c => !c.note).forEach(c => {
+        participant[c.field] = c.to;
+        applied.push(c.field);
+    });
+    if (applied.length > 0) {
+        await participant.save();
+    }
+
+    const queued = changes.filter(c => !applied.includes(c.field));
+    if (queued.length === 0) {
+        return { applied, request: null };
+    }
+
+    // Fold into the open request, newer values winning
+    let request = await ProfileChangeRequest.findOne({ participant: participant._id, status: 'pending' });
+    if (request) {
+        request.changes = [
+            ...request.changes.filter(c => !queued.some(q => q.field === c.field)),
+            ...queued
+        ];
+        if (reason) request.reason = reason;
+        await request.save();
+    } else {
+        request = await ProfileChangeRequest.create({ participant: participant._id, changes: queued, reason });
+    }
+
+    return { applied, request };
+}
+
+/**
+ * Changes alongside the participant's current values, for the review screen
+ * @param {Object} request - ProfileChangeRequest with participant populated
+ * @returns {Array} - [{ field, from, to, current, changedSince, note }]
+ */
+function describeChanges(request) {
+    return request.changes.map(change => {
+        const current = request.participant ? request.participant[change.field] ?? null : null;
+        return {
+            field: change.field,
+            from: change.from,
+            to: change.to,
+            current,
+            changedSince: current !== change.from,
+            note: change.note
+        };
+    });
+}
+
+/**
+ * Apply a pending request to the participant
+ * @param {Object} request - ProfileChangeRequest document
+ * @param {String} reviewerId - Admin user ID
+ * @param {String} notes - Shown to the participant
+ * @returns {Object} - { request, participant }
+ */
+async function approveProfileChange(request, reviewerId, notes = '') {
+    if (request.status !== 'pending') {
+        throw new ErrorResponse(`Change request is already ${request.status}`);
+    }
+
+    const participant = await Participant.findById(request.participant._id || request.participant);
+    if (!participant) {
+        throw new ErrorResponse('Participant not found', 404);
+    }
+
+    const prnChange = request.changes.find(c => c.field === 'prn');
+    if (prnChange && await Participant.exists({ prn: prnChange.to, _id: { $ne: participant._id } })) {
+        throw new ErrorResponse('Another participant is registered with this PRN');
+    }
+
+    request.changes.forEach(change => { participant[change.field] = change.to; });
+    await participant.save();
+
+    request.status = 'approved';
+    request.reviewedBy = reviewerId;
+    request.reviewedAt = new Date();
+    request.reviewNotes = notes;
+    await request.save();
+
+    return { request, participant };
+}
+
+/**
+ * Reject a pending request; the profile stays as it is
+ * @param {Object} request - ProfileChangeRequest document
+ * @param {String} reviewerId - Admin user ID
+ * @param {String} notes - Shown to the participant
+ * @returns {Object} - ProfileChangeRequest document
+ */
+async function rejectProfileChange(request, reviewerId, notes = '') {
+    if (request.status !== 'pending') {
+        throw new ErrorResponse(`Change request is already ${request.status}`);
+    }
+
+    request.status = 'rejected';
+    request.reviewedBy = reviewerId;
+    request.reviewedAt = new Date();
+    request.reviewNotes = notes;
+    await request.save();
+
+    return request;
+}
+
+module.exports = {
+    SELF_SERVICE_FIELDS,
+    REVIEWED_FIELDS,
+    proposeProfileChanges,
+    describeChanges,
+    approveProfileChange,
+    rejectProfileChange
+};
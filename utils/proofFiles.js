@@ -0,0 +1,110 @@
+const ProofFile = require('../models/ProofFile');
+const { saveFile, readStoredFile } = require('./storage');
+const { renderFirstPage } = require('./pdfPreview');
+const { fingerprintProof } = require('./fraudChecks');
+const ErrorResponse = require('./errorResponse');
+
+// Files a single payment may carry (e.g. a PDF statement plus screenshots)
+const MAX_PROOF_FILES = 5;
+
+const THUMBNAIL_WIDTH = 400;
+
+const guessKind = (url) => (/\.pdf($|\?)/i.test(url) ? 'pdf' : 'image');
+
+/**
+ * Record an uploaded proof. PDFs get their first page rendered as a
+ * thumbnail; a PDF that cannot be rendered is kept without one.
+ * @param {Object} file - Multer file (path is the stored URL)
+ * @returns {Object} - ProofFile document
+ */
+async function registerProofUpload(file) {
+    const details = {
+        url: file.path,
+        kind: file.mimetype === 'application/pdf' ? 'pdf' : 'image',
+        originalName: file.originalname,
+        size: file.size || null
+    };
+
+    if (details.kind === 'pdf') {
+        try {
+            const { image, pageCount } = await renderFirstPage(await readStoredFile(file.path), THUMBNAIL_WIDTH);
+            details.thumbnailUrl = await saveFile('proofThumbnails', image, 'png');
+            details.pageCount = pageCount;
+            // Reused statements are caught by their first page
+            fingerprintProof(file.path, image);
+        } catch (error) {
+            console.error(`Could not render PDF proof ${file.path}:`, error.message);
+        }
+    } else {
+        // Hash in the background for reused-screenshot checks; never delays the upload
+        fingerprintProof(file.path);
+    }
+
+    return ProofFile.findOneAndUpdate(
+        { url: details.url },
+        { $setOnInsert: details },
+        { new: true, upsert: true }
+    );
+}
+
+/**
+ * Proof attachments for a submission. Accepts the list of uploaded URLs
+ * (paymentProofUrls) or, from older clients, a single paymentProofUrl.
+ * @param {Object} body - { paymentProofUrl, paymentProofUrls }
+ * @returns {Array} - [{ url, kind, thumbnailUrl, pageCount, originalName }] (empty when none given)
+ */
+async function resolveProofAttachments({ paymentProofUrl, paymentProofUrls } = {}) {
+    const urls = [...new Set(
+        (Array.isArray(paymentProofUrls) && paymentProofUrls.length > 0 ? paymentProofUrls : [paymentProofUrl])
+            .filter(url => typeof url === 'string' && url.trim())
+            .map(url => url.trim())
+    )];
+
+    if (urls.length > MAX_PROOF_FILES) {
+        throw new ErrorResponse(`Please attach at most ${MAX_PROOF_FILES} proof files`);
+    }
+
+    const known = await ProofFile.find({ url: { $in: urls } });
+    const byUrl = new Map(known.map(file => [file.url, file]));
+
+    return urls.map(url => {
+        const file = byUrl.get(url);
+        const kind = file ? file.kind : guessKind(url);
+        return {
+            url,
+            kind,
+            thumbnailUrl: file?.thumbnailUrl || (kind === 'image' ? url : null),
+            pageCount: file?.pageCount ?? null,
+            originalName: file?.originalName || ''
+        };
+    });
+}
+
+/**
+ * Every proof file of a payment, for the proof viewer. Payments recorded
+ * before attachments existed only have proofUrl.
+ * @param {Object} payment - Payment document or plain object
+ * @returns {Array} - [{ url, kind, thumbnailUrl, pageCount, originalName }]
+ */
+function listProofAttachments(payment) {
+    if (payment.attachments?.length > 0) {
+        return payment.attachments.map(a => (a.toObject ? a.toObject() : a));
+    }
+    if (!payment.proofUrl) return [];
+
+    const kind = guessKind(payment.proofUrl);
+    return [{
+        url: payment.proofUrl,
+        kind,
+        thumbnailUrl: kind === 'image' ? payment.proofUrl : null,
+        pageCount: null,
+        originalName: ''
+    }];
+}
+
+module.exports = {
+    MAX_PROOF_FILES,
+    registerProofUpload,
+    resolveProofAttachments,
+    listProofAttachments
+};
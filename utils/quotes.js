@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const QuoteClaim = require('../models/QuoteClaim');
+const { priceSelection } = require('./pricing');
+const { currentEdition } = require('./editionContext');
+const { buildPaymentReference, buildUpiPayment } = require('./upi');
+const ErrorResponse = require('./errorResponse');
+
+const QUOTE_PURPOSE = 'price-quote';
+// Long enough to make the UPI payment; the quoted price holds until then even
+// if a price tier ends meanwhile
+const QUOTE_TTL_MINUTES = 20;
+
+const sortedIds = (ids) => ids.map(id => id.toString()).sort();
+const normalizeCouponCode = (code) => (code && String(code).trim() ? String(code).trim().toUpperCase() : null);
+
+/**
+ * The stored form of a priceSelection result
+ * @param {Object} pricing - Result of priceSelection
+ * @returns {Object} - { lines, subtotal, bulkDiscount, comboDiscount, comboTier, couponCode, couponDiscount, total }
+ */
+function toBreakdown(pricing) {
+    return {
+        lines: pricing.lines.map(line => ({
+            subEvent: line.subEvent.toString(),
+            name: line.name,
+            tier: line.tier,
+            price: line.price
+        })),
+        subtotal: pricing.subtotal,
+        bulkDiscount: pricing.bulkDiscount,
+        comboDiscount: pricing.comboDiscount,
+        comboTier: pricing.comboTier,
+        couponCode: pricing.coupon?.code || null,
+        couponDiscount: pricing.couponDiscount,
+        total: pricing.total
+    };
+}
+
+/**
+ * Price a selection and sign the result. The token is what submit, add-events
+ * and resubmit-payment accept as the amount to pay; the UPI QR asks for exactly
+ * that amount with a reference that reconciliation can find in the bank statement.
+ * @param {Object} params
+ * @param {Array} params.subEvents - SubEvent documents
+ * @param {String} params.couponCode - Optional coupon
+ * @param {String} params.college - Applicant's college (coupon rules)
+ * @param {Object} params.participant - Participant adding events (null for a new registration)
+ * @param {String} params.kind - 'registration' | 'add_events' | 'resubmission'
+ * @returns {Object} - { quoteToken, quoteId, expiresAt, breakdown, registrationId, paymentReference, upi }
+ */
+async function createQuote({ subEvents, couponCode = null, college, participant = null, kind = 'registration' }) {
+    const pricing = await priceSelection({
+        subEvents,
+        couponCode: normalizeCouponCode(couponCode),
+        college,
+        participantId: participant?._id || null
+    });
+    const breakdown = toBreakdown(pricing);
+
+    const quoteId = crypto.randomUUID();
+    // A new registration gets its participant ID now, so the UPI reference can carry it
+    const registrationId = participant ? null : new mongoose.Types.ObjectId().toString();
+    const paymentReference = buildPaymentReference({
+        chestNumber: participant?.chestNumber,
+        registrationId: registrationId || participant._id,
+        seed: quoteId
+    });
+    const quoteToken = jwt.sign(
+        {
+            purpose: QUOTE_PURPOSE,
+            quoteId,
+            kind,
+            edition: currentEdition()?._id?.toString() || null,
+            participant: participant ? participant._id.toString() : null,
+            subEvents: sortedIds(subEvents.map(se => se._id)),
+            // Coupon rules can depend on the college
+            college: breakdown.couponCode ? (college || null) : null,
+            registrationId,
+            paymentReference,
+            breakdown
+        },
+        process.env.JWT_SECRET,
+        { expiresIn: `${QUOTE_TTL_MINUTES}m` }
+    );
+
+    return {
+        quoteToken,
+        quoteId,
+        expiresAt: new Date(Date.now() + QUOTE_TTL_MINUTES * 60 * 1000),
+        breakdown,
+        registrationId,
+        paymentReference,
+        // Nothing to pay when a coupon covers everything
+        upi: breakdown.total > 0 ? await buildUpiPayment({ total: breakdown.total, paymentReference }) : null
+    };
+}
+
+/**
+ * Check a quote against what is being submitted
+ * @param {String} token - quoteToken from createQuote
+ * @param {Object} expected - { kind, subEventIds, couponCode, college, participantId }
+ * @returns {Object} - The quoted breakdown plus quoteId, kind, quotedAt, expiresAt,
+ *   registrationId and paymentReference
+ */
+function verifyQuote(token, { kind, subEventIds, couponCode = null, college = null, participantId = null }) {
+    if (!token) {
+        throw new ErrorResponse('Please get a price quote before submitting');
+    }
+
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+        throw new ErrorResponse(error.name === 'TokenExpiredError'
+            ? 'Your price quote has expired. Please review the price and submit again'
+            : 'Invalid price quote');
+    }
+
+    const matches = decoded.purpose === QUOTE_PURPOSE &&
+        decoded.kind === kind &&
+        decoded.edition === (currentEdition()?._id?.toString() || null) &&
+        decoded.participant === (participantId ? participantId.toString() : null) &&
+        sortedIds(subEventIds).join(',') === decoded.subEvents.join(',') &&
+        normalizeCouponCode(couponCode) === decoded.breakdown.couponCode &&
+        (!decoded.college || decoded.college === college);
+
+    if (!matches) {
+        throw new ErrorResponse('The price quote does not match the selected events. Please review the price and submit again');
+    }
+
+    return {
+        ...decoded.breakdown,
+        quoteId: decoded.quoteId,
+        kind: decoded.kind,
+        quotedAt: new Date(decoded.iat * 1000),
+        expiresAt: new Date(decoded.exp * 1000),
+        registrationId: decoded.registrationId || null,
+        paymentReference: decoded.paymentReference || null
+    };
+}
+
+/**
+ * Check the amount the student says they paid against the quote
+ * @param {Object} quote - Result of verifyQuote
+ * @param {*} paidAmount - Amount from the request (may be omitted)
+ * @returns {Number} - Amount to record
+ */
+function assertQuotedAmount(quote, paidAmount) {
+    if (paidAmount === undefined || paidAmount === null || paidAmount === '') {
+        return quote.total;
+    }
+
+    const amount = parseFloat(paidAmount);
+    if (amount !== quote.total) {
+        throw new ErrorResponse(`The amount paid (₹${paidAmount}) does not match the quoted price of ₹${quote.total}`);
+    }
+    return amount;
+}
+
+/**
+ * Take a verified quote for this request, before anything is written. A quote
+ * pays for one submission, so a second request with the same quote is refused.
+ * @param {Object} quote - Result of verifyQuote
+ */
+async function claimQuote(quote) {
+    try {
+        await QuoteClaim.create({ quoteId: quote.quoteId, kind: quote.kind, expiresAt: quote.expiresAt });
+    } catch (error) {
+        if (error.code === 11000) {
+            throw new ErrorResponse('This price quote has already been used. Please review the price and submit again');
+        }
+        throw error;
+    }
+}
+
+/**
+ * Give a quote back when the request that claimed it fails, so it can be retried
+ * @param {Object} quote - Result of verifyQuote
+ */
+async function releaseQuote(quote) {
+    await QuoteClaim.deleteOne({ quoteId: quote.quoteId });
+}
+
+module.exports = {
+    QUOTE_TTL_MINUTES,
+    createQuote,
+    verifyQuote,
+    assertQuotedAmount,
+    claimQuote,
+    releaseQuote
+};
@@ -0,0 +1,229 @@
+const RateLimitCounter = require('../models/RateLimitCounter');
+const SystemSettings = require('../models/SystemSettings');
+
+const MINUTE = 60 * 1000;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Throttling settings, falling back to the schema defaults before settings are first saved
+ * @returns {Object} - abuseProtection settings
+ */
+async function getAbuseSettings() {
+    const settings = await SystemSettings.findOne({ key: 'core_settings' }).select('abuseProtection');
+    const defaults = new SystemSettings().abuseProtection;
+    const saved = settings?.abuseProtection;
+
+    return {
+        enabled: saved ? saved.enabled !== false : defaults.enabled,
+        // Scopes the admin has not configured keep their default limits
+        limits: new Map([...defaults.limits, ...(saved?.limits || [])]),
+        lockout: saved?.lockout || defaults.lockout,
+        allowlist: saved?.allowlist || defaults.allowlist
+    };
+}
+
+/**
+ * Client address as seen by Express (set TRUST_PROXY behind a load balancer)
+ * @param {Object} req - Express request
+ * @returns {String}
+ */
+function clientIp(req) {
+    return (req.ip || req.socket?.remoteAddress || 'unknown').replace(/^::ffff:/, '');
+}
+
+const counterKey = (scope, purpose, kind, value) => `${scope}:${purpose}:${kind}:${value}`;
+
+// Counters for a person are kept per client as well: a campus shares one NAT
+// address, and someone elsewhere must not use up (or lock) another's allowance
+const identityAt = (identity, ip) => (identity ? `${identity}|${ip}` : null);
+
+/**
+ * The counters a request is checked against: the identity at this client, and
+ * the client as a whole (a looser ceiling, since many people may share it)
+ * @param {String} ip - Client IP
+ * @param {String|null} identity - Email, mobile or access code, if known
+ * @param {Object} max - { ip, identity } limits
+ * @returns {Array} - [{ kind, value, max }]
+ */
+function countersFor(ip, identity, max) {
+    return [
+        { kind: 'identity', value: identityAt(identity, ip), max: max.identity },
+        { kind: 'ip', value: ip, max: max.ip }
+    ].filter(check => check.value && check.max > 0);
+}
+
+/**
+ * Count one event against a counter, starting a new window when the last has ended
+ * @param {Object} options - { scope, purpose, kind, value, windowMinutes, ip }
+ * @returns {Object} - RateLimitCounter document
+ */
+async function hit({ scope, purpose, kind, value, windowMinutes, ip }) {
+    const key = counterKey(scope, purpose, kind, value);
+    const now = new Date();
+
+    const counter = await RateLimitCounter.findOneAndUpdate(
+        { key, windowEndsAt: { $gt: now } },
+        { $inc: { count: 1 }, $set: { lastIp: ip } },
+        { new: true }
+    );
+    if (counter) return counter;
+
+    // A block outlives the window it was earned in, so it is left in place
+    const windowEndsAt = new Date(now.getTime() + windowMinutes * MINUTE);
+    const existing = await RateLimitCounter.findOne({ key }).select('blockedUntil');
+    const blockedUntil = existing?.blockedUntil > now ? existing.blockedUntil : null;
+
+    return RateLimitCounter.findOneAndUpdate(
+        { key },
+        {
+            $set: {
+                scope,
+                purpose,
+                kind,
+                value,
+                count: 1,
+                windowEndsAt,
+                blockedUntil,
+                lastIp: ip,
+                expiresAt: blockedUntil > windowEndsAt ? blockedUntil : windowEndsAt
+            }
+        },
+        { new: true, upsert: true }
+    );
+}
+
+/**
+ * Mark a counter as blocked until the given time
+ * @param {Object} counter - RateLimitCounter document
+ * @param {Date} until - End of the block
+ */
+async function block(counter, until) {
+    counter.blockedUntil = until;
+    if (until > counter.expiresAt) counter.expiresAt = until;
+    await counter.save();
+}
+
+/**
+ * Count a request against the limits for a scope
+ * @param {String} scope - Limit name, e.g. 'registration'
+ * @param {String} ip - Client IP
+ * @param {String|null} identity - Email, mobile or access code, if known
+ * @returns {Object|null} - { retryAfter (seconds), message } when over the limit
+ */
+async function consumeRequest(scope, ip, identity) {
+    const settings = await getAbuseSettings();
+    if (!settings.enabled || settings.allowlist.includes(ip)) return null;
+
+    const limit = settings.limits.get(scope);
+    if (!limit) return null;
+
+    const checks = countersFor(ip, identity, { ip: limit.maxPerIp, identity: limit.maxPerIdentity });
+
+    for (const check of checks) {
+        const counter = await hit({
+            scope,
+            purpose: 'requests',
+            kind: check.kind,
+            value: check.value,
+            windowMinutes: limit.windowMinutes,
+            ip
+        });
+
+        if (counter.count > check.max) {
+            if (!counter.blockedUntil || counter.blockedUntil < counter.windowEndsAt) {
+                await block(counter, counter.windowEndsAt);
+            }
+            return {
+                retryAfter: Math.ceil((counter.blockedUntil - Date.now()) / 1000),
+                message: 'Too many requests. Please try again later.'
+            };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Find an active login lockout for a client, or for an identity at that client
+ * @param {String} scope - e.g. 'login', 'judge-login'
+ * @param {String} ip - Client IP
+ * @param {String|null} identity - Email being logged into
+ * @returns {Object|null} - { retryAfter (seconds), message } when locked out
+ */
+async function findLockout(scope, ip, identity) {
+    const settings = await getAbuseSettings();
+    if (!settings.enabled || settings.allowlist.includes(ip)) return null;
+
+    const keys = [counterKey(scope, 'failures', 'ip', ip)];
+    if (identity) keys.push(counterKey(scope, 'failures', 'identity', identityAt(identity, ip)));
+
+    const locked = await RateLimitCounter.findOne({
+        key: { $in: keys },
+        blockedUntil: { $gt: new Date() }
+    }).sort({ blockedUntil: -1 });
+    if (!locked) return null;
+
+    const retryAfter = Math.ceil((locked.blockedUntil - Date.now()) / 1000);
+    return {
+        retryAfter,
+        message: `Too many failed login attempts. Please try again in ${Math.ceil(retryAfter / 60)} minute(s).`
+    };
+}
+
+/**
+ * Record a failed login; locks the identity out at this client, or the whole
+ * client, after too many
+ * @param {String} scope - e.g. 'login', 'judge-login'
+ * @param {String} ip - Client IP
+ * @param {String|null} identity - Email being logged into
+ */
+async function recordLoginFailure(scope, ip, identity) {
+    const settings = await getAbuseSettings();
+    if (!settings.enabled || settings.allowlist.includes(ip)) return;
+
+    const { lockout } = settings;
+    const checks = countersFor(ip, identity, { ip: lockout.maxFailuresPerIp, identity: lockout.maxFailuresPerIdentity });
+
+    for (const check of checks) {
+        const counter = await hit({
+            scope,
+            purpose: 'failures',
+            kind: check.kind,
+            value: check.value,
+            windowMinutes: lockout.windowMinutes,
+            ip
+        });
+
+        if (counter.count >= check.max) {
+            await block(counter, new Date(Date.now() + lockout.lockMinutes * MINUTE));
+        }
+    }
+}
+
+/**
+ * Forget an identity's failed logins after it logs in (at that client) or
+ * resets its password (everywhere)
+ * @param {String} scope - e.g. 'login'
+ * @param {String|null} identity - Email that logged in
+ * @param {String|null} ip - Client IP; every client when omitted
+ */
+async function clearLoginFailures(scope, identity, ip = null) {
+    if (!identity) return;
+    if (ip) {
+        await RateLimitCounter.deleteOne({ key: counterKey(scope, 'failures', 'identity', identityAt(identity, ip)) });
+        return;
+    }
+    await RateLimitCounter.deleteMany({
+        key: { $regex: `^${escapeRegex(counterKey(scope, 'failures', 'identity', identity))}\\|` }
+    });
+}
+
+module.exports = {
+    getAbuseSettings,
+    clientIp,
+    consumeRequest,
+    findLockout,
+    recordLoginFailure,
+    clearLoginFailures
+};
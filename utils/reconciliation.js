@@ -0,0 +1,293 @@
+const Payment = require('../models/Payment');
+const Participant = require('../models/Participant');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const { parseCSVRecords, normalizeHeader, findColumn } = require('./csvImport');
+const { approvePayment, approveParticipant } = require('./payments');
+const { normalizeReference } = require('./upi');
+const ErrorResponse = require('./errorResponse');
+
+// Column names seen in common bank and UPI app exports
+const UTR_COLUMNS = ['utr', 'utr no', 'utr number', 'rrn', 'upi ref no', 'upi reference', 'reference no', 'ref no', 'transaction id', 'txn id', 'cheque ref no'];
+const AMOUNT_COLUMNS = ['credit', 'credit amount', 'deposit', 'deposit amount', 'cr amount', 'amount'];
+const DATE_COLUMNS = ['date', 'txn date', 'transaction date', 'value date'];
+const NARRATION_COLUMNS = ['narration', 'description', 'particulars', 'remarks', 'details'];
+
+// Paise-level tolerance for amount comparisons
+const EPSILON = 0.01;
+
+/**
+ * Normalise a UTR for comparison (case, spaces, punctuation)
+ * @param {String} value - UTR as typed or exported
+ * @returns {String}
+ */
+function normalizeUtr(value) {
+    return String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Parse a statement amount ("1,250.00", "₹150 Cr", "50.00 DR")
+ * @param {String} value - Amount cell
+ * @returns {Number|null} - Negative for debits, null if unreadable
+ */
+function parseAmount(value) {
+    const text = String(value || '').toUpperCase();
+    const amount = parseFloat(text.replace(/[^0-9.-]/g, ''));
+    if (Number.isNaN(amount)) return null;
+    return /DR\b/.test(text) ? -Math.abs(amount) : amount;
+}
+
+/**
+ * Read statement rows from CSV text
+ * @param {String} text - CSV content
+ * @param {Object} overrides - { utrColumn, amountColumn, dateColumn, narrationColumn }
+ * @returns {Object} - { columns, rows }
+ */
+function readStatement(text, overrides = {}) {
+    const { headers, records } = parseCSVRecords(text);
+
+    const pick = (override, candidates) => (override ? normalizeHeader(override) : findColumn(headers, candidates));
+    const columns = {
+        utr: pick(overrides.utrColumn, UTR_COLUMNS),
+        amount: pick(overrides.amountColumn, AMOUNT_COLUMNS),
+        date: pick(overrides.dateColumn, DATE_COLUMNS),
+        narration: pick(overrides.narrationColumn, NARRATION_COLUMNS)
+    };
+
+    if (!columns.amount || !headers.includes(columns.amount)) {
+        throw new ErrorResponse('Could not find an amount column in the statement');
+    }
+    if (!columns.utr && !columns.narration) {
+        throw new ErrorResponse('Could not find a UTR or narration column in the statement');
+    }
+
+    const rows = records.map(record => {
+        const narration = columns.narration ? record[columns.narration] : '';
+        let utr = columns.utr ? normalizeUtr(record[columns.utr]) : '';
+
+        // UPI narrations carry the 12-digit RRN, e.g. "UPI/412345678901/..."
+        if (!utr && narration) {
+            const found = narration.match(/\b\d{12}\b/);
+            if (found) utr = found[0];
+        }
+
+        return {
+            rowNumber: record.rowNumber,
+            utr,
+            amount: parseAmount(record[columns.amount]),
+            date: columns.date ? record[columns.date] : '',
+            narration
+        };
+    });
+
+    return { columns, rows };
+}
+
+/**
+ * Load every claim a statement row could match: pending and approved payments,
+ * plus pending participants registered before the payment ledger existed
+ * @returns {Array} - { payment, participant, utr, reference, transactionId, amount, expectedAmount, status }
+ */
+async function loadClaims() {
+    const payments = await Payment.find({ status: { $in: ['pending', 'approved'] } })
+        .select('participant transactionId paymentReference amount expectedAmount status');
+
+    const claims = payments.map(payment => ({
+        payment: payment._id,
+        participant: payment.participant,
+        utr: normalizeUtr(payment.transactionId),
+        reference: normalizeReference(payment.paymentReference),
+        transactionId: payment.transactionId,
+        amount: payment.amount,
+        expectedAmount: payment.expectedAmount,
+        status: payment.status
+    }));
+
+    const withPayments = await Payment.distinct('participant');
+    const legacy = await Participant.find({
+        _id: { $nin: withPayments },
+        registrationStatus: 'pending',
+        transactionId: { $nin: [null, ''] }
+    }).select('transactionId paidAmount');
+
+    legacy.forEach(participant => claims.push({
+        payment: null,
+        participant: participant._id,
+        utr: normalizeUtr(participant.transactionId),
+        reference: '',
+        transactionId: participant.transactionId,
+        amount: participant.paidAmount || 0,
+        expectedAmount: null,
+        status: 'pending'
+    }));
+
+    return claims;
+}
+
+/**
+ * Classify one statement row against the claims with the same UTR
+ * @param {Object} row - Statement row
+ * @param {Array} claims - Claims sharing the row's UTR
+ * @returns {Object} - { status, note, claim }
+ */
+function classifyRow(row, claims) {
+    if (claims.length === 0) {
+        return { status: 'unclaimed', note: 'No submission uses this UTR' };
+    }
+    if (claims.length > 1) {
+        return { status: 'duplicate', note: `UTR claimed by ${claims.length} submissions` };
+    }
+
+    const [claim] = claims;
+    if (claim.status === 'approved') {
+        return { status: 'already_approved', note: 'Payment was already approved', claim };
+    }
+
+    const required = Math.max(claim.amount, claim.expectedAmount || 0);
+    if (row.amount < required - EPSILON) {
+        return { status: 'underpaid', note: `Received ₹${row.amount}, expected ₹${required}`, claim };
+    }
+    if (Math.abs(row.amount - claim.amount) > EPSILON) {
+        return { status: 'amount_mismatch', note: `Received ₹${row.amount}, student entered ₹${claim.amount}`, claim };
+    }
+
+    return { status: 'matched', note: '', claim };
+}
+
+/**
+ * Match a statement against submitted payments and store the report
+ * @param {String} text - CSV content
+ * @param {Object} options - { fileName, uploadedBy, columns }
+ * @returns {Object} - ReconciliationReport document
+ */
+async function reconcileStatement(text, { fileName = '', uploadedBy = null, columns: overrides = {} } = {}) {
+    const { columns, rows } = readStatement(text, overrides);
+    const claims = await loadClaims();
+
+    const claimsByUtr = new Map();
+    claims.forEach(claim => {
+        if (!claim.utr) return;
+        if (!claimsByUtr.has(claim.utr)) claimsByUtr.set(claim.utr, []);
+        claimsByUtr.get(claim.utr).push(claim);
+    });
+
+    // Payments made from our UPI QR carry their reference in the narration,
+    // which still finds them when the student typed the UTR wrong
+    const referenceClaims = claims.filter(claim => claim.reference);
+    const findByReference = (narration) => {
+        const text = normalizeReference(narration);
+        return text ? referenceClaims.filter(claim => text.includes(claim.reference)) : [];
+    };
+
+    const seen = new Set();
+    const matchedByReference = new Set();
+    const reportRows = rows.map(row => {
+        let result;
+        const utrClaims = row.utr ? claimsByUtr.get(row.utr) || [] : [];
+        const refClaims = utrClaims.length === 0 ? findByReference(row.narration) : [];
+
+        if ((!row.utr && refClaims.length === 0) || row.amount === null || row.amount <= 0) {
+            result = { status: 'skipped', note: 'No UTR, payment reference or credit amount' };
+        } else if (row.utr && seen.has(row.utr)) {
+            result = { status: 'duplicate', note: 'UTR appears more than once in the statement' };
+        } else if (refClaims.length > 0 && refClaims.some(claim => matchedByReference.has(claim))) {
+            result = { status: 'duplicate', note: 'Payment reference appears more than once in the statement' };
+        } else if (refClaims.length > 0) {
+            if (row.utr) seen.add(row.utr);
+            refClaims.forEach(claim => matchedByReference.add(claim));
+            result = classifyRow(row, refClaims);
+            if (result.claim && result.claim.utr !== row.utr) {
+                const entered = result.claim.transactionId || 'none';
+                result.note = [result.note, `Matched by payment reference; UTR entered was ${entered}`].filter(Boolean).join('. ');
+            }
+        } else {
+            seen.add(row.utr);
+            result = classifyRow(row, utrClaims);
+        }
+
+        return {
+            ...row,
+            status: result.status,
+            note: result.note,
+            payment: result.claim?.payment || null,
+            participant: result.claim?.participant || null
+        };
+    });
+
+    const missing = claims.filter(claim =>
+        claim.status === 'pending' && !seen.has(claim.utr) && !matchedByReference.has(claim)
+    );
+
+    const count = (status) => reportRows.filter(row => row.status === status).length;
+
+    return ReconciliationReport.create({
+        fileName,
+        uploadedBy,
+        columns,
+        summary: {
+            totalRows: reportRows.length,
+            matched: count('matched'),
+            underpaid: count('underpaid'),
+            amountMismatch: count('amount_mismatch'),
+            duplicate: count('duplicate'),
+            unclaimed: count('unclaimed'),
+            alreadyApproved: count('already_approved'),
+            skipped: count('skipped'),
+            missingFromStatement: missing.length
+        },
+        rows: reportRows,
+        missingFromStatement: missing.map(claim => ({
+            payment: claim.payment,
+            participant: claim.participant,
+            transactionId: claim.transactionId,
+            amount: claim.amount
+        }))
+    });
+}
+
+/**
+ * Approve every exact match in a report that is still pending, using the
+ * same approval path as the admin approve buttons
+ * @param {Object} report - ReconciliationReport document
+ * @param {String} reviewerId - Admin user ID
+ * @returns {Object} - { approved: [{ rowNumber, participant }], failed: [{ rowNumber, message }] }
+ */
+async function approveMatches(report, reviewerId) {
+    const approved = [];
+    const failed = [];
+
+    for (const row of report.rows) {
+        if (row.status !== 'matched' || row.approvedAt) continue;
+
+        try {
+            let participant;
+            if (row.payment) {
+                const payment = await Payment.findById(row.payment);
+                if (!payment || payment.status !== 'pending') {
+                    throw new ErrorResponse('Payment is no longer pending');
+                }
+                participant = await approvePayment(payment, reviewerId);
+            } else {
+                participant = await Participant.findById(row.participant);
+                if (!participant || participant.registrationStatus !== 'pending') {
+                    throw new ErrorResponse('Participant is no longer pending');
+                }
+                participant = await approveParticipant(participant, reviewerId);
+            }
+
+            row.approvedAt = new Date();
+            approved.push({ rowNumber: row.rowNumber, participant });
+        } catch (error) {
+            failed.push({ rowNumber: row.rowNumber, message: error.message });
+        }
+    }
+
+    await report.save();
+    return { approved, failed };
+}
+
+module.exports = {
+    normalizeUtr,
+    readStatement,
+    reconcileStatement,
+    approveMatches
+};
@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const SystemSettings = require('../models/SystemSettings');
+const Participant = require('../models/Participant');
+const RegistrationOverride = require('../models/RegistrationOverride');
+const ErrorResponse = require('./errorResponse');
+
+// Registrations that take one of the maxGlobalParticipants places
+const COUNTED_STATUSES = ['pending', 'approved'];
+
+// No 0/O or 1/I, so codes can be read out at the help desk
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const normalizeCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+const hashCode = (code) => crypto.createHash('sha256').update(normalizeCode(code)).digest('hex');
+
+const secondsUntil = (date, now) => (date ? Math.max(0, Math.ceil((date - now) / 1000)) : null);
+
+const MESSAGES = {
+    closed: 'Registrations are closed.',
+    paused: 'Registrations are currently closed as per admin instructions.',
+    scheduled: 'Registrations have not opened yet.',
+    ended: 'The registration deadline has passed.',
+    full: 'Registrations are full.'
+};
+
+/**
+ * Work out whether registration is open right now. Checked in order: the
+ * isRegistrationOpen switch, pauseRegistrations, the opening time, the
+ * deadline and the global cap.
+ * @param {Object} settings - SystemSettings document (looked up when omitted)
+ * @returns {Object} - { state, isOpen, message, opensAt, closesAt, maxParticipants, registeredCount, spotsLeft, now }
+ */
+async function getRegistrationWindow(settings) {
+    if (!settings) {
+        settings = await SystemSettings.findOne({ key: 'core_settings' }) || new SystemSettings();
+    }
+
+    const now = new Date();
+    const opensAt = settings.registrationOpensAt || null;
+    const closesAt = settings.registrationDeadline || null;
+    const maxParticipants = settings.maxGlobalParticipants || null;
+
+    const registeredCount = maxParticipants
+        ? await Participant.countDocuments({ registrationStatus: { $in: COUNTED_STATUSES } })
+        : null;
+    const spotsLeft = maxParticipants ? Math.max(0, maxParticipants - registeredCount) : null;
+
+    let state = 'open';
+    if (settings.isRegistrationOpen === false) state = 'closed';
+    else if (settings.pauseRegistrations) state = 'paused';
+    else if (opensAt && now < opensAt) state = 'scheduled';
+    else if (closesAt && now > closesAt) state = 'ended';
+    else if (maxParticipants && spotsLeft === 0) state = 'full';
+
+    return {
+        state,
+        isOpen: state === 'open',
+        message: state === 'open' ? null : MESSAGES[state],
+        opensAt,
+        closesAt,
+        maxParticipants,
+        registeredCount,
+        spotsLeft,
+        now
+    };
+}
+
+/**
+ * The window with countdowns, for the public settings endpoint
+ * @param {Object} settings - SystemSettings document (looked up when omitted)
+ * @returns {Object} - getRegistrationWindow() plus secondsUntilOpen and secondsUntilClose
+ */
+async function describeRegistrationWindow(settings) {
+    const current = await getRegistrationWindow(settings);
+    return {
+        ...current,
+        secondsUntilOpen: current.state === 'scheduled' ? secondsUntil(current.opensAt, current.now) : null,
+        secondsUntilClose: ['open', 'full'].includes(current.state) ? secondsUntil(current.closesAt, current.now) : null
+    };
+}
+
+/**
+ * Sub-events whose own registration deadline has passed
+ * @param {Array} subEvents - SubEvent documents
+ * @returns {Array} - SubEvent documents
+ */
+function closedSubEvents(subEvents) {
+    const now = new Date();
+    return subEvents.filter(subEvent => subEvent.registrationDeadline && subEvent.registrationDeadline < now);
+}
+
+/**
+ * Look up a usable override code
+ * @param {String} code - Code as typed by the student or help desk
+ * @returns {Object} - RegistrationOverride document
+ */
+async function findOverride(code) {
+    const override = await RegistrationOverride.findOne({
+        codeHash: hashCode(code),
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+        $expr: { $lt: ['$usedCount', '$maxUses'] }
+    });
+
+    if (!override) {
+        throw new ErrorResponse('This override code is invalid, used up or has expired', 403);
+    }
+
+    return override;
+}
+
+/**
+ * Enforce the registration window for a submission. An override code is only
+ * looked at when something would otherwise block the request, so students
+ * registering in time never use one up.
+ * @param {Object} options
+ * @param {Array} options.subEvents - Sub-events being registered for (own deadlines checked)
+ * @param {Boolean} options.joining - Whether the request adds a place under maxGlobalParticipants
+ * @param {String} options.overrideCode - Optional help-desk code
+ * @returns {Object} - RegistrationOverride to claim with claimOverride, or null when none was needed
+ */
+async function assertRegistrationAllowed({ subEvents = [], joining = true, overrideCode } = {}) {
+    const current = await getRegistrationWindow();
+
+    let reason = null;
+    if (!current.isOpen && (current.state !== 'full' || joining)) {
+        reason = current.message;
+    } else {
+        const closed = closedSubEvents(subEvents);
+        if (closed.length > 0) {
+            reason = `Registration has closed for ${closed.map(se => se.name).join(', ')}`;
+        }
+    }
+
+    if (!reason) return null;
+    if (!overrideCode) {
+        throw new ErrorResponse(reason, 403);
+    }
+
+    return findOverride(overrideCode);
+}
+
+/**
+ * Use up one go of an override code
+ * @param {Object} override - RegistrationOverride document
+ * @param {String} participantId - Participant registering with it
+ * @param {String} action - 'submit' | 'add-events' | 'resubmit-payment'
+ * @returns {Object} - Updated RegistrationOverride
+ */
+async function claimOverride(override, participantId, action) {
+    const updated = await RegistrationOverride.findOneAndUpdate(
+        {
+            _id: override._id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() },
+            $expr: { $lt: ['$usedCount', '$maxUses'] }
+        },
+        {
+            $inc: { usedCount: 1 },
+            $push: { uses: { participant: participantId, action, usedAt: new Date() } }
+        },
+        { new: true }
+    );
+
+    if (!updated) {
+        throw new ErrorResponse('This override code is invalid, used up or has expired', 403);
+    }
+
+    return updated;
+}
+
+/**
+ * Give a use back (the registration failed after the code was claimed)
+ * @param {Object} override - RegistrationOverride document
+ * @param {String} participantId - Participant the use was recorded for
+ */
+async function releaseOverride(override, participantId) {
+    await RegistrationOverride.updateOne(
+        { _id: override._id, usedCount: { $gt: 0 } },
+        { $inc: { usedCount: -1 }, $pull: { uses: { participant: participantId } } }
+    );
+}
+
+/**
+ * Issue an override code for the help desk. The code is returned once and
+ * only its hash is stored.
+ * @param {Object} options - { note, maxUses, validHours }
+ * @param {String} issuedBy - Admin user ID
+ * @returns {Object} - { override, code }
+ */
+async function issueOverride({ note = '', maxUses = 1, validHours = 4 } = {}, issuedBy) {
+    const uses = parseInt(maxUses);
+    const hours = parseFloat(validHours);
+    if (!(uses >= 1)) {
+        throw new ErrorResponse('maxUses must be at least 1');
+    }
+    if (!(hours > 0) || hours > 24 * 7) {
+        throw new ErrorResponse('validHours must be between 0 and 168');
+    }
+
+    const chars = Array.from({ length: 8 }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]);
+    const code = `${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+
+    const override = await RegistrationOverride.create({
+        codeHash: hashCode(code),
+        note,
+        maxUses: uses,
+        issuedBy,
+        expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000)
+    });
+
+    return { override, code };
+}
+
+module.exports = {
+    COUNTED_STATUSES,
+    getRegistrationWindow,
+    describeRegistrationWindow,
+    closedSubEvents,
+    assertRegistrationAllowed,
+    claimOverride,
+    releaseOverride,
+    issueOverride
+};
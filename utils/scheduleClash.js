@@ -0,0 +1,124 @@
+const SubEvent = require('../models/SubEvent');
+const Round = require('../models/Round');
+const SystemSettings = require('../models/SystemSettings');
+const ErrorResponse = require('./errorResponse');
+
+/**
+ * Clash policy and default slot length from settings
+ * @returns {Object} - { policy, slotMinutes }
+ */
+async function getClashSettings() {
+    const settings = await SystemSettings.findOne({ key: 'core_settings' }).select('clashPolicy defaultSlotMinutes');
+    return {
+        policy: settings?.clashPolicy || 'warn',
+        slotMinutes: settings?.defaultSlotMinutes || 60
+    };
+}
+
+/**
+ * Time windows for each sub-event: the event's own slot plus its scheduled rounds
+ * @param {Array} subEventIds - SubEvent IDs (omit for all sub-events)
+ * @param {Number} slotMinutes - Length assumed when no end time is set
+ * @returns {Map} - subEventId -> { subEvent, windows: [{ start, end, label }] }
+ */
+async function getWindows(subEventIds, slotMinutes) {
+    const filter = subEventIds ? { _id: { $in: subEventIds } } : {};
+    const subEvents = await SubEvent.find(filter).select('name startTime endTime');
+    const rounds = await Round.find({
+        subEvent: { $in: subEvents.map(se => se._id) },
+        startTime: { $ne: null },
+        status: { $ne: 'completed' }
+    }).select('subEvent name startTime endTime');
+
+    const slot = (start, end) => ({
+        start,
+        end: end || new Date(start.getTime() + slotMinutes * 60 * 1000)
+    });
+
+    const windows = new Map();
+    subEvents.forEach(subEvent => {
+        const list = [];
+        if (subEvent.startTime) {
+            list.push({ ...slot(subEvent.startTime, subEvent.endTime), label: subEvent.name });
+        }
+        windows.set(subEvent._id.toString(), { subEvent, windows: list });
+    });
+
+    rounds.forEach(round => {
+        const entry = windows.get(round.subEvent.toString());
+        if (entry) {
+            entry.windows.push({ ...slot(round.startTime, round.endTime), label: `${entry.subEvent.name} - ${round.name}` });
+        }
+    });
+
+    return windows;
+}
+
+/**
+ * Find every pair of sub-events with overlapping windows
+ * @param {Map} windows - Result of getWindows
+ * @returns {Array} - [{ subEvents: [{ _id, name }, { _id, name }], overlap: { first, second, start, end } }]
+ */
+function findOverlaps(windows) {
+    const entries = [...windows.values()];
+    const clashes = [];
+
+    for (let i = 0; i < entries.length; i++) {
+        for (let j = i + 1; j < entries.length; j++) {
+            const a = entries[i];
+            const b = entries[j];
+
+            const overlap = a.windows.flatMap(wa => b.windows
+                .filter(wb => wa.start < wb.end && wb.start < wa.end)
+                .map(wb => ({
+                    first: wa.label,
+                    second: wb.label,
+                    start: wa.start > wb.start ? wa.start : wb.start,
+                    end: wa.end < wb.end ? wa.end : wb.end
+                }))
+            )[0];
+
+            if (overlap) {
+                clashes.push({
+                    subEvents: [
+                        { _id: a.subEvent._id, name: a.subEvent.name },
+                        { _id: b.subEvent._id, name: b.subEvent.name }
+                    ],
+                    overlap
+                });
+            }
+        }
+    }
+
+    return clashes;
+}
+
+/**
+ * Check a student's selection for clashes under the admin policy.
+ * Throws when the policy is 'block'; otherwise returns warnings.
+ * @param {Array} subEventIds - Every event the student will hold
+ * @returns {Array} - Clash warnings (empty when policy is 'off')
+ */
+async function checkSelectionClashes(subEventIds) {
+    const { policy, slotMinutes } = await getClashSettings();
+    if (policy === 'off' || subEventIds.length < 2) return [];
+
+    const ids = [...new Set(subEventIds.map(id => id.toString()))];
+    const clashes = findOverlaps(await getWindows(ids, slotMinutes));
+    const messages = clashes.map(clash =>
+        `${clash.overlap.first} overlaps with ${clash.overlap.second}`
+    );
+
+    if (policy === 'block' && clashes.length > 0) {
+        throw new ErrorResponse(`Schedule clash: ${messages.join('; ')}. Please choose events that do not overlap.`);
+    }
+
+    return clashes.map((clash, index) => ({ ...clash, message: messages[index] }));
+}
+
+module.exports = {
+    getClashSettings,
+    getWindows,
+    findOverlaps,
+    checkSelectionClashes
+};
@@ -0,0 +1,306 @@
+const SubEvent = require('../models/SubEvent');
+const SeatReservation = require('../models/SeatReservation');
+const Participant = require('../models/Participant');
+const ErrorResponse = require('./errorResponse');
+
+/**
+ * Seat ledger: every seat is a SeatReservation, and the SubEvent counters
+ * (approvedParticipants + heldSeats) are only moved with conditional $inc
+ * updates so the cap holds however requests interleave.
+ */
+
+// Matches sub-events that can take one more seat
+const hasRoomFilter = (subEventId) => ({
+    _id: subEventId,
+    $or: [
+        { maxParticipants: null },
+        { maxParticipants: { $lte: 0 } },
+        {
+            $expr: {
+                $lt: [
+                    { $add: [{ $ifNull: ['$approvedParticipants', 0] }, { $ifNull: ['$heldSeats', 0] }] },
+                    '$maxParticipants'
+                ]
+            }
+        }
+    ]
+});
+
+const counterFor = (status) => (status === 'confirmed' ? 'approvedParticipants' : 'heldSeats');
+
+async function fullError(subEventId) {
+    const subEvent = await SubEvent.findById(subEventId).select('name');
+    if (!subEvent) {
+        return new ErrorResponse('Sub-event not found', 404);
+    }
+    const error = new ErrorResponse(`${subEvent.name} has reached maximum capacity`);
+    error.subEventId = subEvent._id;
+    return error;
+}
+
+/**
+ * Take one seat for a participant, either held or straight to confirmed
+ * @param {String} subEventId - SubEvent ID
+ * @param {String} participantId - Participant ID
+ * @param {Object} options - { status, source, expiresAt }
+ * @returns {Object} - { reservation, created }: the live reservation, and
+ *   whether this call made it (false when one was already held/confirmed)
+ */
+async function takeSeat(subEventId, participantId, { status = 'held', source = 'registration', expiresAt = null } = {}) {
+    const existing = await SeatReservation.findOne({
+        subEvent: subEventId,
+        participant: participantId,
+        status: { $in: ['held', 'confirmed'] }
+    });
+    if (existing) return { reservation: existing, created: false };
+
+    const counter = counterFor(status);
+    const updated = await SubEvent.findOneAndUpdate(
+        hasRoomFilter(subEventId),
+        { $inc: { [counter]: 1 } },
+        { new: true }
+    );
+    if (!updated) {
+        throw await fullError(subEventId);
+    }
+
+    try {
+        const reservation = await SeatReservation.create({
+            subEvent: subEventId,
+            participant: participantId,
+            status,
+            source,
+            expiresAt,
+            confirmedAt: status === 'confirmed' ? new Date() : undefined
+        });
+        return { reservation, created: true };
+    } catch (error) {
+        // Lost a race for the same participant/sub-event pair: give the seat back
+        await SubEvent.updateOne({ _id: subEventId }, { $inc: { [counter]: -1 } });
+        if (error.code === 11000) {
+            const reservation = await SeatReservation.findOne({
+                subEvent: subEventId,
+                participant: participantId,
+                status: { $in: ['held', 'confirmed'] }
+            });
+            return { reservation, created: false };
+        }
+        throw error;
+    }
+}
+
+/**
+ * Release one reservation and free its seat
+ * @param {Object} reservation - SeatReservation document
+ * @param {String} reason - Why the seat was released
+ * @returns {Boolean} - Whether this call released it
+ */
+async function releaseReservation(reservation, reason) {
+    const released = await SeatReservation.findOneAndUpdate(
+        { _id: reservation._id, status: reservation.status },
+        { $set: { status: 'released', releasedAt: new Date(), releaseReason: reason } }
+    );
+    if (!released) return false;
+
+    await SubEvent.updateOne(
+        { _id: reservation.subEvent },
+        { $inc: { [counterFor(reservation.status)]: -1 } }
+    );
+    return true;
+}
+
+/**
+ * Hold seats for a pending registration, all or nothing
+ * @param {Array} subEventIds - Sub-events to reserve
+ * @param {String} participantId - Participant ID
+ * @param {Object} options - { source, expiresAt }
+ * @returns {Array} - Reservations made by this call; seats the participant
+ *   already held (e.g. a waitlist offer) are left out, so a caller rolling
+ *   back releases only what it took
+ */
+async function reserveSeats(subEventIds, participantId, options = {}) {
+    const taken = [];
+    try {
+        for (const subEventId of subEventIds) {
+            taken.push(await takeSeat(subEventId, participantId, options));
+        }
+    } catch (error) {
+        for (const { reservation, created } of taken) {
+            if (created) await releaseReservation(reservation, 'rollback');
+        }
+        throw error;
+    }
+    return taken.filter(t => t.created).map(t => t.reservation);
+}
+
+/**
+ * Give back reservations returned by reserveSeats when the request fails
+ * @param {Array} reservations - SeatReservation documents
+ * @param {String} reason - Why the seats were released
+ */
+async function releaseReservations(reservations, reason) {
+    for (const reservation of reservations) {
+        await releaseReservation(reservation, reason);
+    }
+}
+
+/**
+ * Confirm seats on approval. Held seats move to confirmed; sub-events without
+ * a hold (older registrations) take a confirmed seat directly, subject to the cap.
+ * All or nothing.
+ * @param {Array} subEventIds - Sub-events being approved
+ * @param {String} participantId - Participant ID
+ */
+async function confirmSeats(subEventIds, participantId) {
+    const done = [];
+    try {
+        for (const subEventId of subEventIds) {
+            const held = await SeatReservation.findOneAndUpdate(
+                { subEvent: subEventId, participant: participantId, status: 'held' },
+                { $set: { status: 'confirmed', confirmedAt: new Date(), expiresAt: null } },
+                { new: true }
+            );
+
+            if (held) {
+                await SubEvent.updateOne(
+                    { _id: subEventId },
+                    { $inc: { heldSeats: -1, approvedParticipants: 1 } }
+                );
+                done.push({ reservation: held, wasHeld: true });
+                continue;
+            }
+
+            const confirmed = await SeatReservation.exists({
+                subEvent: subEventId,
+                participant: participantId,
+                status: 'confirmed'
+            });
+            if (confirmed) continue;
+
+            const { reservation, created } = await takeSeat(subEventId, participantId, { status: 'confirmed', source: 'admin' });
+            if (created) done.push({ reservation, wasHeld: false });
+        }
+    } catch (error) {
+        for (const { reservation, wasHeld } of done) {
+            if (wasHeld) {
+                await SeatReservation.updateOne({ _id: reservation._id }, { $set: { status: 'held' } });
+                await SubEvent.updateOne(
+                    { _id: reservation.subEvent },
+                    { $inc: { heldSeats: 1, approvedParticipants: -1 } }
+                );
+            } else {
+                await releaseReservation(reservation, 'rollback');
+            }
+        }
+        throw error;
+    }
+}
+
+/**
+ * Move a participant's confirmed seats back to held (approval undone).
+ * The total seat count does not change, so no cap check is needed.
+ * @param {String} participantId - Participant ID
+ */
+async function unconfirmSeats(participantId) {
+    const confirmed = await SeatReservation.find({ participant: participantId, status: 'confirmed' });
+    for (const reservation of confirmed) {
+        const moved = await SeatReservation.findOneAndUpdate(
+            { _id: reservation._id, status: 'confirmed' },
+            { $set: { status: 'held' } }
+        );
+        if (moved) {
+            await SubEvent.updateOne(
+                { _id: reservation.subEvent },
+                { $inc: { approvedParticipants: -1, heldSeats: 1 } }
+            );
+        }
+    }
+}
+
+/**
+ * Release a participant's live seats
+ * @param {String} participantId - Participant ID
+ * @param {Object} options - { subEventIds (default: all), status (default: both), reason }
+ * @returns {Array} - Sub-event IDs whose seat was freed
+ */
+async function releaseSeats(participantId, { subEventIds = null, status = null, reason = 'released' } = {}) {
+    const filter = {
+        participant: participantId,
+        status: status ? status : { $in: ['held', 'confirmed'] }
+    };
+    if (subEventIds) filter.subEvent = { $in: subEventIds };
+
+    const reservations = await SeatReservation.find(filter);
+    const freed = [];
+    for (const reservation of reservations) {
+        if (await releaseReservation(reservation, reason)) {
+            freed.push(reservation.subEvent);
+        }
+    }
+    return freed;
+}
+
+/**
+ * Release holds whose expiry has passed
+ * @param {String} subEventId - SubEvent ID
+ * @returns {Array} - Released reservations
+ */
+async function releaseExpiredHolds(subEventId) {
+    const expired = await SeatReservation.find({
+        subEvent: subEventId,
+        status: 'held',
+        expiresAt: { $ne: null, $lte: new Date() }
+    });
+
+    const released = [];
+    for (const reservation of expired) {
+        if (await releaseReservation(reservation, 'expired')) {
+            released.push(reservation);
+        }
+    }
+    return released;
+}
+
+/**
+ * Backfill the ledger for registrations made before it existed, then recount
+ * @param {Object} subEvent - SubEvent document
+ * @returns {Object} - { created }
+ */
+async function syncSubEventLedger(subEvent) {
+    const participants = await Participant.find({
+        $or: [{ registeredSubEvents: subEvent._id }, { pendingSubEvents: subEvent._id }],
+        registrationStatus: { $in: ['approved', 'pending'] }
+    }).select('registrationStatus registeredSubEvents');
+
+    let created = 0;
+    for (const participant of participants) {
+        const exists = await SeatReservation.exists({
+            subEvent: subEvent._id,
+            participant: participant._id,
+            status: { $in: ['held', 'confirmed'] }
+        });
+        if (exists) continue;
+
+        const isRegistered = participant.registeredSubEvents.some(id => id.toString() === subEvent._id.toString());
+        await SeatReservation.create({
+            subEvent: subEvent._id,
+            participant: participant._id,
+            status: participant.registrationStatus === 'approved' && isRegistered ? 'confirmed' : 'held',
+            source: 'admin'
+        });
+        created++;
+    }
+
+    await subEvent.updateRegistrationCount();
+    return { created };
+}
+
+module.exports = {
+    reserveSeats,
+    releaseReservations,
+    confirmSeats,
+    unconfirmSeats,
+    releaseSeats,
+    releaseExpiredHolds,
+    syncSubEventLedger
+};
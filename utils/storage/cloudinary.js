@@ -0,0 +1,72 @@
+// Uploads go to Cloudinary, which resizes on its side. Required lazily so the
+// local driver runs without Cloudinary credentials.
+
+/**
+ * Multer storage engine for a profile
+ * @param {Object} profile - Entry of STORAGE_PROFILES
+ * @returns {Object} - Multer storage engine
+ */
+function createStorage(profile) {
+    const { CloudinaryStorage } = require('multer-storage-cloudinary');
+    const { cloudinary } = require('../../config/cloudinary');
+
+    const params = {
+        folder: `event-orchestration/${profile.folder}`,
+        allowed_formats: profile.formats
+    };
+    if (!profile.resize) {
+        return new CloudinaryStorage({ cloudinary, params });
+    }
+
+    // Resize images only; a transformation on a PDF would rasterise it
+    return new CloudinaryStorage({
+        cloudinary,
+        params: async (req, file) => (file.mimetype === 'application/pdf'
+            ? params
+            : { ...params, transformation: [{ width: profile.resize.width, height: profile.resize.height, crop: 'limit' }] })
+    });
+}
+
+/**
+ * Upload a generated file
+ * @param {Object} profile - Entry of STORAGE_PROFILES
+ * @param {Buffer} buffer - File data
+ * @param {String} extension - e.g. 'png'
+ * @returns {String} - URL of the stored file
+ */
+async function saveFile(profile, buffer, extension) {
+    const { cloudinary } = require('../../config/cloudinary');
+
+    const result = await new Promise((resolve, reject) => {
+        cloudinary.uploader.upload_stream(
+            { folder: `event-orchestration/${profile.folder}`, format: extension },
+            (error, uploaded) => (error ? reject(error) : resolve(uploaded))
+        ).end(buffer);
+    });
+
+    return result.secure_url;
+}
+
+/**
+ * Download a stored file
+ * @param {String} url - URL saved at upload time
+ * @returns {Buffer}
+ */
+async function readFile(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return Buffer.from(await response.arrayBuffer());
+}
+
+async function testConnection() {
+    const { testCloudinaryConnection } = require('../../config/cloudinary');
+    await testCloudinaryConnection();
+}
+
+module.exports = {
+    name: 'cloudinary',
+    createStorage,
+    saveFile,
+    readFile,
+    testConnection
+};
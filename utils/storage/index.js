@@ -0,0 +1,112 @@
+const cloudinaryDriver = require('./cloudinary');
+const localDriver = require('./local');
+
+const DRIVERS = {
+    cloudinary: cloudinaryDriver,
+    local: localDriver
+};
+
+const IMAGE_FORMATS = ['jpg', 'jpeg', 'png', 'webp'];
+
+// Where each kind of upload goes and the limits applied by either driver.
+// Private files are only served to admins and the participant who uploaded them.
+const STORAGE_PROFILES = {
+    // PDFs are stored as uploaded; the resize limit applies to images
+    paymentProofs: {
+        folder: 'payment-proofs',
+        formats: [...IMAGE_FORMATS, 'pdf'],
+        resize: { width: 1000, height: 1000 },
+        private: true
+    },
+    // First pages of PDF proofs for the approval queue, rendered at thumbnail size
+    proofThumbnails: {
+        folder: 'proof-thumbnails',
+        formats: ['png'],
+        resize: null,
+        private: true
+    },
+    systemSettings: {
+        folder: 'system-settings',
+        formats: IMAGE_FORMATS,
+        resize: { width: 800, height: 800 },
+        private: false
+    },
+    banners: {
+        folder: 'banners',
+        formats: IMAGE_FORMATS,
+        resize: { width: 1500, height: 500 },
+        private: false
+    },
+    formUploads: {
+        folder: 'form-uploads',
+        formats: [...IMAGE_FORMATS, 'pdf'],
+        resize: null,
+        private: true
+    }
+};
+
+/**
+ * Driver picked by STORAGE_DRIVER (cloudinary by default)
+ * @returns {Object} - Storage driver
+ */
+function getStorageDriver() {
+    const name = (process.env.STORAGE_DRIVER || 'cloudinary').toLowerCase();
+    const driver = DRIVERS[name];
+    if (!driver) {
+        throw new Error(`Unknown STORAGE_DRIVER "${name}". Use one of: ${Object.keys(DRIVERS).join(', ')}`);
+    }
+    return driver;
+}
+
+/**
+ * Profile that stores files in the given folder
+ * @param {String} folder - e.g. 'payment-proofs'
+ * @returns {Object|null}
+ */
+function findProfileByFolder(folder) {
+    return Object.values(STORAGE_PROFILES).find(profile => profile.folder === folder) || null;
+}
+
+/**
+ * Multer storage engine for a profile, using the configured driver
+ * @param {String} profileName - Key of STORAGE_PROFILES
+ * @returns {Object} - Multer storage engine
+ */
+function createStorage(profileName) {
+    return getStorageDriver().createStorage(STORAGE_PROFILES[profileName]);
+}
+
+/**
+ * Store a file we generated ourselves (e.g. a thumbnail)
+ * @param {String} profileName - Key of STORAGE_PROFILES
+ * @param {Buffer} buffer - File data
+ * @param {String} extension - e.g. 'png'
+ * @returns {String} - URL of the stored file
+ */
+async function saveFile(profileName, buffer, extension) {
+    return getStorageDriver().saveFile(STORAGE_PROFILES[profileName], buffer, extension);
+}
+
+/**
+ * Read back an uploaded file, whichever driver stored it
+ * @param {String} url - URL saved at upload time
+ * @returns {Buffer}
+ */
+async function readStoredFile(url) {
+    const driver = localDriver.parseUrl(url) ? localDriver : cloudinaryDriver;
+    return driver.readFile(url);
+}
+
+async function testStorageConnection() {
+    await getStorageDriver().testConnection();
+}
+
+module.exports = {
+    STORAGE_PROFILES,
+    getStorageDriver,
+    findProfileByFolder,
+    createStorage,
+    saveFile,
+    readStoredFile,
+    testStorageConnection
+};
@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const ErrorResponse = require('../errorResponse');
+
+// Uploads are written under UPLOAD_DIR/<folder> and served by routes/files.js
+const UPLOAD_ROOT = path.resolve(process.env.UPLOAD_DIR || './uploads');
+const URL_PREFIX = '/api/files/';
+
+// Stored names are generated, so anything else is refused
+const FILE_NAME_PATTERN = /^[A-Za-z0-9-]+\.[a-z0-9]+$/;
+
+const EXTENSIONS = { jpeg: 'jpg', jpg: 'jpg', png: 'png', webp: 'webp', pdf: 'pdf' };
+
+const publicBase = () => (process.env.PUBLIC_API_URL || '').replace(/\/$/, '');
+
+/**
+ * Disk location of a stored file, or null when the folder or name is not one
+ * we could have written
+ * @param {String} folder - Profile folder
+ * @param {String} fileName - Stored file name
+ * @returns {String|null}
+ */
+function resolvePath(folder, fileName) {
+    if (!/^[a-z0-9-]+$/.test(folder) || !FILE_NAME_PATTERN.test(fileName)) return null;
+    const fullPath = path.join(UPLOAD_ROOT, folder, fileName);
+    return fullPath.startsWith(UPLOAD_ROOT + path.sep) ? fullPath : null;
+}
+
+/**
+ * URL a stored file is served at
+ * @param {String} folder - Profile folder
+ * @param {String} fileName - Stored file name
+ * @returns {String}
+ */
+function fileUrl(folder, fileName) {
+    return `${publicBase()}${URL_PREFIX}${folder}/${fileName}`;
+}
+
+/**
+ * Folder and name from a URL returned by this driver
+ * @param {String} url - Stored file URL (absolute or relative)
+ * @returns {Object|null} - { folder, fileName }
+ */
+function parseUrl(url) {
+    let pathname;
+    try {
+        pathname = new URL(url, 'http://localhost').pathname;
+    } catch (error) {
+        return null;
+    }
+    const index = pathname.indexOf(URL_PREFIX);
+    if (index === -1) return null;
+    const [folder, fileName, ...rest] = pathname.slice(index + URL_PREFIX.length).split('/');
+    if (!folder || !fileName || rest.length > 0) return null;
+    return { folder, fileName };
+}
+
+const readStream = (stream) => new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('error', reject);
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+});
+
+/**
+ * Check the file's real format against the profile and apply the resize
+ * limit (never enlarging, like Cloudinary's crop: 'limit')
+ * @param {Buffer} buffer - Uploaded data
+ * @param {Object} profile - Entry of STORAGE_PROFILES
+ * @returns {Object} - { data, extension }
+ */
+async function processUpload(buffer, profile) {
+    let format = null;
+    if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') {
+        format = 'pdf';
+    } else {
+        try {
+            format = (await sharp(buffer).metadata()).format;
+        } catch (error) {
+            format = null;
+        }
+    }
+
+    if (!format || !profile.formats.includes(format)) {
+        throw new ErrorResponse(`Only ${profile.formats.join(', ')} files are allowed`);
+    }
+
+    if (format === 'pdf' || !profile.resize) {
+        return { data: buffer, extension: EXTENSIONS[format] };
+    }
+
+    const data = await sharp(buffer)
+        .rotate()
+        .resize({
+            width: profile.resize.width,
+            height: profile.resize.height,
+            fit: 'inside',
+            withoutEnlargement: true
+        })
+        .toBuffer();
+
+    return { data, extension: EXTENSIONS[format] };
+}
+
+/**
+ * Write a file under the profile's folder with a generated name
+ * @param {Object} profile - Entry of STORAGE_PROFILES
+ * @param {Buffer} data - File data
+ * @param {String} extension - e.g. 'png'
+ * @returns {Object} - { path (URL), filename, destination, size }
+ */
+async function writeFile(profile, data, extension) {
+    const fileName = `${Date.now()}-${crypto.randomBytes(8).toString('hex')}.${extension}`;
+    const destination = path.join(UPLOAD_ROOT, profile.folder);
+    await fs.promises.mkdir(destination, { recursive: true });
+    await fs.promises.writeFile(path.join(destination, fileName), data);
+
+    return {
+        path: fileUrl(profile.folder, fileName),
+        filename: fileName,
+        destination,
+        size: data.length
+    };
+}
+
+/**
+ * Multer storage engine for a profile. `req.file.path` is the file's URL, as
+ * with the Cloudinary driver.
+ * @param {Object} profile - Entry of STORAGE_PROFILES
+ * @returns {Object} - Multer storage engine
+ */
+function createStorage(profile) {
+    return {
+        _handleFile(req, file, cb) {
+            (async () => {
+                const { data, extension } = await processUpload(await readStream(file.stream), profile);
+                return writeFile(profile, data, extension);
+            })().then(info => cb(null, info), cb);
+        },
+
+        _removeFile(req, file, cb) {
+            fs.unlink(path.join(file.destination, file.filename), () => cb(null));
+        }
+    };
+}
+
+/**
+ * Store a generated file
+ * @param {Object} profile - Entry of STORAGE_PROFILES
+ * @param {Buffer} buffer - File data
+ * @param {String} extension - e.g. 'png'
+ * @returns {String} - URL of the stored file
+ */
+async function saveFile(profile, buffer, extension) {
+    return (await writeFile(profile, buffer, extension)).path;
+}
+
+/**
+ * Read a stored file
+ * @param {String} url - URL saved at upload time
+ * @returns {Buffer}
+ */
+async function readFile(url) {
+    const parsed = parseUrl(url);
+    const fullPath = parsed && resolvePath(parsed.folder, parsed.fileName);
+    if (!fullPath) throw new Error('Not a locally stored file');
+    return fs.promises.readFile(fullPath);
+}
+
+async function testConnection() {
+    try {
+        await fs.promises.mkdir(UPLOAD_ROOT, { recursive: true });
+        await fs.promises.access(UPLOAD_ROOT, fs.constants.W_OK);
+        console.log(`✅ Local upload storage ready at ${UPLOAD_ROOT}`);
+    } catch (error) {
+        console.error('❌ Local upload storage is not writable:', error.message);
+    }
+}
+
+module.exports = {
+    name: 'local',
+    createStorage,
+    saveFile,
+    readFile,
+    testConnection,
+    resolvePath,
+    fileUrl,
+    parseUrl
+};
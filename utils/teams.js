@@ -0,0 +1,206 @@
+const Team = require('../models/Team');
+const SubEvent = require('../models/SubEvent');
+const ErrorResponse = require('./errorResponse');
+
+/**
+ * Team helpers shared by the registration and participant routes
+ */
+
+const isEnrolled = (participant, subEventId) => {
+    const ids = [...(participant.registeredSubEvents || []), ...(participant.pendingSubEvents || [])];
+    return ids.some(id => id.toString() === subEventId.toString());
+};
+
+async function loadTeamEvent(subEventId) {
+    const subEvent = await SubEvent.findById(subEventId);
+    if (!subEvent) {
+        throw new ErrorResponse('Sub-event not found', 404);
+    }
+    if (subEvent.type !== 'group') {
+        throw new ErrorResponse(`${subEvent.name} is not a team event`);
+    }
+    return subEvent;
+}
+
+async function assertNotInTeam(participantId, subEventId) {
+    const existing = await Team.findOne({ subEvent: subEventId, members: participantId });
+    if (existing) {
+        throw new ErrorResponse(`You are already in team "${existing.name}" for this event`);
+    }
+}
+
+/**
+ * Create a team with the participant as captain
+ * @param {Object} participant - Participant document
+ * @param {String} subEventId - Group sub-event ID
+ * @param {String} name - Team name
+ * @returns {Object} - Saved team
+ */
+async function createTeam(participant, subEventId, name) {
+    if (!name || !name.trim()) {
+        throw new ErrorResponse('Please provide a team name');
+    }
+
+    const subEvent = await loadTeamEvent(subEventId);
+    if (!isEnrolled(participant, subEvent._id)) {
+        throw new ErrorResponse(`Please register for ${subEvent.name} before creating a team`);
+    }
+    await assertNotInTeam(participant._id, subEvent._id);
+
+    const nameTaken = await Team.exists({ subEvent: subEvent._id, name: name.trim() });
+    if (nameTaken) {
+        throw new ErrorResponse(`A team named "${name.trim()}" already exists for ${subEvent.name}`);
+    }
+
+    const team = new Team({
+        name: name.trim(),
+        subEvent: subEvent._id,
+        captain: participant._id,
+        members: [participant._id],
+        inviteCode: await Team.generateInviteCode()
+    });
+    team.refreshStatus(subEvent);
+    await team.save();
+
+    return team;
+}
+
+/**
+ * Join a team using its invite code, enforcing the sub-event's max group size
+ * @param {Object} participant - Participant document
+ * @param {String} inviteCode - Code shared by the captain
+ * @returns {Object} - Updated team
+ */
+async function joinTeam(participant, inviteCode) {
+    if (!inviteCode) {
+        throw new ErrorResponse('Please provide an invite code');
+    }
+
+    const team = await Team.findOne({ inviteCode: inviteCode.trim().toUpperCase() });
+    if (!team) {
+        throw new ErrorResponse('Invalid invite code', 404);
+    }
+
+    const subEvent = await loadTeamEvent(team.subEvent);
+    if (!isEnrolled(participant, subEvent._id)) {
+        throw new ErrorResponse(`Please register for ${subEvent.name} before joining a team`);
+    }
+    await assertNotInTeam(participant._id, subEvent._id);
+
+    const maxSize = subEvent.groupSizeRange?.max || 10;
+
+    // Size check and push happen in one update so simultaneous joins cannot overfill the team
+    const updated = await Team.findOneAndUpdate(
+        {
+            _id: team._id,
+            members: { $ne: participant._id },
+            $expr: { $lt: [{ $size: '$members' }, maxSize] }
+        },
+        { $addToSet: { members: participant._id } },
+        { new: true }
+    );
+
+    if (!updated) {
+        throw new ErrorResponse(`Team "${team.name}" is full (maximum ${maxSize} members)`);
+    }
+
+    updated.refreshStatus(subEvent);
+    await updated.save();
+
+    return updated;
+}
+
+/**
+ * Leave a team. Captaincy passes to the next member; an empty team is deleted.
+ * @param {Object} participant - Participant document
+ * @param {String} teamId - Team ID
+ * @returns {Object|null} - Updated team, or null if it was disbanded
+ */
+async function leaveTeam(participant, teamId) {
+    const team = await Team.findById(teamId);
+    if (!team || !team.members.some(id => id.toString() === participant._id.toString())) {
+        throw new ErrorResponse('You are not a member of this team', 404);
+    }
+
+    team.members = team.members.filter(id => id.toString() !== participant._id.toString());
+
+    if (team.members.length === 0) {
+        await team.deleteOne();
+        return null;
+    }
+
+    if (team.captain.toString() === participant._id.toString()) {
+        team.captain = team.members[0];
+    }
+
+    const subEvent = await SubEvent.findById(team.subEvent);
+    if (subEvent) team.refreshStatus(subEvent);
+    await team.save();
+
+    return team;
+}
+
+/**
+ * Check team requests sent with a registration before the participant is created
+ * @param {Object} teams - Map of subEventId -> { teamName } or { inviteCode }
+ * @param {Array} subEvents - Selected sub-event documents
+ */
+async function validateTeamRequests(teams, subEvents) {
+    for (const [subEventId, request] of Object.entries(teams || {})) {
+        const subEvent = subEvents.find(se => se._id.toString() === subEventId);
+        if (!subEvent) {
+            throw new ErrorResponse('Team details were sent for an event that is not selected');
+        }
+        if (subEvent.type !== 'group') {
+            throw new ErrorResponse(`${subEvent.name} is not a team event`);
+        }
+
+        if (request?.inviteCode) {
+            const team = await Team.findOne({ inviteCode: request.inviteCode.trim().toUpperCase() });
+            if (!team || team.subEvent.toString() !== subEventId) {
+                throw new ErrorResponse(`Invalid invite code for ${subEvent.name}`);
+            }
+            const maxSize = subEvent.groupSizeRange?.max || 10;
+            if (team.members.length >= maxSize) {
+                throw new ErrorResponse(`Team "${team.name}" is full (maximum ${maxSize} members)`);
+            }
+        } else if (request?.teamName) {
+            const nameTaken = await Team.exists({ subEvent: subEventId, name: request.teamName.trim() });
+            if (nameTaken) {
+                throw new ErrorResponse(`A team named "${request.teamName.trim()}" already exists for ${subEvent.name}`);
+            }
+        } else {
+            throw new ErrorResponse(`Please provide a team name or invite code for ${subEvent.name}`);
+        }
+    }
+}
+
+/**
+ * Create or join the requested teams for a freshly registered participant.
+ * Failures (e.g. a team filling up in the meantime) are returned, not thrown.
+ * @returns {Object} - { teams, errors }
+ */
+async function applyTeamRequests(participant, teams) {
+    const result = { teams: [], errors: [] };
+
+    for (const [subEventId, request] of Object.entries(teams || {})) {
+        try {
+            const team = request.inviteCode
+                ? await joinTeam(participant, request.inviteCode)
+                : await createTeam(participant, subEventId, request.teamName);
+            result.teams.push(team);
+        } catch (error) {
+            result.errors.push({ subEventId, message: error.message });
+        }
+    }
+
+    return result;
+}
+
+module.exports = {
+    createTeam,
+    joinTeam,
+    leaveTeam,
+    validateTeamRequests,
+    applyTeamRequests
+};
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const PaymentSettings = require('../models/PaymentSettings');
+const SystemSettings = require('../models/SystemSettings');
+
+// Letters only, so the code cannot run into a chest number when a bank
+// strips the dashes from the note
+const REFERENCE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+
+// UPI apps cut the transaction note at around 50 characters
+const MAX_NOTE_LENGTH = 50;
+
+/**
+ * Normalise a reference or narration for comparison (case and punctuation)
+ * @param {String} value
+ * @returns {String}
+ */
+function normalizeReference(value) {
+    return String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Reference to put in the UPI note. Participants with a chest number get it in
+ * the reference plus a code from `seed` (the quote or payment), since they may
+ * pay more than once: VF-C42-KQMTZR. Anyone else gets their registration
+ * (participant) ID: VF-R65F1A2B3C4D5E6F708192A3B.
+ * @param {Object} params - { chestNumber, registrationId, seed }
+ * @returns {String}
+ */
+function buildPaymentReference({ chestNumber = null, registrationId = null, seed }) {
+    if (!chestNumber) {
+        return `VF-R${registrationId.toString().toUpperCase()}`;
+    }
+    const digest = crypto.createHash('sha256').update(String(seed)).digest();
+    const code = Array.from(digest.subarray(0, 6), byte => REFERENCE_ALPHABET[byte % REFERENCE_ALPHABET.length]).join('');
+    return `VF-C${chestNumber}-${code}`;
+}
+
+/**
+ * UPI deep link (upi://pay) for an exact amount. The reference travels in the
+ * note (tn) only: tr is the merchant's own order ID and apps reject or mangle
+ * it for personal VPAs.
+ * @param {Object} params - { upiId, payeeName, amount, note }
+ * @returns {String}
+ */
+function buildUpiLink({ upiId, payeeName, amount, note }) {
+    const params = [
+        ['pa', upiId],
+        ['pn', payeeName],
+        ['am', Number(amount).toFixed(2)],
+        ['cu', 'INR'],
+        ['tn', note.slice(0, MAX_NOTE_LENGTH)]
+    ];
+    return `upi://pay?${params.map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join('&')}`;
+}
+
+/**
+ * Payment instructions for a quote: the deep link and a QR image of it,
+ * generated here rather than by a third-party service
+ * @param {Object} quote - { total, paymentReference }
+ * @returns {Object} - { upiId, payeeName, amount, reference, note, link, qrCode (PNG data URL or null) }
+ */
+async function buildUpiPayment(quote) {
+    const paymentSettings = await PaymentSettings.getActiveSettings();
+    const systemSettings = await SystemSettings.findOne({ key: 'core_settings' }).select('eventName');
+
+    // The reference goes first so a truncated note still carries it
+    const note = `${quote.paymentReference} ${systemSettings?.eventName || ''}`.trim();
+    const link = buildUpiLink({
+        upiId: paymentSettings.upiId,
+        payeeName: paymentSettings.accountName,
+        amount: quote.total,
+        note
+    });
+
+    return {
+        upiId: paymentSettings.upiId,
+        payeeName: paymentSettings.accountName,
+        amount: quote.total,
+        reference: quote.paymentReference,
+        note: note.slice(0, MAX_NOTE_LENGTH),
+        link,
+        qrCode: paymentSettings.qrCodeEnabled
+            ? await QRCode.toDataURL(link, { errorCorrectionLevel: 'M', margin: 2, width: 320 })
+            : null
+    };
+}
+
+module.exports = {
+    normalizeReference,
+    buildPaymentReference,
+    buildUpiLink,
+    buildUpiPayment
+};
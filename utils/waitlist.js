@@ -0,0 +1,275 @@
+const WaitlistEntry = require('../models/WaitlistEntry');
+const SubEvent = require('../models/SubEvent');
+const SeatReservation = require('../models/SeatReservation');
+const SystemSettings = require('../models/SystemSettings');
+const { reserveSeats, releaseSeats, releaseExpiredHolds } = require('./seatLedger');
+
+/**
+ * Waitlist helpers: seat availability, offers and promotion.
+ * An offer is a held seat in the seat ledger that expires unless paid for.
+ */
+
+const notify = (io, participantId, notification) => {
+    if (!io) return;
+    io.to(`participant:${participantId}`).emit('participant:notification', {
+        id: Date.now().toString() + participantId,
+        timestamp: new Date(),
+        ...notification
+    });
+};
+
+/**
+ * Seats taken = confirmed + held seats in the ledger
+ * @param {Object} subEvent - SubEvent document
+ * @returns {Number}
+ */
+function seatsTaken(subEvent) {
+    return (subEvent.approvedParticipants || 0) + (subEvent.heldSeats || 0);
+}
+
+/**
+ * Whether a sub-event looks able to take one more registration. Advisory only:
+ * the seat ledger makes the final call when the seat is reserved. Offers that
+ * lapsed since the last sweep are expired first, and the queue gets those
+ * seats before anyone else.
+ * @param {Object} subEvent - SubEvent document
+ * @param {Object} options - { participantId: whose own seat counts as free, io }
+ * @returns {Boolean}
+ */
+async function hasFreeSeat(subEvent, { participantId = null, io = null } = {}) {
+    if (!subEvent.maxParticipants) return true;
+
+    let current = subEvent;
+    const lapsed = await SeatReservation.exists({
+        subEvent: subEvent._id,
+        status: 'held',
+        expiresAt: { $ne: null, $lte: new Date() }
+    });
+    if (lapsed) {
+        await promoteNext(subEvent._id, io);
+        current = await SubEvent.findById(subEvent._id).select('maxParticipants approvedParticipants heldSeats');
+        if (!current) return false;
+    }
+
+    if (participantId) {
+        const holdsSeat = await SeatReservation.exists({
+            subEvent: subEvent._id,
+            participant: participantId,
+            status: { $in: ['held', 'confirmed'] }
+        });
+        if (holdsSeat) return true;
+    }
+
+    return seatsTaken(current) < current.maxParticipants;
+}
+
+/**
+ * Hold a seat for a waitlist entry and notify the participant.
+ * Throws if the sub-event has no free seat.
+ * @param {Object} entry - WaitlistEntry document
+ * @param {Object} io - Socket.IO server
+ * @param {Object} options - { promotedBy }
+ * @returns {Object} - Updated entry
+ */
+async function offerSeat(entry, io, { promotedBy = null } = {}) {
+    const settings = await SystemSettings.findOne({ key: 'core_settings' }).select('waitlistOfferHours');
+    const hours = settings?.waitlistOfferHours || 24;
+    const expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000);
+
+    await reserveSeats([entry.subEvent], entry.participant, { source: 'waitlist', expiresAt });
+
+    entry.status = 'offered';
+    entry.offeredAt = new Date();
+    entry.offerExpiresAt = expiresAt;
+    entry.promotedBy = promotedBy;
+    await entry.save();
+
+    const subEvent = await SubEvent.findById(entry.subEvent).select('name');
+    notify(io, entry.participant, {
+        type: 'waitlist_offer',
+        title: 'A Seat Opened Up!',
+        message: `A seat in ${subEvent?.name || 'your waitlisted event'} is now yours. Complete the payment within ${hours} hours to confirm it.`,
+        subEventId: entry.subEvent,
+        offerExpiresAt: entry.offerExpiresAt
+    });
+
+    return entry;
+}
+
+/**
+ * Release lapsed holds and expire the matching offers
+ * @param {String} subEventId - SubEvent ID
+ * @param {Object} io - Socket.IO server
+ * @returns {Number} - Number of offers expired
+ */
+async function expireStaleOffers(subEventId, io) {
+    const released = await releaseExpiredHolds(subEventId);
+
+    for (const reservation of released) {
+        const entry = await WaitlistEntry.findOneAndUpdate(
+            { subEvent: subEventId, participant: reservation.participant, status: 'offered' },
+            { $set: { status: 'expired' } }
+        );
+        if (!entry) continue;
+
+        notify(io, entry.participant, {
+            type: 'waitlist_expired',
+            title: 'Waitlist Offer Expired',
+            message: 'Your waitlist seat offer expired because payment was not submitted in time.',
+            subEventId: entry.subEvent
+        });
+    }
+
+    return released.length;
+}
+
+/**
+ * Offer every free seat of a sub-event to the front of its queue
+ * @param {String} subEventId - SubEvent ID
+ * @param {Object} io - Socket.IO server
+ * @returns {Array} - Entries that received an offer
+ */
+async function promoteNext(subEventId, io) {
+    await expireStaleOffers(subEventId, io);
+
+    const subEvent = await SubEvent.findById(subEventId);
+    if (!subEvent || !subEvent.maxParticipants) return [];
+
+    const offered = [];
+
+    while (true) {
+        // Take the head of the queue atomically so parallel promotions skip each other
+        const entry = await WaitlistEntry.findOneAndUpdate(
+            { subEvent: subEventId, status: 'waiting' },
+            { $set: { status: 'offered' } },
+            { sort: { createdAt: 1 }, new: true }
+        );
+        if (!entry) break;
+
+        try {
+            offered.push(await offerSeat(entry, io));
+        } catch (error) {
+            // No seat left: put the entry back at its place in the queue
+            await WaitlistEntry.updateOne({ _id: entry._id }, { $set: { status: 'waiting' } });
+            break;
+        }
+    }
+
+    if (offered.length > 0 && io) {
+        io.to('admin').emit('waitlist:promoted', {
+            subEventId,
+            participantIds: offered.map(e => e.participant)
+        });
+    }
+
+    return offered;
+}
+
+/**
+ * Expire every lapsed offer and pass the seats on to the queue, so offers end
+ * on time even when nobody looks at the sub-event
+ * @param {Object} io - Socket.IO server
+ * @returns {Number} - Sub-events that had lapsed offers
+ */
+async function sweepExpiredOffers(io) {
+    const subEventIds = await SeatReservation.distinct('subEvent', {
+        status: 'held',
+        expiresAt: { $ne: null, $lte: new Date() }
+    });
+
+    for (const subEventId of subEventIds) {
+        await promoteNext(subEventId, io);
+    }
+    return subEventIds.length;
+}
+
+/**
+ * Hand freed seats to the queue after participants leave
+ * @param {Array} subEventIds - Sub-events that may have freed a seat
+ * @param {Object} io - Socket.IO server
+ */
+async function refillSeats(subEventIds, io) {
+    const uniqueIds = [...new Set((subEventIds || []).map(id => id.toString()))];
+
+    for (const subEventId of uniqueIds) {
+        await promoteNext(subEventId, io);
+    }
+}
+
+/**
+ * Record that a participant submitted payment for sub-events: offered seats
+ * stop expiring and plain waiting entries are no longer needed
+ * @param {String} participantId - Participant ID
+ * @param {Array} subEventIds - Sub-events being paid for
+ */
+async function markOffersPaid(participantId, subEventIds) {
+    await WaitlistEntry.updateMany(
+        { participant: participantId, subEvent: { $in: subEventIds }, status: 'offered' },
+        { $set: { paymentSubmittedAt: new Date() } }
+    );
+    await SeatReservation.updateMany(
+        { participant: participantId, subEvent: { $in: subEventIds }, status: 'held' },
+        { $set: { expiresAt: null } }
+    );
+    await WaitlistEntry.updateMany(
+        { participant: participantId, subEvent: { $in: subEventIds }, status: 'waiting' },
+        { $set: { status: 'cancelled' } }
+    );
+}
+
+/**
+ * Mark offers as claimed once the registration is approved
+ * @param {String} participantId - Participant ID
+ * @param {Array} subEventIds - Approved sub-events
+ */
+async function claimOffers(participantId, subEventIds) {
+    await WaitlistEntry.updateMany(
+        { participant: participantId, subEvent: { $in: subEventIds }, status: 'offered' },
+        { $set: { status: 'claimed' } }
+    );
+}
+
+/**
+ * Withdraw a single waitlist entry, releasing an unpaid offer's seat
+ * @param {Object} entry - WaitlistEntry document
+ * @param {Object} io - Socket.IO server
+ */
+async function withdrawEntry(entry, io) {
+    const wasOffered = entry.status === 'offered';
+    entry.status = 'cancelled';
+    await entry.save();
+
+    if (wasOffered && !entry.paymentSubmittedAt) {
+        await releaseSeats(entry.participant, {
+            subEventIds: [entry.subEvent],
+            status: 'held',
+            reason: 'offer declined'
+        });
+        await promoteNext(entry.subEvent, io);
+    }
+}
+
+/**
+ * Cancel all of a participant's live waitlist entries (seats are released by the caller)
+ * @param {String} participantId - Participant ID
+ */
+async function cancelEntries(participantId) {
+    await WaitlistEntry.updateMany(
+        { participant: participantId, status: { $in: ['waiting', 'offered'] } },
+        { $set: { status: 'cancelled' } }
+    );
+}
+
+module.exports = {
+    seatsTaken,
+    hasFreeSeat,
+    offerSeat,
+    expireStaleOffers,
+    promoteNext,
+    sweepExpiredOffers,
+    refillSeats,
+    markOffersPaid,
+    claimOffers,
+    withdrawEntry,
+    cancelEntries
+};
@@ -0,0 +1,212 @@
+const WithdrawalRequest = require('../models/WithdrawalRequest');
+const Refund = require('../models/Refund');
+const Payment = require('../models/Payment');
+const PaymentSettings = require('../models/PaymentSettings');
+const Participant = require('../models/Participant');
+const SubEvent = require('../models/SubEvent');
+const Round = require('../models/Round');
+const Group = require('../models/Group');
+const Team = require('../models/Team');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { releaseSeats } = require('./seatLedger');
+const { refillSeats } = require('./waitlist');
+const { leaveTeam } = require('./teams');
+const ErrorResponse = require('./errorResponse');
+
+/**
+ * Work out how much of a participant's approved payments went towards one
+ * sub-event. Each payment is split across its sub-events by list price, so
+ * discounts are shared proportionally.
+ * @param {Object} participant - Participant document
+ * @param {String} subEventId - SubEvent ID
+ * @returns {Number}
+ */
+async function attributedAmount(participant, subEventId) {
+    const payments = await Payment.find({
+        participant: participant._id,
+        status: 'approved',
+        subEvents: subEventId
+    });
+
+    // Registrations from before the payment ledger: split the stored total evenly
+    if (payments.length === 0) {
+        const count = participant.registeredSubEvents.length || 1;
+        return Math.round(((participant.paidAmount || 0) / count) * 100) / 100;
+    }
+
+    let total = 0;
+    for (const payment of payments) {
+        const subEvents = await SubEvent.find({ _id: { $in: payment.subEvents } }).select('registrationPrice');
+        const listTotal = subEvents.reduce((sum, se) => sum + (se.registrationPrice || 50), 0);
+        const own = subEvents.find(se => se._id.toString() === subEventId.toString());
+        if (!own || listTotal === 0) continue;
+        total += (payment.amount * (own.registrationPrice || 50)) / listTotal;
+    }
+
+    return Math.round(total * 100) / 100;
+}
+
+/**
+ * Open a withdrawal request and price the refund under the current policy
+ * @param {Object} participant - Participant document
+ * @param {String} subEventId - SubEvent ID
+ * @param {String} reason - Participant's reason
+ * @returns {Object} - WithdrawalRequest document
+ */
+async function requestWithdrawal(participant, subEventId, reason = '') {
+    const registered = participant.registeredSubEvents.some(id => id.toString() === subEventId.toString());
+    if (!registered) {
+        throw new ErrorResponse('You are not registered for this event');
+    }
+
+    const status = participant.getSubEventStatus(subEventId).status;
+    if (status !== 'not_started') {
+        throw new ErrorResponse('You cannot withdraw from an event you have already competed in');
+    }
+
+    const existing = await WithdrawalRequest.exists({ participant: participant._id, subEvent: subEventId, status: 'pending' });
+    if (existing) {
+        throw new ErrorResponse('You already have a pending withdrawal request for this event');
+    }
+
+    const paidAmount = await attributedAmount(participant, subEventId);
+    const settings = await PaymentSettings.getActiveSettings();
+    const refund = settings.calculateRefund(paidAmount);
+
+    return WithdrawalRequest.create({
+        participant: participant._id,
+        subEvent: subEventId,
+        reason,
+        paidAmount,
+        refundPolicy: refund.policy,
+        refundAmount: refund.amount
+    });
+}
+
+/**
+ * Take a participant out of a sub-event everywhere it is recorded: their
+ * registration, seat, waitlist entries, team and open rounds/groups.
+ * Completed rounds are left alone as history.
+ * @param {Object} participant - Participant document
+ * @param {String} subEventId - SubEvent ID
+ * @param {Object} io - Socket.IO server
+ */
+async function removeFromSubEvent(participant, subEventId, io) {
+    const id = subEventId.toString();
+
+    participant.registeredSubEvents = participant.registeredSubEvents.filter(se => se.toString() !== id);
+    participant.pendingSubEvents = participant.pendingSubEvents.filter(se => se.toString() !== id);
+    participant.statusPerSubEvent.delete(id);
+    if (participant.currentEvent && participant.currentEvent.toString() === id) {
+        participant.currentEvent = null;
+        participant.currentStatus = 'available';
+    }
+    await participant.save();
+
+    const openRounds = await Round.find({ subEvent: subEventId, status: { $ne: 'completed' } }).select('_id');
+    const roundIds = openRounds.map(round => round._id);
+    await Round.updateMany(
+        { _id: { $in: roundIds } },
+        { $pull: { participants: participant._id, winners: participant._id } }
+    );
+    await Group.updateMany(
+        { roundId: { $in: roundIds }, participants: participant._id },
+        { $pull: { participants: participant._id } }
+    );
+
+    const team = await Team.findOne({ subEvent: subEventId, members: participant._id });
+    if (team) {
+        await leaveTeam(participant, team._id);
+    }
+
+    await WaitlistEntry.updateMany(
+        { participant: participant._id, subEvent: subEventId, status: { $in: ['waiting', 'offered'] } },
+        { $set: { status: 'cancelled' } }
+    );
+
+    await SubEvent.updateOne(
+        { _id: subEventId, totalRegistrations: { $gt: 0 } },
+        { $inc: { totalRegistrations: -1 } }
+    );
+
+    // The freed seat goes to the waitlist
+    const freed = await releaseSeats(participant._id, { subEventIds: [subEventId], reason: 'withdrawn' });
+    await refillSeats(freed, io);
+}
+
+/**
+ * Approve a withdrawal: remove the participant from the sub-event and add
+ * the refund (if any) to the refund ledger
+ * @param {Object} request - WithdrawalRequest document
+ * @param {String} reviewerId - Admin user ID
+ * @param {Object} options - { refundAmount (overrides the policy amount), notes }
+ * @param {Object} io - Socket.IO server
+ * @returns {Object} - { request, refund }
+ */
+async function approveWithdrawal(request, reviewerId, { refundAmount, notes = '' } = {}, io) {
+    if (request.status !== 'pending') {
+        throw new ErrorResponse(`Withdrawal request is already ${request.status}`);
+    }
+
+    const participant = await Participant.findById(request.participant);
+    if (!participant) {
+        throw new ErrorResponse('Participant not found', 404);
+    }
+
+    if (refundAmount !== undefined) {
+        const amount = parseFloat(refundAmount);
+        if (Number.isNaN(amount) || amount < 0 || amount > request.paidAmount) {
+            throw new ErrorResponse(`Refund must be between ₹0 and ₹${request.paidAmount}`);
+        }
+        request.refundAmount = amount;
+    }
+
+    await removeFromSubEvent(participant, request.subEvent, io);
+
+    request.status = 'approved';
+    request.reviewedBy = reviewerId;
+    request.reviewedAt = new Date();
+    request.reviewNotes = notes;
+    await request.save();
+
+    let refund = null;
+    if (request.refundAmount > 0) {
+        refund = await Refund.create({
+            participant: participant._id,
+            withdrawal: request._id,
+            subEvent: request.subEvent,
+            amount: request.refundAmount
+        });
+    }
+
+    return { request, refund };
+}
+
+/**
+ * Reject a withdrawal request; the registration stays as it was
+ * @param {Object} request - WithdrawalRequest document
+ * @param {String} reviewerId - Admin user ID
+ * @param {String} notes - Shown to the participant
+ * @returns {Object} - WithdrawalRequest document
+ */
+async function rejectWithdrawal(request, reviewerId, notes = '') {
+    if (request.status !== 'pending') {
+        throw new ErrorResponse(`Withdrawal request is already ${request.status}`);
+    }
+
+    request.status = 'rejected';
+    request.reviewedBy = reviewerId;
+    request.reviewedAt = new Date();
+    request.reviewNotes = notes;
+    await request.save();
+
+    return request;
+}
+
+module.exports = {
+    attributedAmount,
+    requestWithdrawal,
+    removeFromSubEvent,
+    approveWithdrawal,
+    rejectWithdrawal
+};